@@ -0,0 +1,94 @@
+/**
+ * 把参与者JSON数组转换为二进制嵌入格式（manifest JSON + 二进制向量文件）
+ *
+ * 用法:
+ *   npm run pack-embeddings -- <input.json> [--out <目录>] [--dtype float32|int8] [--name <文件名前缀>]
+ *
+ * 输出:
+ *   <name>.manifest.json  参与者ID、文本、情感分数、元数据和向量的位置
+ *   <name>.embeddings.bin 所有向量（小端序）
+ *
+ * 输入文件按块流式解析，不受单个字符串长度的限制
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { JsonArrayStreamParser } from '../src/jsonStreamParser.js';
+import { EmbeddingPack } from '../src/embeddingPack.js';
+
+function parseArgs(argv) {
+    const args = { input: null, out: null, dtype: 'float32', name: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--dtype') args.dtype = argv[++i];
+        else if (arg === '--name') args.name = argv[++i];
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else if (!args.input) args.input = arg;
+        else throw new Error(`未知参数: ${arg}`);
+    }
+    return args;
+}
+
+async function readRecords(input) {
+    const parser = new JsonArrayStreamParser();
+    const records = [];
+    const stream = fs.createReadStream(input, { encoding: 'utf8', highWaterMark: 1 << 20 });
+    for await (const chunk of stream) {
+        const elements = parser.push(chunk);
+        for (let i = 0; i < elements.length; i++) {
+            records.push(elements[i]);
+        }
+    }
+    parser.end();
+    return records;
+}
+
+function formatSize(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.input) {
+        console.log('用法: npm run pack-embeddings -- <input.json> [--out <目录>] [--dtype float32|int8] [--name <文件名前缀>]');
+        process.exit(args.help ? 0 : 1);
+    }
+    
+    const outDir = args.out || path.dirname(args.input);
+    const name = args.name || path.basename(args.input).replace(/\.json$/i, '');
+    const bufferName = `${name}.embeddings.bin`;
+    const manifestPath = path.join(outDir, `${name}.manifest.json`);
+    const bufferPath = path.join(outDir, bufferName);
+    
+    console.log(`读取 ${args.input} ...`);
+    const records = await readRecords(args.input);
+    
+    const { manifest, buffer, skipped, withoutUnified } = new EmbeddingPack().pack(records, {
+        dtype: args.dtype,
+        bufferName: bufferName
+    });
+    skipped.forEach(item => {
+        console.warn(`跳过第 ${item.index + 1} 条记录${item.id ? ` (${item.id})` : ''}: ${item.reason}`);
+    });
+    withoutUnified.forEach(item => {
+        console.warn(`第 ${item.index + 1} 条记录${item.id ? ` (${item.id})` : ''}不打包unified向量: ${item.reason}`);
+    });
+    
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(bufferPath, buffer);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    
+    const inputSize = fs.statSync(args.input).size;
+    const outputSize = buffer.byteLength + fs.statSync(manifestPath).size;
+    console.log(`✓ ${manifest.count} 个参与者 (${args.dtype}, semantic ${manifest.embeddings.semantic.dims} 维)`);
+    console.log(`  ${manifestPath}`);
+    console.log(`  ${bufferPath}`);
+    console.log(`  ${formatSize(inputSize)} → ${formatSize(outputSize)}`);
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
+
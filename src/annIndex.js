@@ -0,0 +1,343 @@
+/**
+ * 近似最近邻索引（随机投影树森林）
+ * 精确的k近邻（SimilarityIndex.topK）计算量随人数平方增长，上万人的语料需要近似方法：
+ * 每棵树用随机选出的两个参与者的垂直平分面（过原点，向量已归一化）递归切分，直到叶子不超过leafSize人；
+ * 同一叶子里的人互为候选邻居，多棵树的候选合并后再做一到两轮"邻居的邻居"精修，最后按精确相似度排序
+ * 查询任意向量时沿每棵树向下、按到切分面的距离优先展开附近的分支，收集足够的候选后精确排序
+ * 树只保存切分用的两个参与者编号，森林可以序列化缓存；固定种子，同一份数据每次得到相同的结果
+ */
+
+import { createNeighborLists, insertNeighbor, neighborsOf } from './similarityIndex.js';
+import { createRandom } from './random.js';
+
+// 召回率/速度档位：树越多、叶子越大、精修轮数越多，越接近精确结果，也越慢
+export const ANN_PRESETS = {
+    fast: { trees: 4, leafSize: 32, refine: 1 },
+    balanced: { trees: 8, leafSize: 32, refine: 2 },
+    accurate: { trees: 16, leafSize: 48, refine: 2 }
+};
+
+// 近邻搜索设置为auto时，超过这个人数改用近似索引（balanced）
+export const ANN_AUTO_THRESHOLD = 5000;
+
+export class AnnIndex {
+    /**
+     * @param {SimilarityIndex} index - 已归一化的向量
+     * @param {Object} options
+     *   - trees: number (树的数量，默认8)
+     *   - leafSize: number (叶子的最大人数，默认32)
+     *   - refine: number ("邻居的邻居"精修轮数，默认2)
+     *   - searchK: number (查询时最少检查的候选数，默认 trees × leafSize)
+     *   - seed: number (随机种子，默认42)
+     */
+    constructor(index, options = {}) {
+        this.index = index;
+        this.options = {
+            ...ANN_PRESETS.balanced,
+            seed: 42,
+            ...options
+        };
+        this.trees = [];
+    }
+    
+    /**
+     * 建立森林
+     * @param {Function} onProgress - (fraction) => void，每建好一棵树调用一次
+     */
+    build(onProgress = null) {
+        const random = createRandom(this.options.seed);
+        const items = [];
+        for (let i = 0; i < this.index.count; i++) {
+            if (this.index.valid[i]) items.push(i);
+        }
+        
+        this.trees = [];
+        for (let t = 0; t < this.options.trees; t++) {
+            this.trees.push(this.buildTree(Int32Array.from(items), random));
+            onProgress?.((t + 1) / this.options.trees);
+        }
+        return this;
+    }
+    
+    /**
+     * 一棵树：内部节点保存切分用的两个参与者编号(splitA, splitB)和左右子节点；
+     * 子节点编号为负数时表示叶子 ~leaf，叶子的成员是 leafItems[leafOffsets[leaf], leafOffsets[leaf + 1])
+     */
+    buildTree(items, random) {
+        const { leafSize } = this.options;
+        const splitA = [];
+        const splitB = [];
+        const left = [];
+        const right = [];
+        const leafOffsets = [0];
+        const leafItems = new Int32Array(items.length);
+        let leafCursor = 0;
+        
+        const addLeaf = (members) => {
+            leafItems.set(members, leafCursor);
+            leafCursor += members.length;
+            leafOffsets.push(leafCursor);
+            return ~(leafOffsets.length - 2);
+        };
+        
+        // 用显式栈代替递归；parent/side记录新节点要挂在哪里
+        let root = null;
+        const stack = [{ members: items, parent: -1, side: 0 }];
+        while (stack.length > 0) {
+            const { members, parent, side } = stack.pop();
+            let node;
+            const split = members.length > leafSize ? this.split(members, random) : null;
+            if (!split) {
+                node = addLeaf(members);
+            } else {
+                node = splitA.length;
+                splitA.push(split.a);
+                splitB.push(split.b);
+                left.push(0);
+                right.push(0);
+                stack.push({ members: split.right, parent: node, side: 1 });
+                stack.push({ members: split.left, parent: node, side: 0 });
+            }
+            
+            if (parent < 0) {
+                root = node;
+            } else if (side === 0) {
+                left[parent] = node;
+            } else {
+                right[parent] = node;
+            }
+        }
+        
+        return {
+            root,
+            splitA: Int32Array.from(splitA),
+            splitB: Int32Array.from(splitB),
+            left: Int32Array.from(left),
+            right: Int32Array.from(right),
+            leafOffsets: Int32Array.from(leafOffsets),
+            leafItems
+        };
+    }
+    
+    /**
+     * 随机取两个人，按离谁更近分成两半；几次都分不开（如向量完全相同）时按顺序对半分
+     */
+    split(members, random) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const a = members[Math.floor(random() * members.length)];
+            const b = members[Math.floor(random() * members.length)];
+            if (a === b) continue;
+            
+            const leftMembers = [];
+            const rightMembers = [];
+            members.forEach(i => {
+                (this.margin(i, a, b) >= 0 ? leftMembers : rightMembers).push(i);
+            });
+            if (leftMembers.length > 0 && rightMembers.length > 0) {
+                return { a, b, left: Int32Array.from(leftMembers), right: Int32Array.from(rightMembers) };
+            }
+        }
+        
+        // 切分面取 (a, a)：margin恒为0，查询时两边同等对待
+        const half = members.length >> 1;
+        return { a: members[0], b: members[0], left: members.slice(0, half), right: members.slice(half) };
+    }
+    
+    /**
+     * 参与者i到切分面的有向距离：正数在a一侧
+     */
+    margin(i, a, b) {
+        return this.index.similarity(i, a) - this.index.similarity(i, b);
+    }
+    
+    /**
+     * 每个参与者的k个近似最近邻，格式与 SimilarityIndex.topK() 相同
+     * @param {number} k
+     * @param {Object} options
+     *   - threshold: number (低于这个相似度的邻居不保留)
+     *   - onProgress: (fraction) => void
+     */
+    topK(k, options = {}) {
+        const { threshold = -Infinity, onProgress = null } = options;
+        const n = this.index.count;
+        const lists = createNeighborLists(n, k);
+        if (k <= 0) return lists;
+        
+        const steps = this.trees.length + this.options.refine;
+        const consider = (i, j) => {
+            if (i === j || this.contains(lists, i, j)) return;
+            const similarity = this.index.similarity(i, j);
+            if (similarity < threshold) return;
+            insertNeighbor(lists, i, j, similarity);
+            if (!this.contains(lists, j, i)) {
+                insertNeighbor(lists, j, i, similarity);
+            }
+        };
+        
+        // 同一叶子中的人两两比较
+        this.trees.forEach((tree, t) => {
+            for (let leaf = 0; leaf + 1 < tree.leafOffsets.length; leaf++) {
+                const start = tree.leafOffsets[leaf];
+                const end = tree.leafOffsets[leaf + 1];
+                for (let p = start; p < end; p++) {
+                    for (let q = p + 1; q < end; q++) {
+                        consider(tree.leafItems[p], tree.leafItems[q]);
+                    }
+                }
+            }
+            onProgress?.((t + 1) / steps);
+        });
+        
+        // 精修：邻居的邻居很可能也是邻居
+        for (let round = 0; round < this.options.refine; round++) {
+            const snapshot = Int32Array.from(lists.indices);
+            const counts = Int32Array.from(lists.counts);
+            for (let i = 0; i < n; i++) {
+                for (let r = 0; r < counts[i]; r++) {
+                    const j = snapshot[i * k + r];
+                    for (let s = 0; s < counts[j]; s++) {
+                        consider(i, snapshot[j * k + s]);
+                    }
+                }
+            }
+            onProgress?.((this.trees.length + round + 1) / steps);
+        }
+        
+        return lists;
+    }
+    
+    contains(lists, row, index) {
+        const base = row * lists.k;
+        for (let r = 0; r < lists.counts[row]; r++) {
+            if (lists.indices[base + r] === index) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 与任意向量最相似的k个参与者（近似），接口与 SimilarityIndex.query() 相同
+     * @param {ArrayLike<number>} vector
+     * @param {number} k
+     * @param {Object} options
+     *   - exclude: Set<number>
+     *   - searchK: number (覆盖构造参数中的searchK)
+     */
+    query(vector, k, options = {}) {
+        const normalized = this.index.normalize(vector);
+        if (!normalized || k <= 0) return [];
+        
+        const exclude = options.exclude || new Set();
+        const searchK = options.searchK || this.options.searchK || this.options.trees * this.options.leafSize;
+        const seen = new Uint8Array(this.index.count);
+        const lists = createNeighborLists(1, k);
+        let inspected = 0;
+        
+        // 优先队列：按离切分面的距离（越远越确定在这一侧）展开分支，每棵树的根优先级最高
+        const heap = new MaxHeap();
+        this.trees.forEach((tree, t) => heap.push(Infinity, t, tree.root));
+        while (heap.size > 0 && inspected < searchK) {
+            const { priority, tree: t, node } = heap.pop();
+            const tree = this.trees[t];
+            if (node < 0) {
+                const leaf = ~node;
+                for (let p = tree.leafOffsets[leaf]; p < tree.leafOffsets[leaf + 1]; p++) {
+                    const i = tree.leafItems[p];
+                    if (seen[i]) continue;
+                    seen[i] = 1;
+                    inspected++;
+                    if (!exclude.has(i)) {
+                        insertNeighbor(lists, 0, i, this.index.similarityTo(normalized, i));
+                    }
+                }
+                continue;
+            }
+            
+            const margin = this.index.similarityTo(normalized, tree.splitA[node]) - this.index.similarityTo(normalized, tree.splitB[node]);
+            heap.push(Math.min(priority, margin), t, tree.left[node]);
+            heap.push(Math.min(priority, -margin), t, tree.right[node]);
+        }
+        
+        return neighborsOf(lists, 0);
+    }
+    
+    /**
+     * 可以结构化复制（IndexedDB、postMessage）的森林数据
+     */
+    serialize() {
+        return { options: this.options, trees: this.trees };
+    }
+    
+    /**
+     * 从 serialize() 的结果恢复，index必须是建索引时的同一份向量
+     */
+    static restore(index, serialized) {
+        const ann = new AnnIndex(index, serialized.options);
+        ann.trees = serialized.trees;
+        return ann;
+    }
+}
+
+/**
+ * query() 用的二叉大顶堆
+ */
+class MaxHeap {
+    constructor() {
+        this.items = [];
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    push(priority, tree, node) {
+        const items = this.items;
+        items.push({ priority, tree, node });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority >= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+    
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let largest = i;
+                if (l < items.length && items[l].priority > items[largest].priority) largest = l;
+                if (r < items.length && items[r].priority > items[largest].priority) largest = r;
+                if (largest === i) break;
+                [items[largest], items[i]] = [items[i], items[largest]];
+                i = largest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * 按档位建立近似索引并计算k近邻图（供计算Worker调用）
+ * @param {SimilarityIndex} index
+ * @param {string|Object} preset - ANN_PRESETS 中的档位名或自定义选项
+ * @returns {{neighbors, forest}} forest为 serialize() 的结果
+ */
+export function buildAnnNeighbors(index, preset, k, options = {}) {
+    const settings = typeof preset === 'string' ? ANN_PRESETS[preset] : preset;
+    if (!settings) {
+        throw new Error(`未知的近似索引档位: ${preset}（可选: ${Object.keys(ANN_PRESETS).join(', ')}）`);
+    }
+    
+    // 建树约占总时间的一成
+    const { onProgress = null, threshold } = options;
+    const ann = new AnnIndex(index, settings).build(fraction => onProgress?.(fraction * 0.1));
+    const neighbors = ann.topK(k, { threshold, onProgress: fraction => onProgress?.(0.1 + fraction * 0.9) });
+    return { neighbors, forest: ann.serialize() };
+}
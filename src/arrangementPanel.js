@@ -0,0 +1,183 @@
+/**
+ * 手动排列面板
+ * 显示在header的控件中：点击"Arrangements"展开，可以保存当前排列、恢复或删除保存的排列、导出和导入排列文件、解除所有固定
+ */
+
+import { parseArrangement } from './arrangementStore.js';
+
+export class ArrangementPanel {
+    /**
+     * @param {HTMLElement|string} container - 放置按钮和面板的元素
+     * @param {Object} options
+     *   - store: ArrangementStore (排列的读写)
+     *   - capture: (name) => Object (当前的排列，见 captureArrangement)
+     *   - restore: (arrangement) => number (恢复排列，返回放回的人数)
+     *   - unpinAll: () => void (解除所有固定)
+     */
+    constructor(container, options = {}) {
+        this.container = d3.select(container);
+        this.store = options.store;
+        this.capture = options.capture;
+        this.restore = options.restore;
+        this.unpinAll = options.unpinAll || (() => {});
+        this.open = false;
+        
+        this.render();
+        
+        // 点击面板以外的地方时收起
+        d3.select(document).on('click.arrangement-panel', (event) => {
+            if (this.open && !this.container.node().contains(event.target)) {
+                this.toggle(false);
+            }
+        });
+    }
+    
+    render() {
+        this.container.html('');
+        this.button = this.container.append('button')
+            .attr('class', 'arrangements-toggle')
+            .attr('type', 'button')
+            .text('Arrangements ▾')
+            .on('click', () => this.toggle(!this.open));
+        
+        this.panel = this.container.append('div')
+            .attr('class', 'arrangements-panel')
+            .style('display', 'none');
+        this.panel.append('h5').text('Manual arrangements');
+        this.panel.append('p')
+            .attr('class', 'arrangements-hint')
+            .text('Drag a glyph to pin it where you drop it. Alt-click a glyph to unpin it.');
+        
+        const savedRow = this.panel.append('div').attr('class', 'arrangements-row');
+        this.select = savedRow.append('select')
+            .attr('title', 'Saved arrangements')
+            .on('change', () => this.update(false));
+        this.restoreButton = savedRow.append('button')
+            .attr('type', 'button')
+            .text('Restore')
+            .on('click', () => {
+                const arrangement = this.store.get(this.select.property('value'));
+                if (arrangement) this.apply(arrangement);
+            });
+        this.deleteButton = savedRow.append('button')
+            .attr('type', 'button')
+            .text('Delete')
+            .on('click', () => {
+                const name = this.select.property('value');
+                if (name && window.confirm(`Delete the arrangement "${name}"?`)) {
+                    this.store.remove(name);
+                    this.update();
+                }
+            });
+        
+        const fileRow = this.panel.append('div').attr('class', 'arrangements-row');
+        fileRow.append('button')
+            .attr('type', 'button')
+            .text('Export file')
+            .attr('title', 'Download the selected arrangement, or the current one, as a JSON file')
+            .on('click', () => this.download());
+        const fileInput = fileRow.append('input')
+            .attr('type', 'file')
+            .attr('accept', '.json,application/json')
+            .style('display', 'none')
+            .on('change', (event) => {
+                const file = event.target.files[0];
+                event.target.value = '';
+                if (file) this.importFile(file);
+            });
+        fileRow.append('button')
+            .attr('type', 'button')
+            .text('Import file...')
+            .on('click', () => fileInput.node().click());
+        
+        this.panel.append('button')
+            .attr('class', 'arrangements-wide')
+            .attr('type', 'button')
+            .text('Save current arrangement...')
+            .on('click', () => {
+                const name = window.prompt('Arrangement name:', '');
+                if (name === null) return;
+                if (!name.trim()) {
+                    window.alert('Please give the arrangement a name.');
+                } else if (!this.store.save(this.capture(name))) {
+                    window.alert('This arrangement could not be saved in the browser. Try exporting it as a file instead.');
+                }
+                this.update(true, name.trim());
+            });
+        this.panel.append('button')
+            .attr('class', 'arrangements-wide')
+            .attr('type', 'button')
+            .text('Unpin all')
+            .on('click', () => this.unpinAll());
+        
+        this.update();
+    }
+    
+    /**
+     * 恢复一个排列；当前数据中一个人都没有时提示
+     */
+    apply(arrangement) {
+        const restored = this.restore(arrangement);
+        if (restored === 0) {
+            window.alert(`None of the people in "${arrangement.name}" are in the current data.`);
+        }
+    }
+    
+    /**
+     * 导出所选的排列；没有保存的排列时导出当前排列
+     */
+    download() {
+        const arrangement = this.store.get(this.select.property('value')) || this.capture('Arrangement');
+        const blob = new Blob([JSON.stringify(arrangement)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${arrangement.name.replace(/[\\/:*?"<>|]+/g, '_') || 'arrangement'}.arrangement.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * 导入排列文件：恢复它，并（以文件名为默认名）保存到浏览器中
+     */
+    async importFile(file) {
+        let arrangement;
+        try {
+            arrangement = parseArrangement(JSON.parse(await file.text()), file.name.replace(/(\.arrangement)?\.json$/i, ''));
+        } catch (error) {
+            console.warn('导入排列失败:', error);
+            window.alert(`${file.name} is not an arrangement file.`);
+            return;
+        }
+        this.store.save(arrangement);
+        this.update(true, arrangement.name);
+        this.apply(arrangement);
+    }
+    
+    toggle(open) {
+        this.open = open;
+        this.panel.style('display', open ? null : 'none');
+        this.button.classed('active', open);
+    }
+    
+    /**
+     * @param {boolean} refresh - 是否重新读取保存的排列
+     * @param {string|null} selected - 更新后选中的排列名
+     */
+    update(refresh = true, selected = null) {
+        if (refresh) {
+            const current = selected ?? this.select.property('value');
+            const arrangements = this.store.list();
+            this.select.selectAll('option')
+                .data(arrangements.length > 0 ? arrangements : [{ name: '', label: 'No saved arrangements' }], d => d.name)
+                .join('option')
+                .attr('value', d => d.name)
+                .attr('title', d => d.savedAt ? `Saved ${new Date(d.savedAt).toLocaleString()}` : null)
+                .text(d => d.label || `${d.name} (${Object.keys(d.positions).length} people)`);
+            if (arrangements.some(a => a.name === current)) this.select.property('value', current);
+        }
+        const hasSelection = Boolean(this.select.property('value'));
+        this.restoreButton.property('disabled', !hasSelection);
+        this.deleteButton.property('disabled', !hasSelection);
+    }
+}
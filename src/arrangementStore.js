@@ -0,0 +1,157 @@
+/**
+ * 手动排列的保存和恢复
+ * 研究者拖动glyph讲故事时，可以把当前的排列（每个人的位置、是否固定，以及画面的缩放和平移）按名字保存在浏览器localStorage中，
+ * 或导出为JSON文件；恢复时按参与者ID放回，当前数据中没有的人忽略，排列中没有的人保持原样
+ */
+
+export const ARRANGEMENT_FORMAT = 'jellysoul-arrangement';
+
+/**
+ * 当前的排列
+ * @param {Array} nodes
+ * @param {{x, y, k}} transform - d3.zoom的变换
+ * @param {Object} meta
+ *   - name: string (排列的名字)
+ *   - layout: string (保存时的布局，只作记录，恢复时不切换布局)
+ *   - dataset: string|null (数据集的缓存键，只作记录)
+ * @returns {{format, name, layout, dataset, savedAt, transform: {x, y, k}, positions: Object}}
+ *   positions为 id → [x, y]，固定的人为 [x, y, 1]；坐标保留一位小数
+ */
+export function captureArrangement(nodes, transform, meta = {}) {
+    const round = value => Math.round(value * 10) / 10;
+    const positions = {};
+    nodes.forEach(node => {
+        if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) return;
+        positions[node.id] = node.fx != null && node.fy != null
+            ? [round(node.fx), round(node.fy), 1]
+            : [round(node.x), round(node.y)];
+    });
+    return {
+        format: ARRANGEMENT_FORMAT,
+        name: String(meta.name || '').trim(),
+        layout: meta.layout || null,
+        dataset: meta.dataset || null,
+        savedAt: new Date().toISOString(),
+        transform: { x: transform.x, y: transform.y, k: transform.k },
+        positions
+    };
+}
+
+/**
+ * 检查从文件或localStorage读到的排列，去掉无效的位置
+ * @param {Object} value
+ * @param {string} fallbackName - 没有名字时使用（如导入的文件名）
+ * @returns {Object} 与 captureArrangement() 的结果形式相同
+ */
+export function parseArrangement(value, fallbackName = '') {
+    if (!value || value.format !== ARRANGEMENT_FORMAT || typeof value.positions !== 'object' || value.positions === null) {
+        throw new Error('不是有效的排列文件');
+    }
+    const positions = {};
+    Object.entries(value.positions).forEach(([id, position]) => {
+        if (!Array.isArray(position) || !Number.isFinite(position[0]) || !Number.isFinite(position[1])) return;
+        positions[id] = position[2] ? [position[0], position[1], 1] : [position[0], position[1]];
+    });
+    const transform = value.transform || {};
+    return {
+        format: ARRANGEMENT_FORMAT,
+        name: String(value.name || fallbackName).trim(),
+        layout: value.layout || null,
+        dataset: value.dataset || null,
+        savedAt: value.savedAt || null,
+        transform: {
+            x: Number.isFinite(transform.x) ? transform.x : 0,
+            y: Number.isFinite(transform.y) ? transform.y : 0,
+            k: Number.isFinite(transform.k) && transform.k > 0 ? transform.k : 1
+        },
+        positions
+    };
+}
+
+/**
+ * 把排列放回节点上：排列中有的人移到保存的位置，保存时固定的人设置fx/fy、没有固定的人解除固定；排列中没有的人保持原样
+ * @returns {number} 放回的人数
+ */
+export function applyArrangement(arrangement, nodes) {
+    let restored = 0;
+    nodes.forEach(node => {
+        const position = arrangement.positions[node.id];
+        if (!position) return;
+        [node.x, node.y] = position;
+        node.vx = 0;
+        node.vy = 0;
+        node.fx = position[2] ? position[0] : null;
+        node.fy = position[2] ? position[1] : null;
+        restored++;
+    });
+    return restored;
+}
+
+/**
+ * 保存在浏览器localStorage中的排列，同名的排列会被覆盖
+ */
+export class ArrangementStore {
+    /**
+     * @param {Object} options
+     *   - storageKey: string (localStorage的键，默认 'jellysoul.arrangements')
+     */
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'jellysoul.arrangements',
+            ...options
+        };
+    }
+    
+    /**
+     * @returns {Array<Object>} 按保存时间从新到旧
+     */
+    list() {
+        return this.readSaved().sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    }
+    
+    get(name) {
+        return this.readSaved().find(arrangement => arrangement.name === name) || null;
+    }
+    
+    /**
+     * @returns {boolean} 是否保存成功（没有名字或超出localStorage的容量时失败）
+     */
+    save(arrangement) {
+        if (!arrangement.name) return false;
+        const arrangements = this.readSaved().filter(saved => saved.name !== arrangement.name);
+        arrangements.push(arrangement);
+        return this.writeSaved(arrangements);
+    }
+    
+    remove(name) {
+        return this.writeSaved(this.readSaved().filter(arrangement => arrangement.name !== name));
+    }
+    
+    readSaved() {
+        try {
+            const parsed = JSON.parse(globalThis.localStorage?.getItem(this.options.storageKey) || '[]');
+            if (!Array.isArray(parsed)) return [];
+            return parsed.flatMap(value => {
+                try {
+                    const arrangement = parseArrangement(value);
+                    return arrangement.name ? [arrangement] : [];
+                } catch (error) {
+                    return [];
+                }
+            });
+        } catch (error) {
+            console.warn('读取保存的排列失败:', error);
+            return [];
+        }
+    }
+    
+    writeSaved(arrangements) {
+        try {
+            globalThis.localStorage.setItem(this.options.storageKey, JSON.stringify(arrangements));
+            return true;
+        } catch (error) {
+            console.warn('保存排列失败:', error);
+            return false;
+        }
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import { EmotiveArt } from './emotiveArt.js';
+import { emotionIntensity } from './emotionModel.js';
 
 export class ClusterFusion {
     constructor(canvas, ctx) {
@@ -116,9 +117,7 @@ export class ClusterFusion {
         // 计算聚类内节点的平均情感特征
         const avgEmotion = clusterBounds.nodes.length > 0
             ? clusterBounds.nodes.reduce((sum, n) => {
-                const e = n.isotype_signature?.emotion || [];
-                const maxE = e.length > 0 ? Math.max(...e) : 0.5;
-                return sum + maxE;
+                return sum + (emotionIntensity(n.isotype_signature) ?? 0);
             }, 0) / clusterBounds.nodes.length
             : 0.5;
         
@@ -406,14 +405,17 @@ export class ClusterFusion {
     
     /**
      * 渲染所有聚类融合
+     * @param {Array<Array>|null} groups - 已经分好的聚类（如剪开树状图得到的），提供时不再按连接检测
      */
-    renderClusters(nodes, links, similarityThreshold = 0.7) {
-        if (!nodes || nodes.length === 0 || !links || links.length === 0) {
+    renderClusters(nodes, links, similarityThreshold = 0.7, groups = null) {
+        if (!nodes || nodes.length === 0 || (!groups && (!links || links.length === 0))) {
             return [];
         }
         
-        // 检测聚类（使用更宽松的阈值）
-        const clusters = this.detectClusters(nodes, links, similarityThreshold * 0.9); // 降低阈值以检测更多聚类
+        // 检测聚类（使用更宽松的阈值）；只有一个人的分组不融合
+        const clusters = groups
+            ? groups.filter(group => group && group.length >= 2)
+            : this.detectClusters(nodes, links, similarityThreshold * 0.9); // 降低阈值以检测更多聚类
         
         if (clusters.length === 0) {
             console.log('未检测到聚类');
@@ -0,0 +1,323 @@
+/**
+ * 聚类模块
+ * 对嵌入向量做k-means聚类（k-means++初始化），并用轮廓系数自动选择k
+ * 使用固定种子的随机数，同一份数据每次得到相同的聚类结果
+ */
+
+import { createRandom } from './random.js';
+
+export class EmbeddingClusterer {
+    /**
+     * @param {Object} options
+     *   - seed: number (随机种子，默认42)
+     *   - minK / maxK: number (自动选择k的范围，默认2-8，且不超过 √n)
+     *   - maxIterations: number (每次k-means的最大迭代次数，默认50)
+     *   - restarts: number (每个k用不同初始中心运行的次数，取误差最小的一次，默认3)
+     *   - minSilhouette: number (最佳k的轮廓系数低于该值时认为数据没有明显分组，全部归为一类，默认0.05)
+     *   - sampleSize: number (选择k时最多使用的样本数，默认400；轮廓系数的计算量随样本数平方增长)
+     */
+    constructor(options = {}) {
+        this.options = {
+            seed: 42,
+            minK: 2,
+            maxK: 8,
+            maxIterations: 50,
+            restarts: 3,
+            minSilhouette: 0.05,
+            sampleSize: 400,
+            ...options
+        };
+    }
+    
+    /**
+     * 聚类
+     * @param {Array<Array<number>>} vectors - 向量列表
+     * @param {Object} options
+     *   - metric: 'cosine' | 'euclidean' (cosine会先把向量归一化，即球面k-means)
+     *   - k: number (指定k时跳过自动选择)
+     * @returns {{labels: number[], k: number, silhouette: number|null}} 标签按聚类大小排序，0为最大的聚类
+     */
+    cluster(vectors, options = {}) {
+        const { metric = 'cosine', k: fixedK = null } = options;
+        const n = vectors.length;
+        if (n === 0) {
+            return { labels: [], k: 0, silhouette: null };
+        }
+        
+        const data = this.toMatrix(vectors, metric === 'cosine');
+        
+        let k = fixedK;
+        let silhouette = null;
+        if (!k) {
+            ({ k, silhouette } = this.chooseK(data));
+        }
+        
+        if (k <= 1) {
+            return { labels: new Array(n).fill(0), k: 1, silhouette };
+        }
+        
+        const result = this.bestOfRestarts(data, k, this.options.seed);
+        const labels = this.relabelBySize(result.labels, result.k);
+        // 空的聚类在重新编号时去掉了，k为实际的聚类数
+        return { labels, k: new Set(labels).size, silhouette };
+    }
+    
+    /**
+     * 在样本上尝试不同的k，选择平均轮廓系数最高的一个
+     */
+    chooseK(data) {
+        const sample = this.sampleRows(data, this.options.sampleSize);
+        const maxK = Math.min(this.options.maxK, Math.floor(Math.sqrt(sample.n)), sample.n - 1);
+        
+        let best = { k: 1, silhouette: null };
+        for (let k = this.options.minK; k <= maxK; k++) {
+            const result = this.bestOfRestarts(sample, k, this.options.seed + k);
+            if (result.k < k) break; // 不同的点不足k个
+            
+            const score = this.silhouette(sample, result.labels, result.k);
+            if (best.silhouette === null || score > best.silhouette) {
+                best = { k, silhouette: score };
+            }
+        }
+        
+        if (best.silhouette === null || best.silhouette < this.options.minSilhouette) {
+            return { k: 1, silhouette: best.silhouette };
+        }
+        return best;
+    }
+    
+    /**
+     * 多次运行k-means，返回误差平方和最小的结果
+     */
+    bestOfRestarts(data, k, seed) {
+        const random = createRandom(seed);
+        let best = null;
+        for (let run = 0; run < this.options.restarts; run++) {
+            const result = this.kmeans(data, k, random);
+            if (!best || result.inertia < best.inertia) {
+                best = result;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * k-means（k-means++初始化）
+     * @returns {{labels: Int32Array, k: number, inertia: number}} 实际的k可能因重复点而小于请求的k
+     */
+    kmeans(data, k, random) {
+        const { n, dim, values } = data;
+        const centroids = this.initCentroids(data, k, random);
+        k = centroids.length / dim;
+        
+        const labels = new Int32Array(n).fill(-1);
+        const counts = new Int32Array(k);
+        let inertia = 0;
+        
+        for (let iteration = 0; iteration < this.options.maxIterations; iteration++) {
+            // 分配
+            let changed = 0;
+            inertia = 0;
+            for (let i = 0; i < n; i++) {
+                let bestCluster = 0;
+                let bestDistance = Infinity;
+                for (let c = 0; c < k; c++) {
+                    const distance = this.squaredDistance(values, i * dim, centroids, c * dim, dim);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        bestCluster = c;
+                    }
+                }
+                inertia += bestDistance;
+                if (labels[i] !== bestCluster) {
+                    labels[i] = bestCluster;
+                    changed++;
+                }
+            }
+            if (changed === 0) break;
+            
+            // 更新中心
+            centroids.fill(0);
+            counts.fill(0);
+            for (let i = 0; i < n; i++) {
+                const c = labels[i];
+                counts[c]++;
+                for (let d = 0; d < dim; d++) {
+                    centroids[c * dim + d] += values[i * dim + d];
+                }
+            }
+            for (let c = 0; c < k; c++) {
+                for (let d = 0; counts[c] > 0 && d < dim; d++) {
+                    centroids[c * dim + d] /= counts[c];
+                }
+            }
+            for (let c = 0; c < k; c++) {
+                if (counts[c] === 0) {
+                    // 空聚类：用离自己中心最远的点重新开始
+                    const far = this.farthestPoint(data, labels, centroids);
+                    centroids.set(values.subarray(far * dim, far * dim + dim), c * dim);
+                    labels[far] = c;
+                }
+            }
+        }
+        
+        return { labels, k, inertia };
+    }
+    
+    /**
+     * k-means++：按到最近中心距离的平方概率选择下一个中心
+     */
+    initCentroids(data, k, random) {
+        const { n, dim, values } = data;
+        const centroids = [];
+        const distances = new Float64Array(n).fill(Infinity);
+        
+        let next = Math.floor(random() * n);
+        for (let c = 0; c < k; c++) {
+            const offset = centroids.length;
+            for (let d = 0; d < dim; d++) {
+                centroids.push(values[next * dim + d]);
+            }
+            
+            let total = 0;
+            for (let i = 0; i < n; i++) {
+                const distance = this.squaredDistance(values, i * dim, centroids, offset, dim);
+                if (distance < distances[i]) distances[i] = distance;
+                total += distances[i];
+            }
+            if (total <= 1e-12) break; // 剩下的点都与已有中心重合
+            
+            let target = random() * total;
+            next = n - 1;
+            for (let i = 0; i < n; i++) {
+                target -= distances[i];
+                if (target <= 0) {
+                    next = i;
+                    break;
+                }
+            }
+        }
+        
+        return Float64Array.from(centroids);
+    }
+    
+    /**
+     * 平均轮廓系数（-1到1，越高说明聚类越分明）
+     */
+    silhouette(data, labels, k) {
+        const { n, dim, values } = data;
+        let total = 0;
+        
+        for (let i = 0; i < n; i++) {
+            const sums = new Float64Array(k);
+            const counts = new Int32Array(k);
+            for (let j = 0; j < n; j++) {
+                if (i === j) continue;
+                sums[labels[j]] += Math.sqrt(this.squaredDistance(values, i * dim, values, j * dim, dim));
+                counts[labels[j]]++;
+            }
+            
+            const own = labels[i];
+            if (counts[own] === 0) continue; // 单点聚类的轮廓系数记为0
+            
+            const a = sums[own] / counts[own];
+            let b = Infinity;
+            for (let c = 0; c < k; c++) {
+                if (c !== own && counts[c] > 0) {
+                    b = Math.min(b, sums[c] / counts[c]);
+                }
+            }
+            if (b === Infinity) continue;
+            
+            const denominator = Math.max(a, b);
+            total += denominator > 0 ? (b - a) / denominator : 0;
+        }
+        
+        return total / n;
+    }
+    
+    farthestPoint(data, labels, centroids) {
+        const { n, dim, values } = data;
+        let farthest = 0;
+        let maxDistance = -1;
+        for (let i = 0; i < n; i++) {
+            const distance = this.squaredDistance(values, i * dim, centroids, labels[i] * dim, dim);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        return farthest;
+    }
+    
+    /**
+     * 按聚类大小重新编号（0为最大的聚类），使标签与随机初始化无关；空的聚类不占编号
+     */
+    relabelBySize(labels, k) {
+        const counts = new Array(k).fill(0);
+        labels.forEach(label => counts[label]++);
+        
+        const order = counts
+            .map((count, label) => ({ count, label }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || a.label - b.label);
+        
+        const mapping = new Map(order.map((entry, index) => [entry.label, index]));
+        return Array.from(labels, label => mapping.get(label));
+    }
+    
+    /**
+     * 转换为连续内存的矩阵（cosine时先做L2归一化）
+     */
+    toMatrix(vectors, normalize) {
+        const n = vectors.length;
+        const dim = vectors[0]?.length || 0;
+        const values = new Float64Array(n * dim);
+        
+        vectors.forEach((vector, i) => {
+            let norm = 0;
+            for (let d = 0; d < dim; d++) {
+                const value = vector[d] || 0;
+                values[i * dim + d] = value;
+                norm += value * value;
+            }
+            if (normalize && norm > 0) {
+                norm = Math.sqrt(norm);
+                for (let d = 0; d < dim; d++) {
+                    values[i * dim + d] /= norm;
+                }
+            }
+        });
+        
+        return { n, dim, values };
+    }
+    
+    /**
+     * 随机抽样（固定种子，结果可复现），用于在大数据集上选择k
+     */
+    sampleRows(data, size) {
+        if (data.n <= size) return data;
+        
+        const { dim, values } = data;
+        const random = createRandom(this.options.seed);
+        const indices = Array.from({ length: data.n }, (_, i) => i);
+        const sampled = new Float64Array(size * dim);
+        for (let i = 0; i < size; i++) {
+            const j = i + Math.floor(random() * (data.n - i));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+            const row = indices[i];
+            sampled.set(values.subarray(row * dim, row * dim + dim), i * dim);
+        }
+        return { n: size, dim, values: sampled };
+    }
+    
+    squaredDistance(a, offsetA, b, offsetB, dim) {
+        let sum = 0;
+        for (let d = 0; d < dim; d++) {
+            const diff = a[offsetA + d] - b[offsetB + d];
+            sum += diff * diff;
+        }
+        return sum;
+    }
+}
+
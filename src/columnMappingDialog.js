@@ -0,0 +1,148 @@
+/**
+ * 列映射对话框
+ * 导入CSV/TSV/JSON Lines时，让用户确认每一列对应的参与者字段
+ */
+
+// d3通过CDN全局引入，不需要import
+import { MAPPING_FIELDS } from './tabularImporter.js';
+
+export class ColumnMappingDialog {
+    constructor(container = document.body) {
+        this.container = d3.select(container);
+    }
+    
+    /**
+     * 打开对话框
+     * @param {Object} request - DataLoader传入的 {columns, mapping, sampleRows, name}
+     * @returns {Promise<Object|null>} 确认后的映射，取消时为null
+     */
+    open({ columns, mapping, sampleRows = [], name = '' }) {
+        this.close();
+        
+        return new Promise((resolve) => {
+            const overlay = this.container.append('div').attr('class', 'column-mapping-overlay');
+            const dialog = overlay.append('div').attr('class', 'column-mapping-dialog');
+            this.overlay = overlay;
+            
+            const finish = (result) => {
+                this.close();
+                resolve(result);
+            };
+            
+            dialog.append('div')
+                .attr('class', 'column-mapping-header')
+                .html(`<strong>Map columns</strong><span>${this.escapeHtml(name)} · ${columns.length} columns</span>`);
+            
+            // 目标字段 → 列
+            const fields = dialog.append('div').attr('class', 'column-mapping-fields');
+            MAPPING_FIELDS.forEach(field => {
+                const row = fields.append('label').attr('class', 'column-mapping-field');
+                row.append('span').text(field.required ? `${field.label} *` : field.label);
+                
+                const select = row.append('select').attr('data-field', field.key);
+                select.append('option').attr('value', '').text('— none —');
+                columns.forEach(column => {
+                    select.append('option')
+                        .attr('value', column)
+                        .property('selected', mapping[field.key] === column)
+                        .text(column);
+                });
+                select.on('change', () => this.updateState(dialog));
+            });
+            
+            // 情感分数列和元数据列
+            const emotionColumns = new Set(Object.values(mapping.emotion_columns || {}));
+            const metadataColumns = new Set(mapping.metadata || []);
+            const extras = dialog.append('table').attr('class', 'column-mapping-extras');
+            extras.append('thead').html(`
+                <tr><th>Column</th><th>Sample</th><th>Emotion score</th><th>Metadata</th></tr>
+            `);
+            const body = extras.append('tbody');
+            columns.forEach(column => {
+                const sample = sampleRows.map(row => this.preview(row[column])).find(v => v !== '') || '';
+                const tr = body.append('tr').attr('data-column', column);
+                tr.append('td').attr('class', 'column-name').text(column);
+                tr.append('td').attr('class', 'column-sample').attr('title', sample).text(sample);
+                tr.append('td').append('input')
+                    .attr('type', 'checkbox')
+                    .attr('class', 'as-emotion')
+                    .property('checked', emotionColumns.has(column));
+                tr.append('td').append('input')
+                    .attr('type', 'checkbox')
+                    .attr('class', 'as-metadata')
+                    .property('checked', metadataColumns.has(column));
+            });
+            
+            const footer = dialog.append('div').attr('class', 'column-mapping-footer');
+            footer.append('span').attr('class', 'column-mapping-status');
+            footer.append('button').attr('class', 'column-mapping-cancel').text('Cancel')
+                .on('click', () => finish(null));
+            footer.append('button').attr('class', 'column-mapping-confirm').text('Import')
+                .on('click', () => finish(this.readMapping(dialog, mapping)));
+            
+            this.updateState(dialog);
+        });
+    }
+    
+    /**
+     * 从表单读取映射
+     */
+    readMapping(dialog, suggested) {
+        const mapping = { ...suggested, emotion_columns: {}, metadata: [] };
+        
+        dialog.selectAll('select[data-field]').each(function() {
+            mapping[this.dataset.field] = this.value || null;
+        });
+        
+        dialog.selectAll('tbody tr').each(function() {
+            const column = this.dataset.column;
+            const row = d3.select(this);
+            if (row.select('.as-emotion').property('checked')) {
+                // emotion_joy -> joy
+                const label = column.replace(/^emotions?[_.:]/i, '').toLowerCase();
+                mapping.emotion_columns[label] = column;
+            }
+            if (row.select('.as-metadata').property('checked')) {
+                mapping.metadata.push(column);
+            }
+        });
+        
+        return mapping;
+    }
+    
+    /**
+     * 必需字段未映射时禁用导入按钮
+     */
+    updateState(dialog) {
+        const missing = MAPPING_FIELDS
+            .filter(field => field.required)
+            .filter(field => !dialog.select(`select[data-field="${field.key}"]`).property('value'))
+            .map(field => field.label);
+        
+        dialog.select('.column-mapping-confirm').property('disabled', missing.length > 0);
+        dialog.select('.column-mapping-status')
+            .text(missing.length > 0 ? `Required: ${missing.join(', ')}` : '');
+    }
+    
+    preview(value) {
+        if (value === undefined || value === null) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+    }
+    
+    escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    close() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
+
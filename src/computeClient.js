@@ -0,0 +1,165 @@
+/**
+ * 计算客户端
+ * 把 computeTasks.js 中的任务交给Web Worker执行，主线程只负责渲染和交互，拖动滑块时动画不会卡住
+ * 任务按提交顺序逐个执行；可以通过AbortSignal取消：排队中的任务直接移除，正在执行的任务会终止并重建Worker
+ * 被取消的任务以 error.cancelled = true 的错误拒绝，调用方应忽略这类错误
+ * 不支持module worker的环境（或Worker创建失败）时退回主线程执行，接口不变
+ */
+
+import { TASKS } from './computeTasks.js';
+
+export class ComputeClient {
+    /**
+     * @param {Object} options
+     *   - useWorker: boolean (默认true；为false时总是在主线程执行，便于调试)
+     */
+    constructor(options = {}) {
+        this.options = {
+            useWorker: true,
+            ...options
+        };
+        this.worker = null;
+        this.queue = [];
+        this.current = null;
+        this.nextId = 1;
+        this.workerAvailable = this.options.useWorker && typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * 执行一个计算任务
+     * @param {string} type - TASKS中的任务名
+     * @param {Object} payload - 任务参数（会被结构化复制到Worker中）
+     * @param {Object} options
+     *   - onProgress: (fraction) => void
+     *   - signal: AbortSignal
+     * @returns {Promise} 任务结果
+     */
+    run(type, payload, options = {}) {
+        if (!TASKS[type]) {
+            return Promise.reject(new Error(`未知的计算任务: ${type}`));
+        }
+        if (options.signal?.aborted) {
+            return Promise.reject(this.cancelledError(type));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextId++, type, payload, options, resolve, reject };
+            options.signal?.addEventListener('abort', () => this.cancel(job), { once: true });
+            this.queue.push(job);
+            this.runNext();
+        });
+    }
+    
+    /**
+     * 取消所有排队中和正在执行的任务
+     */
+    cancelAll() {
+        [...this.queue, this.current].filter(Boolean).forEach(job => this.cancel(job));
+    }
+    
+    /**
+     * 终止Worker，之后提交的任务会重新创建
+     */
+    dispose() {
+        this.cancelAll();
+        this.worker?.terminate();
+        this.worker = null;
+    }
+    
+    runNext() {
+        if (this.current || this.queue.length === 0) return;
+        const job = this.queue.shift();
+        this.current = job;
+        
+        const worker = this.getWorker();
+        if (worker) {
+            // 参数复制而不是转移：Worker加载失败时同一份参数还要在主线程重新执行
+            worker.postMessage({ id: job.id, type: job.type, payload: job.payload });
+        } else {
+            this.runInline(job);
+        }
+    }
+    
+    /**
+     * 在主线程执行：先让出一次事件循环，使界面能先显示加载状态
+     */
+    async runInline(job) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.current !== job) return;
+        try {
+            const result = TASKS[job.type](job.payload, progress => job.options.onProgress?.(progress));
+            this.finish(job, () => job.resolve(result));
+        } catch (error) {
+            this.finish(job, () => job.reject(error));
+        }
+    }
+    
+    getWorker() {
+        if (!this.workerAvailable) return null;
+        if (this.worker) return this.worker;
+        
+        try {
+            this.worker = new Worker(new URL('./computeWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('无法创建计算Worker，改为在主线程计算:', error);
+            this.workerAvailable = false;
+            return null;
+        }
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            // 模块加载失败（如浏览器不支持module worker）时，当前任务改在主线程重新执行
+            event.preventDefault?.();
+            console.warn('计算Worker出错，改为在主线程计算:', event.message || event);
+            this.workerAvailable = false;
+            this.worker?.terminate();
+            this.worker = null;
+            if (this.current) this.runInline(this.current);
+        };
+        return this.worker;
+    }
+    
+    handleMessage(message) {
+        const job = this.current;
+        if (!job || message.id !== job.id) return; // 已取消任务的迟到消息
+        
+        if ('progress' in message) {
+            job.options.onProgress?.(message.progress);
+        } else if ('error' in message) {
+            this.finish(job, () => job.reject(new Error(message.error)));
+        } else {
+            this.finish(job, () => job.resolve(message.result));
+        }
+    }
+    
+    finish(job, settle) {
+        if (this.current !== job) return;
+        this.current = null;
+        settle();
+        this.runNext();
+    }
+    
+    cancel(job) {
+        const queued = this.queue.indexOf(job);
+        if (queued >= 0) {
+            this.queue.splice(queued, 1);
+        } else if (this.current === job) {
+            // 无法中断Worker中正在执行的同步计算，直接终止，下一个任务会创建新的Worker
+            this.current = null;
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            this.runNext();
+        } else {
+            return;
+        }
+        job.reject(this.cancelledError(job.type));
+    }
+    
+    cancelledError(type) {
+        const error = new Error(`计算任务已取消: ${type}`);
+        error.cancelled = true;
+        return error;
+    }
+}
+
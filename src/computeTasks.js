@@ -0,0 +1,98 @@
+/**
+ * 计算任务
+ * 耗时的计算（k近邻、聚类、主观性特征、投影、层次聚类）写成只接收可序列化参数的纯函数，
+ * 由 computeWorker.js 在Web Worker中执行；不支持Worker的环境中由 ComputeClient 直接在主线程调用
+ * 每个任务的签名为 (payload, onProgress) => result，onProgress接收0-1之间的进度
+ */
+
+import { SimilarityIndex } from './similarityIndex.js';
+import { buildAnnNeighbors } from './annIndex.js';
+import { EmbeddingClusterer } from './clustering.js';
+import { SubjectivityExtractor } from './subjectivityExtractor.js';
+import { TopicModel } from './topicModel.js';
+import { extractExperience } from './experienceFeatures.js';
+import { EmbeddingProjector } from './projection.js';
+import { AgglomerativeClusterer } from './hierarchy.js';
+
+export const TASKS = {
+    /**
+     * 每个参与者的k个最近邻
+     * payload: {index: SimilarityIndex.state(), k, threshold}
+     */
+    neighbors({ index, k, threshold }, onProgress) {
+        return SimilarityIndex.restore(index).topK(k, { threshold, onProgress });
+    },
+    
+    /**
+     * 近似的k近邻，同时返回建好的森林（主线程用它做查询，并缓存）
+     * payload: {index: SimilarityIndex.state(), k, preset: ANN_PRESETS中的档位名, threshold}
+     */
+    annNeighbors({ index, k, preset, threshold }, onProgress) {
+        return buildAnnNeighbors(SimilarityIndex.restore(index), preset, k, { threshold, onProgress });
+    },
+    
+    /**
+     * 聚类
+     * payload: {vectors, metric, options} (options为EmbeddingClusterer的选项)
+     */
+    cluster({ vectors, metric, options }) {
+        return new EmbeddingClusterer(options).cluster(vectors, { metric });
+    },
+    
+    /**
+     * 主观性特征
+     * payload: {participants: Array<{text_content, transcript, isotype_signature}>}
+     */
+    subjectivity({ participants }, onProgress) {
+        const extractor = new SubjectivityExtractor();
+        const step = Math.max(1, Math.floor(participants.length / 20));
+        return participants.map((participant, i) => {
+            if (i % step === 0) onProgress(i / participants.length);
+            return extractor.extractSubjectivity(participant);
+        });
+    },
+    
+    /**
+     * 生活经历特征（Experience维度）
+     * payload: {participants: Array<{text_content, transcript}>}
+     */
+    experience({ participants }) {
+        return participants.map(extractExperience);
+    },
+    
+    /**
+     * 主题模型（Topic维度）
+     * payload: {participants: Array<{text_content, transcript}>, options} (options为TopicModel的选项)
+     */
+    topics({ participants, options }) {
+        return new TopicModel(options).fit(participants);
+    },
+    
+    /**
+     * 二维投影（投影布局）
+     * payload: {index: SimilarityIndex.state(), method: PROJECTION_METHODS中的id, options} (options为EmbeddingProjector的选项)
+     */
+    projection({ index, method, options }, onProgress) {
+        return new EmbeddingProjector(options).project(SimilarityIndex.restore(index), method, onProgress);
+    },
+    
+    /**
+     * 层次聚类（树状图布局和剪切得到的聚类）
+     * payload: {index: SimilarityIndex.state(), options} (options为AgglomerativeClusterer的选项)
+     */
+    hierarchy({ index, options }, onProgress) {
+        return new AgglomerativeClusterer(options).fit(SimilarityIndex.restore(index), onProgress);
+    }
+};
+
+/**
+ * 结果中可以转移（而不是复制）给主线程的typed array缓冲区
+ */
+export function transferablesOf(result) {
+    if (!result || typeof result !== 'object') return [];
+    if (ArrayBuffer.isView(result)) return [result.buffer];
+    return Object.values(result)
+        .filter(value => ArrayBuffer.isView(value))
+        .map(value => value.buffer);
+}
+
@@ -0,0 +1,24 @@
+/**
+ * 计算Worker（module worker）
+ * 消息格式：主线程发送 {id, type, payload}；Worker回复 {id, progress} 或 {id, result} 或 {id, error}
+ * 一次只执行一个任务；取消正在执行的任务时，ComputeClient会直接终止并重建这个Worker
+ */
+
+import { TASKS, transferablesOf } from './computeTasks.js';
+
+self.onmessage = (event) => {
+    const { id, type, payload } = event.data;
+    const task = TASKS[type];
+    if (!task) {
+        self.postMessage({ id, error: `未知的计算任务: ${type}` });
+        return;
+    }
+    
+    try {
+        const result = task(payload, (progress) => self.postMessage({ id, progress }));
+        self.postMessage({ id, result }, transferablesOf(result));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
@@ -0,0 +1,96 @@
+/**
+ * 参与者同意级别
+ * 每条记录可以声明自己的可见程度（consent 或 visibility 字段），从低到高：
+ * - glyph：只以glyph出现在可视化中
+ * - features：另外可以展示由文本得出的特征（glyph解释、情感分布、聚类）
+ * - quotes：另外可以引用单句（悬停引用、群体视图中的引用）
+ * - transcript：可以展示完整的访谈转录
+ * 所有展示参与者信息的地方都通过 allows() 判断，不直接读取文本字段；Export Data 导出的每个人都经过 exportView()
+ */
+
+import { pickQuote } from './transcriptParser.js';
+
+export const CONSENT_LEVELS = ['glyph', 'features', 'quotes', 'transcript'];
+
+export const CONSENT_LABELS = {
+    glyph: 'Glyph only',
+    features: 'Glyph and features',
+    quotes: 'Quotes allowed',
+    transcript: 'Full transcript'
+};
+
+// 不允许引用时代替引用显示的文字
+export const WITHHELD_QUOTE = 'This person agreed to be shown, but not to be quoted.';
+
+// 数据中常见的写法（小写，去掉空格、连字符和下划线后比较）
+const ALIASES = {
+    glyph: 'glyph', glyphonly: 'glyph', visualonly: 'glyph', visual: 'glyph',
+    features: 'features', glyphfeatures: 'features', glyphplusfeatures: 'features', glyphandfeatures: 'features',
+    quote: 'quotes', quotes: 'quotes', quotesallowed: 'quotes', excerpts: 'quotes',
+    transcript: 'transcript', fulltranscript: 'transcript', full: 'transcript', all: 'transcript', public: 'transcript'
+};
+
+/**
+ * 把数据中的取值规范为同意级别，无法识别时返回null
+ * @param {string|number} value - 级别名称或别名，也可以是0-3的序号
+ */
+export function normalizeConsent(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= 0 && value < CONSENT_LEVELS.length ? CONSENT_LEVELS[value] : null;
+    }
+    const key = String(value).toLowerCase().replace(/[\s_+-]+/g, '');
+    return ALIASES[key] || null;
+}
+
+/**
+ * 参与者的同意级别；没有经过DataLoader的数据（如示例页面的模拟数据）没有这个字段，视为transcript
+ */
+export function consentOf(participant) {
+    return participant?.consent || 'transcript';
+}
+
+/**
+ * 参与者是否允许某一级别的展示
+ * @param {Object} participant
+ * @param {'glyph'|'features'|'quotes'|'transcript'} level
+ */
+export function allows(participant, level) {
+    return CONSENT_LEVELS.indexOf(consentOf(participant)) >= CONSENT_LEVELS.indexOf(level);
+}
+
+/**
+ * 可以引用的单句：不允许引用或没有合适句子时返回null
+ */
+export function consentedQuote(participant, options = {}) {
+    return allows(participant, 'quotes') ? pickQuote(participant, options) : null;
+}
+
+/**
+ * 导出用的参与者副本，只包含同意级别允许的字段
+ * glyph级别只有ID和绘制glyph所需的视觉属性；features增加聚类、向量、主观性特征和元数据；
+ * quotes增加一句引用；transcript增加完整文本和转录结构
+ */
+export function exportView(participant) {
+    const consent = consentOf(participant);
+    const view = {
+        id: participant.id,
+        consent: consent,
+        visual_properties: participant.visual_properties
+    };
+    if (allows(participant, 'features')) {
+        view.cluster_assignments = participant.cluster_assignments;
+        view.isotype_signature = participant.isotype_signature;
+        view.subjectivity = participant.subjectivity;
+        view.metadata = participant.metadata;
+    }
+    if (allows(participant, 'quotes')) {
+        view.quote = pickQuote(participant);
+    }
+    if (allows(participant, 'transcript')) {
+        view.text_content = participant.text_content;
+        view.transcript = participant.transcript;
+    }
+    return view;
+}
+
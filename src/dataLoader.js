@@ -2,86 +2,1086 @@
  * 数据加载模块
  */
 
+import { DataValidator } from './dataValidator.js';
+import { TabularImporter } from './tabularImporter.js';
+import { EmbeddingClusterer } from './clustering.js';
+import { buildEmotionProfile } from './emotionModel.js';
+import { JsonArrayStreamParser } from './jsonStreamParser.js';
+import { EmbeddingPack } from './embeddingPack.js';
+import { TranscriptParser } from './transcriptParser.js';
+import { SubjectivityExtractor } from './subjectivityExtractor.js';
+import { TopicModel } from './topicModel.js';
+import { extractExperience } from './experienceFeatures.js';
+import { CACHE_VERSION, ContentHasher, hashString } from './datasetCache.js';
+import { Redactor, parseNameList, digestPassphrase } from './redaction.js';
+import { normalizeConsent } from './consent.js';
+
+// 聚类字段 → 使用的向量和距离度量
+const CLUSTER_SOURCES = {
+    experience_cluster: { vector: 'experience', metric: 'cosine' },
+    emotion_cluster: { vector: 'emotion', metric: 'euclidean' },
+    topic_cluster: { vector: 'topic', metric: 'cosine' },
+    multidimensional_cluster: { vector: 'unified', metric: 'cosine' }
+};
+
+// 二进制嵌入格式的manifest文件名（见 scripts/packEmbeddings.js）
+const MANIFEST_NAME = /\.manifest\.json(\?|$)/i;
+
+// 和数据文件一起拖入的访谈转录稿（纯文本或从docx导出的txt）
+const TRANSCRIPT_NAME = /\.(txt|text)$/i;
+
+// 不是通用角色的说话人标签（如人名、Speaker 1）按角色改写，同一角色有多位说话人时加编号
+const ROLE_LABELS = { interviewer: 'Interviewer', participant: 'Participant', script: 'Script' };
+
+// 原始记录中有固定含义的字段
+const RECORD_FIELDS = new Set([
+    'participant_id', 'text_content', 'semantic_embedding', 'unified_embedding',
+    'emotion_scores', 'cluster_assignments', 'metadata', 'demographics', 'turns',
+    'consent', 'visibility'
+]);
+
+// 写在记录顶层时并入metadata的人口学字段；其他顶层字段（如 name、employer、interviewer_notes）可能含有个人信息，不读取
+const DEFAULT_DEMOGRAPHIC_FIELDS = [
+    'gender', 'age', 'age_band', 'age_group', 'region', 'country', 'wave', 'cohort', 'ethnicity', 'education'
+];
+
 export class DataLoader {
-    async load() {
-        // 从data目录或processed_embeddings目录加载数据
-        // 尝试多个可能的路径（因为文件可能在不同的相对位置）
-        const possiblePaths = [
-            // 从项目根目录的data文件夹（用于部署）
-            './data/sample_participants.json',
-            './data/all_participants.json',
-            // 从 visualization/ 目录访问（本地开发）
-            '../processed_embeddings/sample_participants.json',
-            '../processed_embeddings/all_participants.json',
-            // 从 visualization/examples/ 目录访问
-            '../../processed_embeddings/sample_participants.json',
-            '../../processed_embeddings/all_participants.json',
-            // 从 visualization/src/ 目录访问（如果从模块导入）
-            '../../processed_embeddings/sample_participants.json',
-            '../../processed_embeddings/all_participants.json'
-        ];
+    /**
+     * @param {Object} options
+     *   - configPath: string (数据集配置文件路径，相对于当前页面，默认 ./data/datasets.json)
+     *   - validation: Object (传给DataValidator的选项)
+     *   - clustering: Object (传给EmbeddingClusterer的选项)
+     *   - transcripts: Object (传给TranscriptParser的选项，如额外的说话人标签)
+     *   - topics: Object (传给TopicModel的选项，如主题数)
+     *   - redaction: Object (传给Redactor的选项，与数据集配置中的 redaction 合并；另有researcherKey：研究者口令的SHA-256)
+     *   - defaultConsent: string (记录没有consent/visibility字段时的同意级别，见consent.js，默认transcript)
+     *   - demographicFields: Array<string> (写在记录顶层时并入metadata的字段，默认 gender、age_band、region、wave 等)
+     *   - cache: DatasetCache (处理结果的持久缓存，不提供时每次都重新处理)
+     *   - cacheMode: 'use' | 'refresh' | 'off' (refresh：不读取旧缓存，重新处理后覆盖，默认use)
+     *   - compute: ComputeClient (在Web Worker中计算聚类和主观性特征，不提供时在主线程计算)
+     *   - previewSize: number (流式加载时，读到这么多条记录后先交出一份预览数据，默认500)
+     *   - confirmMapping: async ({columns, mapping, sampleRows, name}) => mapping|null
+     *     (表格数据的列映射确认步骤，返回null表示取消导入；不提供时使用自动猜测的映射)
+     */
+    constructor(options = {}) {
+        this.configPath = options.configPath || './data/datasets.json';
+        this.validator = new DataValidator(options.validation);
+        this.tabularImporter = new TabularImporter();
+        this.clusterer = new EmbeddingClusterer(options.clustering);
+        this.embeddingPack = new EmbeddingPack();
+        this.transcriptParser = new TranscriptParser(options.transcripts);
+        this.subjectivityExtractor = new SubjectivityExtractor();
+        this.topicModel = new TopicModel(options.topics);
+        this.defaultConsent = normalizeConsent(options.defaultConsent) || 'transcript';
+        this.demographicFields = new Set(options.demographicFields || DEFAULT_DEMOGRAPHIC_FIELDS);
+        this.redactionOptions = options.redaction || {};
+        this.redactor = this.createRedactor(this.redactionOptions);
+        this.redactionReady = null;
+        this.originals = { dataset: null, byId: new Map() }; // 当前数据集中 参与者ID → 未脱敏的 {text_content, transcript}，只通过originalOf读取
+        this.researcherMode = false;
+        this.cache = options.cache || null;
+        this.cacheMode = options.cacheMode || 'use';
+        this.compute = options.compute || null;
+        this.confirmMapping = options.confirmMapping || null;
+        this.previewSize = options.previewSize || 500;
+        this.config = null; // 已加载的数据集配置
+        this.source = null; // 最近一次加载的数据源 {id, label, url}
+    }
+    
+    /**
+     * 加载数据集
+     * 数据源的优先级：显式传入的source > URL参数(?dataset= / ?data=) > 配置文件中的默认数据集
+     * @param {string|File|File[]|Object|null} source - 数据集ID、URL、本地File对象（manifest需要和二进制文件一起传入）或 {id, url}
+     * @param {Object} callbacks
+     *   - onProgress: ({phase: 'loading'|'processing', loadedBytes, totalBytes, records}) => void
+     *   - onPreview: (data) => void (大文件读到前 previewSize 条记录时调用一次，数据未聚类，可先渲染)
+     */
+    async load(source = null, callbacks = {}) {
+        await this.prepareRedaction();
+        // 上一个数据集的原文不能留给新数据集中同ID的参与者
+        this.originals = { dataset: null, byId: new Map() };
+        if (Array.isArray(source)) {
+            return this.loadFiles(source, callbacks);
+        }
+        if (typeof File !== 'undefined' && source instanceof File) {
+            return this.loadFile(source, callbacks);
+        }
         
-        // 优先尝试完整数据，然后尝试样本数据（作为后备）
-        const dataFiles = [
-            ...possiblePaths.filter(p => p.includes('all_participants')),
-            ...possiblePaths.filter(p => p.includes('sample_participants'))
-        ];
+        const resolved = await this.resolveSource(source);
+        return this.loadFromUrl(resolved.url, resolved, callbacks);
+    }
+    
+    /**
+     * 读取数据集配置文件（datasets.json）
+     * 配置中的路径相对于配置文件本身解析，因此主页面和examples页面可以共用同一份配置
+     */
+    async loadConfig() {
+        if (this.config) return this.config;
+        
+        const params = new URLSearchParams(window.location.search);
+        const configPath = params.get('config') || this.configPath;
+        const configUrl = new URL(configPath, window.location.href);
         
-        // 去重
-        const uniquePaths = [...new Set(dataFiles)];
+        const response = await fetch(configUrl);
+        if (!response.ok) {
+            throw new Error(`无法读取数据集配置: ${configUrl.pathname} (${response.status})`);
+        }
+        
+        const config = await response.json();
+        const datasets = (config.datasets || []).map(entry => ({
+            ...entry,
+            url: new URL(entry.path, configUrl).href,
+            metadataUrl: entry.metadata ? new URL(entry.metadata, configUrl).href : null
+        }));
         
-        let lastError = null;
-        for (const dataFile of uniquePaths) {
+        this.config = { ...config, datasets, url: configUrl.href };
+        return this.config;
+    }
+    
+    /**
+     * 读取数据集配置中的脱敏设置（redaction），names可以是名单数组或名单文件路径（相对于配置文件）
+     * 拖入本地文件时配置可能不可用，此时使用构造参数中的设置
+     */
+    prepareRedaction() {
+        if (this.redactionReady) return this.redactionReady;
+        
+        this.redactionReady = (async () => {
+            let settings = {};
+            let configUrl = null;
             try {
-                const response = await fetch(dataFile);
-                if (response.ok) {
-        const rawData = await response.json();
-                    console.log(`✓ 成功加载数据: ${dataFile} (${rawData.length} 个参与者)`);
+                const config = await this.loadConfig();
+                settings = config.redaction || {};
+                configUrl = config.url;
+            } catch (error) {
+                console.warn('无法读取脱敏设置，使用默认规则:', error.message);
+            }
+            
+            let names = settings.names || [];
+            if (typeof names === 'string') {
+                const response = await fetch(new URL(names, configUrl || window.location.href));
+                if (!response.ok) {
+                    throw new Error(`无法读取脱敏名单: ${names} (${response.status})`);
+                }
+                names = parseNameList(await response.text());
+            }
+            this.redactor = this.createRedactor({
+                ...settings,
+                ...this.redactionOptions,
+                names: [...names, ...(this.redactionOptions.names || [])]
+            });
+        })();
+        this.redactionReady.catch(() => {
+            this.redactionReady = null;
+        });
+        return this.redactionReady;
+    }
+    
+    createRedactor(options) {
+        const { researcherKey = null, ...redactorOptions } = options;
+        this.researcherKey = researcherKey;
+        return new Redactor(redactorOptions);
+    }
+    
+    /**
+     * 是否配置了研究者口令（没有配置时原文无法查看）
+     */
+    get researcherModeAvailable() {
+        return !!this.researcherKey;
+    }
+    
+    /**
+     * 用口令解锁研究者模式，之后 originalOf 才会返回未脱敏的原文；只在当前页面有效
+     * @returns {Promise<boolean>} 口令是否正确
+     */
+    async unlockResearcherMode(passphrase) {
+        if (!this.researcherKey) return false;
+        this.researcherMode = await digestPassphrase(passphrase) === this.researcherKey.toLowerCase();
+        return this.researcherMode;
+    }
+    
+    lockResearcherMode() {
+        this.researcherMode = false;
+    }
+    
+    /**
+     * 参与者的原文 {text_content, transcript}；未解锁研究者模式、没有被脱敏的内容或从缓存读取的数据返回null
+     * @param {Object} participant
+     * @param {Object} data - 参与者所在的 load() 结果，不是原文所属的数据集时返回null
+     */
+    originalOf(participant, data) {
+        if (!this.researcherMode || !participant) return null;
+        if ((data?.cache?.dataset ?? null) !== this.originals.dataset) return null;
+        return this.originals.byId.get(participant.id) || null;
+    }
+    
+    /**
+     * 获取可选的数据集列表（用于界面上的数据集选择器）
+     */
+    async listDatasets() {
+        const config = await this.loadConfig();
+        return config.datasets;
+    }
+    
+    /**
+     * 解析数据源
+     * - ?dataset=<id>：选择配置文件中登记的数据集
+     * - ?data=<url>：直接指定数据文件（相对于当前页面）
+     */
+    async resolveSource(source = null) {
+        if (source && typeof source === 'object' && source.url) {
+            return source;
+        }
+        
+        const params = new URLSearchParams(window.location.search);
+        const datasetId = typeof source === 'string' ? source : params.get('dataset');
+        const dataUrl = params.get('data');
+        
+        if (datasetId) {
+            const config = await this.loadConfig();
+            const entry = config.datasets.find(d => d.id === datasetId);
+            if (entry) return entry;
+            
+            // 显式传入的字符串既可以是数据集ID，也可以是URL
+            if (datasetId !== source) {
+                const known = config.datasets.map(d => d.id).join(', ');
+                throw new Error(`未知的数据集: ${datasetId}（可选: ${known}）`);
+            }
+            return this.sourceFromUrl(datasetId);
+        }
+        
+        if (dataUrl) {
+            return this.sourceFromUrl(dataUrl);
+        }
+        
+        const config = await this.loadConfig();
+        const entry = config.datasets.find(d => d.id === config.default) || config.datasets[0];
+        if (!entry) {
+            throw new Error('数据集配置中没有任何数据集');
+        }
+        return entry;
+    }
+    
+    sourceFromUrl(path) {
+        return {
+            id: path,
+            label: path.split('/').pop(),
+            url: new URL(path, window.location.href).href
+        };
+    }
+    
+    /**
+     * 从URL加载数据
+     * 配置项中的 format 和 columns 可以指定表格数据的格式和列映射，
+     * metadata 可以指定一张单独的人口学/元数据表（见 joinMetadata）
+     */
+    async loadFromUrl(url, meta = {}, callbacks = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`无法加载数据: ${url} (${response.status})`);
+        }
+        const source = { id: meta.id || url, label: meta.label || url, url };
+        const settings = {
+            format: meta.format || null,
+            columns: meta.columns || null,
+            metadata: meta.metadataUrl || null,
+            metadataKey: meta.metadataKey || null,
+            defaultConsent: meta.defaultConsent || null
+        };
+        
+        // 二进制嵌入格式：先读manifest，再读它引用的二进制文件
+        if (meta.format === 'manifest' || MANIFEST_NAME.test(url)) {
+            const manifestText = await response.text();
+            return this.loadManifest(
+                JSON.parse(manifestText),
+                (name) => this.fetchBuffer(new URL(name, url).href, callbacks),
+                { ...source, metadataUrl: meta.metadataUrl, metadataKey: meta.metadataKey },
+                callbacks,
+                { fingerprint: `${url}|${hashString(manifestText)}`, hashBuffer: true, settings, defaultConsent: meta.defaultConsent }
+            );
+        }
+        
+        // 服务器提供ETag或Last-Modified时，JSON数据不用下载就能从缓存中取出
+        const headerFingerprint = this.responseFingerprint(url, response);
+        const format = meta.format || this.tabularImporter.detectFormat(url, '');
+        if (headerFingerprint && format === 'json') {
+            const cached = await this.readCache(headerFingerprint, settings);
+            if (cached) {
+                response.body?.cancel();
+                this.source = source;
+                return cached;
+            }
+        }
+        
+        // Content-Length是传输大小（可能经过压缩），只用于估算进度
+        const totalBytes = Number(response.headers.get('Content-Length')) || null;
+        const hasher = headerFingerprint ? null : new ContentHasher();
+        const readOptions = {
+            name: url,
+            format: meta.format,
+            columns: meta.columns,
+            interactive: false,
+            hasher
+        };
+        let loaded;
+        if (response.body) {
+            loaded = await this.readStream(response.body, totalBytes, readOptions, callbacks);
+        } else {
+            const text = await response.text();
+            hasher?.update(text);
+            loaded = await this.parseRawData(text, readOptions);
+        }
+        const { rawData, parseIssues, mapping } = loaded;
+        this.source = source;
+        console.log(`✓ 成功加载数据: ${this.source.label} (${rawData.length} 个参与者)`);
+        
+        // 表格数据的处理结果还取决于最终确认的列映射
+        const cacheSettings = { ...settings, mapping: mapping || null };
+        const fingerprint = headerFingerprint || `${url}|${hasher.digest()}`;
+        if (!(headerFingerprint && format === 'json')) {
+            const cached = await this.readCache(fingerprint, cacheSettings);
+            if (cached) return cached;
+        }
+        
+        if (meta.metadataUrl) {
+            parseIssues.push(...await this.joinMetadata(rawData, meta.metadataUrl, meta.metadataKey));
+        }
         
         // 转换为可视化需要的格式
-        return this.transformData(rawData);
+        callbacks.onProgress?.({ phase: 'processing', loadedBytes: totalBytes, totalBytes, records: rawData.length });
+        await new Promise(resolve => setTimeout(resolve, 0)); // 让界面先显示处理阶段
+        return this.writeCache(fingerprint, cacheSettings, await this.processRecords(rawData, { parseIssues, defaultConsent: meta.defaultConsent }));
+    }
+    
+    /**
+     * 从本地文件加载数据（拖放或文件选择）
+     * @param {Object} options - 传给transformData的选项（如一起拖入的转录稿）
+     */
+    async loadFile(file, callbacks = {}, options = {}) {
+        if (MANIFEST_NAME.test(file.name)) {
+            return this.loadFiles([file], callbacks);
+        }
+        
+        // 本地文件用名称、大小和修改时间识别；JSON不需要列映射，读取之前就可以命中缓存
+        const source = { id: `file:${file.name}`, label: file.name, url: null };
+        const fingerprint = this.fileFingerprint([file], options.transcripts);
+        if (this.tabularImporter.detectFormat(file.name, '') === 'json') {
+            const cached = await this.readCache(fingerprint, {});
+            if (cached) {
+                this.source = source;
+                return cached;
+            }
+        }
+        
+        const { rawData, parseIssues, mapping } = await this.readStream(file.stream(), file.size, {
+            name: file.name,
+            interactive: true
+        }, callbacks);
+        
+        this.source = source;
+        console.log(`✓ 成功加载本地文件: ${file.name} (${rawData.length} 个参与者)`);
+        
+        const settings = mapping ? { mapping } : {};
+        if (mapping) {
+            const cached = await this.readCache(fingerprint, settings);
+            if (cached) return cached;
+        }
+        
+        callbacks.onProgress?.({ phase: 'processing', loadedBytes: file.size, totalBytes: file.size, records: rawData.length });
+        await new Promise(resolve => setTimeout(resolve, 0)); // 让界面先显示处理阶段
+        return this.writeCache(fingerprint, settings, await this.processRecords(rawData, { ...options, parseIssues }));
+    }
+    
+    /**
+     * 从多个本地文件加载：二进制嵌入格式需要同时拖入manifest和二进制文件，其他情况只读取第一个数据文件
+     * 一起拖入的 .txt 转录稿按文件名匹配参与者（如 "T5 1002.txt"、"t5_1002.txt"），替换数据中的 text_content
+     */
+    async loadFiles(files, callbacks = {}) {
+        const transcriptFiles = files.length > 1 ? files.filter(file => TRANSCRIPT_NAME.test(file.name)) : [];
+        const dataFiles = files.filter(file => !transcriptFiles.includes(file));
+        if (dataFiles.length === 0) {
+            throw new Error('转录稿需要和参与者数据文件一起拖入（按文件名匹配participant_id）');
+        }
+        const options = transcriptFiles.length > 0
+            ? { transcripts: await this.readTranscripts(transcriptFiles) }
+            : {};
+        
+        const manifestFile = dataFiles.find(file => MANIFEST_NAME.test(file.name));
+        if (!manifestFile) {
+            return this.loadFile(dataFiles[0], callbacks, options);
+        }
+        
+        let manifest;
+        try {
+            manifest = JSON.parse(await manifestFile.text());
+        } catch (error) {
+            throw new Error(`无法解析文件 ${manifestFile.name}: ${error.message}`);
+        }
+        
+        const bufferFile = files.find(file => file.name === manifest.buffer);
+        return this.loadManifest(
+            manifest,
+            async (name) => {
+                if (!bufferFile) {
+                    throw new Error(`缺少二进制文件 ${name}，请把它和 ${manifestFile.name} 一起拖入`);
                 }
-                // 如果响应不ok（如404），静默继续尝试下一个路径
-                // 注意：浏览器控制台的网络面板仍会显示404，但这是正常的
+                return bufferFile.arrayBuffer();
+            },
+            { id: `file:${manifestFile.name}`, label: manifestFile.name, url: null },
+            callbacks,
+            {
+                ...options,
+                // 两个文件都没有变化时直接使用缓存，不读取二进制文件
+                fingerprint: bufferFile ? this.fileFingerprint([manifestFile, bufferFile], options.transcripts) : null,
+                settings: {}
+            }
+        );
+    }
+    
+    /**
+     * 本地文件的指纹：名称、大小和修改时间（一起拖入的转录稿按内容计入）
+     */
+    fileFingerprint(files, transcripts = null) {
+        const parts = files.map(file => `file:${file.name}:${file.size}:${file.lastModified}`);
+        if (transcripts?.length > 0) {
+            const hasher = new ContentHasher();
+            transcripts.forEach(t => hasher.update(t.name).update(t.text));
+            parts.push(`transcripts:${hasher.digest()}`);
+        }
+        return parts.join('|');
+    }
+    
+    /**
+     * 根据HTTP缓存头生成指纹，服务器不提供ETag和Last-Modified时返回null
+     */
+    responseFingerprint(url, response) {
+        const etag = response.headers.get('ETag');
+        const lastModified = response.headers.get('Last-Modified');
+        if (!etag && !lastModified) return null;
+        return `${url}|${etag || ''}|${lastModified || ''}|${response.headers.get('Content-Length') || ''}`;
+    }
+    
+    /**
+     * 读取缓存的处理结果
+     * @param {string} fingerprint - 数据集指纹（文件元信息、HTTP缓存头或内容哈希）
+     * @param {Object} settings - 影响处理结果的数据源设置（格式、列映射、元数据表等）
+     * @returns {Promise<Object|null>} 与transformData相同的结果，cache.hit为true
+     */
+    async readCache(fingerprint, settings) {
+        if (!this.cache || this.cacheMode !== 'use' || !fingerprint) return null;
+        
+        const key = this.cacheKey(fingerprint, settings);
+        const cached = await this.cache.get('data', key.dataset, key.config);
+        if (!cached) return null;
+        
+        // 缓存中不保存原文
+        this.originals = { dataset: key.dataset, byId: new Map() };
+        console.log(`✓ 从缓存读取处理结果 (${cached.participants.length} 个参与者)`);
+        return { ...cached, preview: false, cache: { ...key, hit: true } };
+    }
+    
+    /**
+     * 把处理结果写入缓存（不等待写入完成），并在结果上记录缓存键，供视图缓存使用
+     */
+    writeCache(fingerprint, settings, data) {
+        if (!this.cache || this.cacheMode === 'off' || !fingerprint) return data;
+        
+        const key = this.cacheKey(fingerprint, settings);
+        data.cache = { ...key, hit: false };
+        this.originals.dataset = key.dataset;
+        this.cache.put('data', key.dataset, key.config, {
+            participants: data.participants,
+            clusters: data.clusters,
+            topics: data.topics,
+            report: data.report
+        });
+        return data;
+    }
+    
+    /**
+     * 显式清除当前数据集的缓存（所有配置和视图）
+     * @param {Object} data - load() 的结果
+     */
+    async invalidateCache(data) {
+        if (!this.cache || !data?.cache) return 0;
+        return this.cache.invalidate(data.cache.dataset);
+    }
+    
+    /**
+     * 缓存键：数据集指纹决定dataset，处理选项和数据源设置决定config
+     * 正则（如自定义的脱敏规则）按 source 和 flags 计入，JSON.stringify 会把它们变成 {}
+     */
+    cacheKey(fingerprint, settings) {
+        return {
+            dataset: hashString(fingerprint),
+            config: hashString(JSON.stringify({
+                version: CACHE_VERSION,
+                validation: this.validator.options,
+                clustering: this.clusterer.options,
+                topics: this.topicModel.options,
+                transcripts: this.transcriptParser.options,
+                redaction: this.redactor.options,
+                defaultConsent: this.defaultConsent,
+                demographicFields: [...this.demographicFields],
+                settings
+            }, (key, value) => value instanceof RegExp ? { source: value.source, flags: value.flags } : value))
+        };
+    }
+    
+    /**
+     * 读取转录稿文件
+     * @returns {Array<{name, text}>}
+     */
+    async readTranscripts(files) {
+        return Promise.all(files.map(async file => ({ name: file.name, text: await file.text() })));
+    }
+    
+    /**
+     * 用转录稿替换记录的text_content，文件名（去掉扩展名）与participant_id忽略大小写、空格和标点后相同即匹配
+     * @param {Array} rawData - 原始参与者记录（就地修改）
+     * @param {Array<{name, text}>} transcripts
+     * @returns {Array} parseIssues 没有匹配到参与者的转录稿
+     */
+    attachTranscripts(rawData, transcripts) {
+        const key = (value) => String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+        const byKey = new Map(transcripts.map(t => [key(t.name.replace(TRANSCRIPT_NAME, '')), t]));
+        const used = new Set();
+        
+        rawData.forEach(record => {
+            const transcript = byKey.get(key(record?.participant_id));
+            if (!transcript) return;
+            record.text_content = transcript.text;
+            used.add(transcript);
+        });
+        
+        console.log(`✓ 已匹配转录稿: ${used.size}/${transcripts.length}`);
+        return transcripts
+            .filter(t => !used.has(t))
+            .map(t => ({
+                index: null,
+                id: null,
+                severity: 'warning',
+                field: t.name,
+                message: 'Transcript file matched no participant_id, ignored'
+            }));
+    }
+    
+    /**
+     * 读取二进制嵌入格式
+     * 向量直接解码为连续内存的Float32Array，不经过JSON解析
+     * @param {Object} manifest - manifest内容
+     * @param {Function} readBuffer - async (name) => ArrayBuffer，读取manifest引用的二进制文件
+     * @param {Object} source - {id, label, url, metadataUrl?, metadataKey?}
+     * @param {Object} options - 传给transformData的选项，另有：
+     *   - fingerprint: string|null (数据集指纹，为null时不使用缓存)
+     *   - hashBuffer: boolean (读取二进制文件后把它的内容哈希加入指纹，默认false)
+     *   - settings: Object (影响处理结果的数据源设置，计入缓存键)
+     */
+    async loadManifest(manifest, readBuffer, source, callbacks = {}, options = {}) {
+        const { fingerprint: knownFingerprint = null, hashBuffer = false, settings = {}, ...transformOptions } = options;
+        this.embeddingPack.checkManifest(manifest);
+        
+        const cacheSource = { id: source.id, label: source.label, url: source.url };
+        const fromCache = async (fingerprint) => {
+            const cached = await this.readCache(fingerprint, settings);
+            if (cached) this.source = cacheSource;
+            return cached;
+        };
+        
+        let fingerprint = knownFingerprint;
+        if (fingerprint && !hashBuffer) {
+            const cached = await fromCache(fingerprint);
+            if (cached) return cached;
+        }
+        
+        const buffer = await readBuffer(manifest.buffer);
+        if (hashBuffer) {
+            // 远程的二进制文件可能单独更新，指纹中加入它的内容哈希
+            fingerprint = `${fingerprint || source.id}|${new ContentHasher().update(new Uint8Array(buffer)).digest()}`;
+            const cached = await fromCache(fingerprint);
+            if (cached) return cached;
+        }
+        const rawData = this.embeddingPack.unpack(manifest, buffer);
+        
+        this.source = cacheSource;
+        console.log(`✓ 成功加载二进制嵌入: ${source.label} (${rawData.length} 个参与者, ${(buffer.byteLength / (1024 * 1024)).toFixed(1)} MB)`);
+        const parseIssues = source.metadataUrl
+            ? await this.joinMetadata(rawData, source.metadataUrl, source.metadataKey)
+            : [];
+        
+        callbacks.onProgress?.({ phase: 'processing', loadedBytes: buffer.byteLength, totalBytes: buffer.byteLength, records: rawData.length });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return this.writeCache(fingerprint, settings, await this.processRecords(rawData, { ...transformOptions, parseIssues }));
+    }
+    
+    /**
+     * 读取单独的人口学/元数据表（CSV、TSV、JSON Lines或JSON数组），按参与者ID并入每条记录的metadata
+     * 表中的值优先于记录自带的同名字段；对不上任何参与者的行作为警告写入导入报告
+     * @param {Array} rawData - 原始参与者记录（就地修改）
+     * @param {string} url - 元数据表地址
+     * @param {string} key - 表中的参与者ID列，默认participant_id
+     * @returns {Array} parseIssues
+     */
+    async joinMetadata(rawData, url, key = 'participant_id') {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`无法加载元数据表: ${url} (${response.status})`);
+        }
+        const text = await response.text();
+        const name = url.split('/').pop();
+        const format = this.tabularImporter.detectFormat(url, text);
+        
+        let rows;
+        try {
+            rows = format === 'json' ? JSON.parse(text) : this.tabularImporter.parse(text, format).rows;
+        } catch (error) {
+            throw new Error(`无法解析元数据表 ${name}: ${error.message}`);
+        }
+        if (!Array.isArray(rows)) {
+            throw new Error(`元数据表 ${name} 必须是记录的数组`);
+        }
+        
+        const rowsById = new Map();
+        rows.forEach(row => {
+            const id = row?.[key];
+            if (id !== undefined && id !== null && String(id).trim() !== '') {
+                rowsById.set(String(id).trim(), row);
+            }
+        });
+        
+        let matched = 0;
+        rawData.forEach(record => {
+            const row = rowsById.get(String(record?.participant_id ?? '').trim());
+            if (!row) return;
+            matched++;
+            
+            const fields = {};
+            Object.entries(row).forEach(([column, value]) => {
+                // 表中的空单元格不覆盖记录自带的值
+                if (column === key || value === null || value === undefined || value === '') return;
+                fields[column] = this.tabularImporter.parseScalar(value);
+            });
+            const own = record.metadata && typeof record.metadata === 'object' && !Array.isArray(record.metadata)
+                ? record.metadata
+                : {};
+            record.metadata = { ...own, ...fields };
+        });
+        
+        console.log(`✓ 已并入元数据表 ${name}: ${matched}/${rawData.length} 个参与者有对应的行`);
+        const unmatched = rowsById.size - matched;
+        if (unmatched <= 0) return [];
+        return [{
+            index: null,
+            id: null,
+            severity: 'warning',
+            field: 'metadata',
+            message: `${unmatched} row(s) in ${name} matched no participant (key column "${key}")`
+        }];
+    }
+    
+    /**
+     * 下载二进制文件，并报告进度
+     */
+    async fetchBuffer(url, callbacks = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`无法加载数据: ${url} (${response.status})`);
+        }
+        if (!response.body) {
+            return response.arrayBuffer();
+        }
+        
+        const totalBytes = Number(response.headers.get('Content-Length')) || null;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loadedBytes = 0;
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loadedBytes += value.byteLength;
+            callbacks.onProgress?.({ phase: 'loading', loadedBytes, totalBytes, records: 0 });
+        }
+        
+        const bytes = new Uint8Array(loadedBytes);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        return bytes.buffer;
+    }
+    
+    /**
+     * 分块读取数据流
+     * JSON数组边读边解析，读到 previewSize 条记录时先交出一份预览；
+     * 表格格式需要完整的列信息，读完后再按列映射解析
+     * @param {ReadableStream} stream - 字节流
+     * @param {number|null} totalBytes - 总字节数（未知时为null）
+     * @param {Object} options - 同 parseRawData，另有：
+     *   - hasher: ContentHasher (边读边计算内容哈希，用作缓存指纹)
+     * @param {Object} callbacks - 同 load
+     * @returns {{rawData: Array, parseIssues: Array, mapping?: Object}}
+     */
+    async readStream(stream, totalBytes, options, callbacks = {}) {
+        const { onProgress, onPreview } = callbacks;
+        const reader = stream.getReader();
+        const decoder = new TextDecoder();
+        
+        let format = options.format || null;
+        let parser = null;
+        const records = [];
+        const textParts = [];
+        let loadedBytes = 0;
+        let previewSent = false;
+        
+        const consume = (text) => {
+            if (!format) {
+                format = this.tabularImporter.detectFormat(options.name, text);
+            }
+            if (format !== 'json') {
+                textParts.push(text);
+                return;
+            }
+            
+            parser = parser || new JsonArrayStreamParser();
+            const elements = parser.push(text);
+            for (let i = 0; i < elements.length; i++) {
+                records.push(elements[i]);
+            }
+        };
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            loadedBytes += value.byteLength;
+            options.hasher?.update(value);
+            try {
+                consume(decoder.decode(value, { stream: true }));
             } catch (error) {
-                // 网络错误或其他错误，静默继续
-                lastError = error;
-                continue;
+                reader.cancel();
+                throw new Error(`无法解析文件 ${options.name}: ${error.message}`);
+            }
+            onProgress?.({ phase: 'loading', loadedBytes, totalBytes, records: records.length });
+            
+            // 文件还剩一半以上时才值得先渲染预览
+            const worthPreview = !totalBytes || loadedBytes < totalBytes * 0.5;
+            if (onPreview && !previewSent && worthPreview && records.length >= this.previewSize) {
+                previewSent = true;
+                try {
+                    onPreview(this.transformData(records.slice(), { preview: true }));
+                } catch (error) {
+                    console.warn('预览数据不可用:', error.message);
+                }
             }
         }
+        consume(decoder.decode());
         
-        // 如果所有路径都失败，抛出错误
-        throw new Error(`无法从任何路径加载数据。尝试的路径: ${uniquePaths.join(', ')}`);
+        if (format === 'json') {
+            if (!parser) {
+                throw new Error(`文件 ${options.name} 为空`);
+            }
+            parser.end();
+            return { rawData: records, parseIssues: [] };
+        }
+        
+        return this.parseRawData(textParts.join(''), { ...options, format });
     }
     
-    transformData(rawData) {
-        const participants = rawData.map(item => {
+    /**
+     * 把文件内容解析为原始参与者记录
+     * JSON数组直接使用；CSV/TSV/JSON Lines先解析成行，再经过列映射转换成相同的记录格式
+     * @param {string} text - 文件内容
+     * @param {Object} options
+     *   - name: string (文件名或URL，用于判断格式)
+     *   - format: 'json'|'jsonl'|'csv'|'tsv' (显式指定格式)
+     *   - columns: Object (预设的列映射，覆盖自动猜测的结果)
+     *   - interactive: boolean (为true时总是让用户确认列映射，否则只在映射不完整时询问)
+     * @returns {{rawData: Array, parseIssues: Array, mapping?: Object}} 表格格式附带最终使用的列映射
+     */
+    async parseRawData(text, options = {}) {
+        const { name = '', columns = null, interactive = false } = options;
+        const format = options.format || this.tabularImporter.detectFormat(name, text);
+        
+        if (format === 'json') {
+            try {
+                return { rawData: JSON.parse(text), parseIssues: [] };
+            } catch (error) {
+                throw new Error(`无法解析文件 ${name}: ${error.message}`);
+            }
+        }
+        
+        const table = this.tabularImporter.parse(text, format);
+        if (table.rows.length === 0) {
+            throw new Error(`文件 ${name} 中没有数据行`);
+        }
+        
+        let mapping = { ...this.tabularImporter.suggestMapping(table.columns), ...(columns || {}) };
+        const incomplete = this.tabularImporter.missingRequiredFields(mapping).length > 0;
+        if (this.confirmMapping && (interactive || incomplete)) {
+            mapping = await this.confirmMapping({
+                columns: table.columns,
+                mapping: mapping,
+                sampleRows: table.rows.slice(0, 3),
+                name: name.split('/').pop()
+            });
+            if (!mapping) {
+                const error = new Error('已取消导入');
+                error.cancelled = true;
+                throw error;
+            }
+        }
+        
+        const missing = this.tabularImporter.missingRequiredFields(mapping);
+        if (missing.length > 0) {
+            throw new Error(`列映射不完整，缺少: ${missing.join(', ')}`);
+        }
+        
+        // 行级解析问题并入导入报告
+        const parseIssues = table.errors.map(error => ({
+            index: null,
+            id: null,
+            severity: format === 'jsonl' ? 'error' : 'warning',
+            field: `line ${error.line}`,
+            message: format === 'jsonl' ? `${error.message}, line skipped` : error.message
+        }));
+        
+        console.log(`✓ 已按列映射解析 ${format.toUpperCase()} 数据: ${table.rows.length} 行`);
+        return { rawData: this.tabularImporter.applyMapping(table.rows, mapping), parseIssues, mapping };
+    }
+    
+    /**
+     * 在目标元素上启用拖放加载本地数据文件
+     * @param {HTMLElement} target - 接收拖放的元素
+     * @param {Function} onFile - 收到文件后的回调 (file | files) => void
+     */
+    enableFileDrop(target, onFile) {
+        let dragDepth = 0;
+        
+        target.addEventListener('dragenter', (event) => {
+            event.preventDefault();
+            dragDepth++;
+            target.classList.add('file-drop-active');
+        });
+        
+        target.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        });
+        
+        target.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                target.classList.remove('file-drop-active');
+            }
+        });
+        
+        target.addEventListener('drop', (event) => {
+            event.preventDefault();
+            dragDepth = 0;
+            target.classList.remove('file-drop-active');
+            
+            // 拖入多个文件时（如manifest和二进制文件）整体交给回调
+            const files = Array.from(event.dataTransfer.files || []);
+            if (files.length > 0) {
+                onFile(files.length > 1 ? files : files[0]);
+            }
+        });
+    }
+    
+    /**
+     * @param {Array} rawData - 原始参与者记录
+     * @param {Object} options
+     *   - parseIssues: Array (解析阶段的问题，如CSV/JSON Lines中的坏行，会并入导入报告)
+     *   - preview: boolean (流式加载中的预览：不计算聚类，也不输出导入警告)
+     *   - transcripts: Array<{name, text}> (单独的转录稿文件，见 attachTranscripts)
+     *   - defaultConsent: string (覆盖构造参数中的默认同意级别，如数据集配置中的 defaultConsent)
+     *   - deferCompute: boolean (不计算主观性特征、Experience/Topic向量和聚类，由 processRecords 交给计算Worker)
+     */
+    transformData(rawData, options = {}) {
+        if (!Array.isArray(rawData)) {
+            throw new Error('数据文件必须是参与者记录的数组');
+        }
+        
+        const parseIssues = [...(options.parseIssues || [])];
+        if (options.transcripts?.length > 0) {
+            parseIssues.push(...this.attachTranscripts(rawData, options.transcripts));
+        }
+        
+        // 先校验：跳过或修复有问题的记录，避免单条坏数据导致整个视图崩溃
+        const { records, report } = this.validator.validate(rawData);
+        const preview = options.preview || false;
+        const deferCompute = preview || options.deferCompute || false;
+        if (parseIssues.length > 0) {
+            // JSON Lines中无法解析的行没有进入rawData，也计为跳过
+            const droppedLines = parseIssues.filter(issue => issue.severity === 'error').length;
+            report.total += droppedLines;
+            report.skipped += droppedLines;
+            report.issues = [...parseIssues, ...report.issues];
+        }
+        if (!preview && (report.skipped > 0 || report.repaired > 0)) {
+            console.warn(`导入报告: ${report.accepted}/${report.total} 条记录可用，${report.repaired} 条已修复，${report.skipped} 条已跳过`);
+        }
+        if (records.length === 0) {
+            const error = new Error(`没有可用的参与者记录（共 ${report.total} 条，全部未通过校验）`);
+            error.report = report;
+            throw error;
+        }
+        
+        // 脱敏：之后的步骤（主观性分析、渲染）只看到脱敏后的文本，原文留在 this.originals 中
+        if (!preview) {
+            this.originals = { dataset: null, byId: new Map() };
+        }
+        const audit = [];
+        const defaultConsent = normalizeConsent(options.defaultConsent) || this.defaultConsent;
+        const consentIssues = [];
+        const ignoredFields = new Set();
+        
+        const participants = records.map(item => {
             // 计算独特性分数（基于文本长度和语义向量的方差）
             const uniquenessScore = this.calculateUniquenessScore(item);
+            const emotionProfile = buildEmotionProfile(item.emotion_scores);
+            const id = item.participant_id.replace(/ /g, '_');
+            const redacted = this.redactRecord(item, this.extractTranscript(item));
+            if (redacted.spans.length > 0) {
+                if (!preview) {
+                    this.originals.byId.set(id, { text_content: item.text_content, transcript: redacted.original });
+                }
+                redacted.spans.forEach(span => audit.push({ id: item.participant_id, ...span }));
+            }
             
             return {
-                id: item.participant_id.replace(/ /g, '_'),
+                id: id,
                 original_id: item.participant_id,
                 isotype_signature: {
                     semantic: item.semantic_embedding,
-                    emotion: this.extractEmotionVector(item.emotion_scores),
+                    emotion: emotionProfile.vector,
+                    emotion_profile: emotionProfile,
                     unified: item.unified_embedding,
                     uniqueness_score: uniquenessScore,
-                    dominant_dimensions: this.getDominantDimensions(item)
+                    dominant_dimensions: this.getDominantDimensions(emotionProfile)
                 },
                 cluster_assignments: this.extractClusterAssignments(item),
                 visual_properties: this.generateVisualProperties(item),
-                metadata: item.metadata,
-                text_content: item.text_content
+                metadata: this.extractMetadata(item, ignoredFields),
+                text_content: redacted.text,
+                transcript: redacted.transcript,
+                redactions: redacted.spans.length,
+                consent: this.extractConsent(item, defaultConsent, consentIssues)
             };
         });
+        if (consentIssues.length > 0) {
+            report.issues.push(...consentIssues);
+        }
+        if (ignoredFields.size > 0) {
+            report.issues.push({
+                index: null,
+                id: null,
+                severity: 'warning',
+                field: [...ignoredFields].join(', '),
+                message: 'Top-level field(s) not listed in demographicFields, not loaded (move them into "metadata" to use them)'
+            });
+        }
+        report.redaction = this.summarizeRedaction(audit, participants.length);
+        if (!preview && audit.length > 0) {
+            console.log(`✓ 已脱敏 ${audit.length} 处个人信息 (${report.redaction.participants} 个参与者)`);
+        }
+        
+        // 主观性特征只依赖文本和向量，加载时计算一次（随处理结果一起缓存），渲染时不再重复分析文本
+        // Experience和Topic维度同样只依赖文本，在聚类之前算好（experience_cluster、topic_cluster使用它们）
+        let topics = null;
+        if (!deferCompute) {
+            participants.forEach(p => {
+                p.subjectivity = this.subjectivityExtractor.extractSubjectivity(p);
+            });
+            topics = this.applyTextDimensions(participants, participants.map(extractExperience), this.topicModel.fit(participants));
+        }
+        
+        // 情感数据覆盖情况（例如只有neutral的数据集），写入导入报告
+        report.emotionCoverage = { measured: 0, partial: 0, 'neutral-only': 0, missing: 0 };
+        participants.forEach(p => report.emotionCoverage[p.isotype_signature.emotion_profile.status]++);
+        if (!preview && report.emotionCoverage.measured < participants.length) {
+            console.warn('情感数据不完整:', report.emotionCoverage);
+        }
         
         return {
             participants: participants,
-            clusters: this.extractClusters(participants)
+            clusters: deferCompute ? null : this.extractClusters(participants),
+            topics: topics,
+            report: report,
+            preview: preview
         };
     }
     
+    /**
+     * 转换数据并完成派生计算（主观性特征、Experience/Topic向量、聚类）
+     * 提供了compute时，这些步骤在Worker中执行，处理大数据集时界面仍能响应；否则与 transformData 相同
+     */
+    async processRecords(rawData, options = {}) {
+        if (!this.compute) {
+            return this.transformData(rawData, options);
+        }
+        
+        const data = this.transformData(rawData, { ...options, deferCompute: true });
+        const participants = data.participants;
+        
+        // Worker只需要文本和向量，不复制可视化属性等其他字段
+        const texts = participants.map(p => ({
+            text_content: p.text_content,
+            transcript: p.transcript,
+            isotype_signature: {
+                semantic: p.isotype_signature.semantic,
+                emotion: p.isotype_signature.emotion,
+                emotion_profile: p.isotype_signature.emotion_profile
+            }
+        }));
+        // 三个任务一起等待，任一失败时其余任务的失败也有人处理
+        const [subjectivity, experience, topicResult] = await Promise.all([
+            this.compute.run('subjectivity', { participants: texts }),
+            this.compute.run('experience', { participants: texts }),
+            this.compute.run('topics', { participants: texts, options: this.topicModel.options })
+        ]);
+        data.topics = this.applyTextDimensions(participants, experience, topicResult);
+        
+        const clusterJobs = Object.entries(CLUSTER_SOURCES)
+            .filter(([field]) => participants.some(p => p.cluster_assignments[field] === null))
+            .map(async ([field, source]) => {
+                const vectors = this.clusterInput(participants, source).map(p => p.isotype_signature[source.vector]);
+                const result = await this.compute.run('cluster', {
+                    vectors,
+                    metric: source.metric,
+                    options: this.clusterer.options
+                });
+                return [field, result];
+            });
+        
+        const clusterResults = await Promise.all(clusterJobs);
+        participants.forEach((p, i) => {
+            p.subjectivity = subjectivity[i];
+        });
+        data.clusters = this.extractClusters(participants, Object.fromEntries(clusterResults));
+        return data;
+    }
+    
+    /**
+     * 写入Experience和Topic向量
+     * @param {Array} experience - 每个人的 extractExperience() 结果
+     * @param {Object} topicResult - TopicModel.fit() 的结果
+     * @returns {Array<{id, terms, weight}>} 主题列表
+     */
+    applyTextDimensions(participants, experience, topicResult) {
+        participants.forEach((p, i) => {
+            p.isotype_signature.experience = experience[i].vector;
+            p.isotype_signature.experience_events = experience[i].events;
+            p.isotype_signature.topic = topicResult.weights[i];
+        });
+        if (topicResult.topics.length > 0) {
+            console.log(`✓ 主题模型: ${topicResult.topics.length} 个主题`, topicResult.topics.map(topic => topic.terms.slice(0, 3).join('/')));
+        }
+        return topicResult.topics;
+    }
+    
     calculateUniquenessScore(item) {
         // 基于语义向量的方差计算独特性
         const vec = item.semantic_embedding || [];
@@ -95,14 +1095,15 @@ export class DataLoader {
         return Math.min(1, Math.max(0, (stdDev + 0.1) / 0.3));
     }
     
-    getDominantDimensions(item) {
+    getDominantDimensions(emotionProfile) {
         // 确定主导维度（简化实现）
-        // 基于情感分数和语义向量的特征
+        // 基于实测的情感分数和语义向量的特征（neutral不算情感维度的信号）
         const dimensions = [];
         
-        const emotionVec = this.extractEmotionVector(item.emotion_scores);
-        const maxEmotion = Math.max(...emotionVec);
-        if (maxEmotion > 0.3) {
+        const measured = Object.entries(emotionProfile.scores)
+            .filter(([label]) => label !== 'neutral')
+            .map(([, value]) => value);
+        if (measured.length > 0 && Math.max(...measured) > 0.3) {
             dimensions.push('emotion');
         }
         
@@ -112,38 +1113,162 @@ export class DataLoader {
         return dimensions;
     }
     
-    extractEmotionVector(emotionScores) {
-        // 将情感分数转换为向量
-        // 当前数据只有neutral，扩展为7维向量
-        const emotions = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'neutral'];
-        const vector = emotions.map(emotion => emotionScores[emotion] || 0);
-        
-        // 如果只有neutral，将其值分散到其他维度（模拟情感分布）
-        if (emotionScores.neutral && Object.keys(emotionScores).length === 1) {
-            const neutralValue = emotionScores.neutral;
-            // 将neutral值按比例分配到其他维度
-            vector[0] = neutralValue * 0.1; // joy
-            vector[1] = neutralValue * 0.2; // sadness
-            vector[2] = neutralValue * 0.1; // anger
-            vector[3] = neutralValue * 0.1; // fear
-            vector[4] = neutralValue * 0.1; // surprise
-            vector[5] = neutralValue * 0.1; // disgust
-            vector[6] = neutralValue * 0.3; // neutral (保留大部分)
+    extractMetadata(item, ignoredFields = new Set()) {
+        // 人口学字段可以放在metadata、demographics对象或记录顶层，统一并入metadata（metadata中的值优先）
+        // 顶层只读取 demographicFields 中列出的字段，其余的记入 ignoredFields
+        const metadata = {};
+        if (item.demographics && typeof item.demographics === 'object' && !Array.isArray(item.demographics)) {
+            Object.assign(metadata, item.demographics);
         }
+        Object.entries(item).forEach(([key, value]) => {
+            if (RECORD_FIELDS.has(key) || (value !== null && typeof value === 'object')) return;
+            if (this.demographicFields.has(key)) {
+                metadata[key] = value;
+            } else {
+                ignoredFields.add(key);
+            }
+        });
+        return Object.assign(metadata, item.metadata);
+    }
+    
+    /**
+     * 脱敏一条记录的文本和转录结构（同一参与者共用编号作用域，numbered样式下编号一致）
+     * @returns {{text, transcript, original, spans}} spans为审计条目 {field, rule, type, start, length, placeholder}
+     */
+    redactRecord(item, transcript) {
+        const scope = this.redactor.scope();
+        const spans = [];
+        const redact = (text, field) => {
+            if (!text) return text;
+            const result = this.redactor.redact(text, scope);
+            result.spans.forEach(span => spans.push({ field, ...span }));
+            return result.text;
+        };
+        
+        const text = redact(item.text_content, 'text_content');
+        // 转录结构由text_content解析而来时，遮盖的位置已经记在text_content上，不重复计入审计
+        const structured = Array.isArray(item.turns) && item.turns.length > 0;
+        const redactTurnText = (value, field) => {
+            if (structured) return redact(value, field);
+            return value ? this.redactor.redact(value, scope).text : value;
+        };
+        
+        // 人名标签不一定在名单中，因此只保留 Q、Interviewer、Respondent 这类通用标签，其余的都换成角色
+        const labels = {};
+        const used = new Set(Object.keys(transcript.speakers).filter(label => this.isRoleLabel(label)));
+        const relabel = (label) => {
+            if (!label) return label;
+            if (!(label in labels)) {
+                if (!this.redactor.options.enabled || this.isRoleLabel(label)) {
+                    labels[label] = label;
+                } else {
+                    const base = ROLE_LABELS[transcript.speakers[label]] || 'Speaker';
+                    let replaced = base;
+                    for (let n = 2; used.has(replaced); n++) {
+                        replaced = `${base} ${n}`;
+                    }
+                    used.add(replaced);
+                    labels[label] = replaced;
+                }
+            }
+            return labels[label];
+        };
+        
+        const redactedTranscript = {
+            ...transcript,
+            turns: transcript.turns.map((turn, i) => ({
+                ...turn,
+                speaker: relabel(turn.speaker),
+                promptSpeaker: relabel(turn.promptSpeaker),
+                prompt: redactTurnText(turn.prompt, `turns[${i}].prompt`),
+                answer: redactTurnText(turn.answer, `turns[${i}].answer`)
+            })),
+            notes: transcript.notes.map((note, i) => redactTurnText(note, `notes[${i}]`)),
+            speakers: Object.fromEntries(Object.entries(transcript.speakers).map(([label, role]) => [relabel(label), role]))
+        };
         
-        return vector;
+        return { text, transcript: redactedTranscript, original: transcript, spans };
     }
     
-    extractClusterAssignments(item) {
-        // 从数据中提取聚类信息
-        // 如果数据中没有，可以根据相似度计算
+    /**
+     * 说话人标签是否是通用的角色标签（Q、Interviewer 2、Respondent等），不会透露身份
+     */
+    isRoleLabel(label) {
+        return this.transcriptParser.isKnownLabel(this.transcriptParser.labelKey(label));
+    }
+    
+    /**
+     * 脱敏审计：按类型统计，并保留每一处遮盖的位置和占位符（不含原文）
+     */
+    summarizeRedaction(audit, participantCount) {
+        const byType = {};
+        audit.forEach(entry => {
+            byType[entry.type] = (byType[entry.type] || 0) + 1;
+        });
         return {
-            experience_cluster: 0, // 待实现
-            emotion_cluster: 0,
-            multidimensional_cluster: 0
+            total: audit.length,
+            participants: new Set(audit.map(entry => entry.id)).size,
+            participantCount: participantCount,
+            placeholder: this.redactor.options.placeholder,
+            byType: byType,
+            entries: audit
         };
     }
     
+    /**
+     * 读取记录的同意级别（consent 或 visibility，也可以写在metadata中）
+     * 缺失时使用默认级别；无法识别的取值按最严格的glyph处理，并写入导入报告
+     */
+    extractConsent(item, defaultConsent, issues) {
+        const value = item.consent ?? item.visibility ?? item.metadata?.consent ?? item.metadata?.visibility;
+        if (value === undefined || value === null || value === '') return defaultConsent;
+        
+        const consent = normalizeConsent(value);
+        if (consent) return consent;
+        issues.push({
+            index: null,
+            id: item.participant_id,
+            severity: 'warning',
+            field: 'consent',
+            message: `Unknown consent level "${value}", shown as glyph only`
+        });
+        return 'glyph';
+    }
+    
+    extractTranscript(item) {
+        // 数据中已有结构化的轮次时直接使用，否则解析text_content
+        if (Array.isArray(item.turns) && item.turns.length > 0) {
+            return {
+                format: 'turns',
+                turns: item.turns.map((turn, position) => ({
+                    speaker: turn.speaker ?? null,
+                    prompt: turn.prompt ?? null,
+                    promptSpeaker: turn.promptSpeaker ?? turn.prompt_speaker ?? null,
+                    answer: turn.answer ?? null,
+                    position: turn.position ?? position
+                })),
+                notes: [],
+                speakers: {}
+            };
+        }
+        return this.transcriptParser.parse(item.text_content);
+    }
+    
+    extractEmotionVector(emotionScores) {
+        // 将情感分数转换为7维向量：未测到的情感为0（在emotion_profile.imputed中标记），没有任何数据时为空数组
+        return buildEmotionProfile(emotionScores).vector;
+    }
+    
+    extractClusterAssignments(item) {
+        // 数据中自带的聚类结果优先；缺少的字段在extractClusters中计算
+        const provided = item.cluster_assignments || {};
+        const assignments = {};
+        Object.keys(CLUSTER_SOURCES).forEach(field => {
+            assignments[field] = Number.isInteger(provided[field]) ? provided[field] : null;
+        });
+        return assignments;
+    }
+    
     generateVisualProperties(item) {
         // 生成视觉属性
         // 使用文本长度作为独特性代理（文本越长可能越独特）
@@ -169,7 +1294,7 @@ export class DataLoader {
         const emotionVec = this.extractEmotionVector(item.emotion_scores);
         const dominantEmotion = this.getDominantEmotion(emotionVec);
         
-        // 2. 如果情感不明显，则基于语义向量的特征分配
+        // 2. 如果情感不明显（或只有neutral、没有情感数据），则基于语义向量的特征分配
         if (dominantEmotion === 'neutral' || emotionVec[6] > 0.7) {
             // 使用语义向量的某些特征来分配颜色
             return this.generateColorFromSemantic(item);
@@ -292,14 +1417,61 @@ export class DataLoader {
         return `#${newR.toString(16).padStart(2, '0')}${newG.toString(16).padStart(2, '0')}${newB.toString(16).padStart(2, '0')}`;
     }
     
-    extractClusters(participants) {
-        // 提取聚类信息
-        // 这里需要实现聚类算法或从数据中读取
-        return {
-            experience: [],
-            emotion: [],
-            multidimensional: []
-        };
+    /**
+     * 计算聚类并写回每个参与者的cluster_assignments
+     * - experience_cluster：生活经历向量
+     * - emotion_cluster：情感向量
+     * - topic_cluster：主题分布
+     * - multidimensional_cluster：统一向量
+     * @param {Object} precomputed - 聚类字段 → 已在Worker中算好的 EmbeddingClusterer.cluster() 结果（可选）
+     * @returns {Object} 每个维度的聚类列表 [{id, size, members}]
+     */
+    extractClusters(participants, precomputed = {}) {
+        const clusters = {};
+        
+        Object.entries(CLUSTER_SOURCES).forEach(([field, source]) => {
+            const dimension = field.replace(/_cluster$/, '');
+            const needsClustering = participants.some(p => p.cluster_assignments[field] === null);
+            let unmeasuredId = null;
+            
+            if (needsClustering) {
+                // 没有该向量的参与者（如缺少情感数据）不参与聚类，单独归为最后一组
+                const withVector = this.clusterInput(participants, source);
+                const result = precomputed[field] ||
+                    this.clusterer.cluster(withVector.map(p => p.isotype_signature[source.vector]), { metric: source.metric });
+                withVector.forEach((p, i) => {
+                    p.cluster_assignments[field] = result.labels[i];
+                });
+                if (withVector.length < participants.length) {
+                    unmeasuredId = result.k;
+                    participants.forEach(p => {
+                        if (p.cluster_assignments[field] === null) {
+                            p.cluster_assignments[field] = unmeasuredId;
+                        }
+                    });
+                }
+                console.log(`✓ ${dimension} 聚类: ${result.k} 个聚类` +
+                    (result.silhouette !== null ? ` (轮廓系数 ${result.silhouette.toFixed(3)})` : ''));
+            }
+            
+            const groups = new Map();
+            participants.forEach(p => {
+                const id = p.cluster_assignments[field];
+                if (!groups.has(id)) groups.set(id, []);
+                groups.get(id).push(p.id);
+            });
+            clusters[dimension] = [...groups.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([id, members]) => ({ id, size: members.length, members, unmeasured: id === unmeasuredId }));
+        });
+        
+        return clusters;
+    }
+    
+    /**
+     * 参与某一字段聚类的参与者（有对应向量、且不是全零向量的，如没有提到任何生活事件的人不参与Experience聚类）
+     */
+    clusterInput(participants, source) {
+        return participants.filter(p => p.isotype_signature[source.vector]?.some(value => value !== 0));
     }
 }
-
@@ -0,0 +1,268 @@
+/**
+ * 数据校验模块
+ * 在转换之前逐条检查参与者记录：字段类型、向量长度、重复ID
+ * 能修复的记录会被修复，无法使用的记录会被跳过，所有问题都记录在导入报告中
+ */
+
+export class DataValidator {
+    /**
+     * @param {Object} options
+     *   - duplicates: 'skip' | 'rename' (重复ID的处理方式，默认跳过后出现的记录)
+     *   - maxInvalidRatio: number (向量中非法数值占比低于该值时用0修复，否则跳过，默认0.05)
+     *   - maxIssues: number (报告中最多保留的问题条数，默认500)
+     */
+    constructor(options = {}) {
+        this.options = {
+            duplicates: 'skip',
+            maxInvalidRatio: 0.05,
+            maxIssues: 500,
+            ...options
+        };
+    }
+    
+    /**
+     * 校验原始记录
+     * @param {Array} rawData - 原始参与者记录
+     * @returns {{records: Array, report: Object}} 可用的记录（已修复）和导入报告
+     */
+    validate(rawData) {
+        const report = this.createReport(rawData.length);
+        
+        // 以最常见的长度作为期望的向量维度
+        report.expectedDims = {
+            semantic: this.mostCommonLength(rawData, 'semantic_embedding'),
+            unified: this.mostCommonLength(rawData, 'unified_embedding')
+        };
+        
+        const seenIds = new Map();
+        const records = [];
+        
+        rawData.forEach((item, index) => {
+            const record = this.validateRecord(item, index, report, seenIds);
+            if (record) {
+                records.push(record);
+            }
+        });
+        
+        report.accepted = records.length;
+        report.skipped = report.total - records.length;
+        
+        return { records, report };
+    }
+    
+    createReport(total) {
+        return {
+            total: total,
+            accepted: 0,
+            repaired: 0,
+            skipped: 0,
+            expectedDims: { semantic: 0, unified: 0 },
+            issues: [],
+            truncatedIssues: 0
+        };
+    }
+    
+    /**
+     * 校验并修复单条记录，返回null表示跳过
+     */
+    validateRecord(item, index, report, seenIds) {
+        const issues = [];
+        const addIssue = (severity, field, message) => {
+            issues.push({ severity, field, message });
+        };
+        
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            addIssue('error', 'record', 'Record is not an object');
+            this.commitIssues(report, index, null, issues);
+            return null;
+        }
+        
+        const record = { ...item };
+        
+        // participant_id
+        let id = record.participant_id;
+        if (typeof id === 'number') {
+            id = String(id);
+        }
+        if (typeof id !== 'string' || id.trim() === '') {
+            id = `row_${index + 1}`;
+            addIssue('warning', 'participant_id', `Missing participant_id, assigned "${id}"`);
+        }
+        id = id.trim();
+        
+        if (seenIds.has(id)) {
+            if (this.options.duplicates === 'rename') {
+                // 新ID也可能已被别的记录使用（如数据中本来就有 "P1 #2"），跳过这些编号
+                let count = seenIds.get(id);
+                let renamed;
+                do {
+                    count++;
+                    renamed = `${id} #${count}`;
+                } while (seenIds.has(renamed));
+                seenIds.set(id, count);
+                addIssue('warning', 'participant_id', `Duplicate participant_id "${id}", renamed to "${renamed}"`);
+                id = renamed;
+            } else {
+                addIssue('error', 'participant_id', `Duplicate participant_id "${id}", record skipped`);
+                this.commitIssues(report, index, id, issues);
+                return null;
+            }
+        }
+        seenIds.set(id, seenIds.get(id) || 1);
+        record.participant_id = id;
+        
+        // semantic_embedding：相似度计算的基础，无法修复时跳过
+        const semantic = this.checkVector(record.semantic_embedding, report.expectedDims.semantic);
+        if (semantic.error) {
+            addIssue('error', 'semantic_embedding', `${semantic.error}, record skipped`);
+            this.commitIssues(report, index, id, issues);
+            return null;
+        }
+        if (semantic.repairedCount > 0) {
+            addIssue('warning', 'semantic_embedding', `${semantic.repairedCount} non-numeric value(s) replaced with 0`);
+        }
+        record.semantic_embedding = semantic.vector;
+        
+        // unified_embedding：缺失或无法使用时由语义向量补零重建
+        const unified = this.checkVector(record.unified_embedding, report.expectedDims.unified);
+        if (unified.error) {
+            const targetLength = report.expectedDims.unified || semantic.vector.length;
+            record.unified_embedding = this.padVector(semantic.vector, targetLength);
+            addIssue('warning', 'unified_embedding', `${unified.error}, rebuilt from semantic_embedding`);
+        } else {
+            if (unified.repairedCount > 0) {
+                addIssue('warning', 'unified_embedding', `${unified.repairedCount} non-numeric value(s) replaced with 0`);
+            }
+            record.unified_embedding = unified.vector;
+        }
+        
+        // emotion_scores
+        record.emotion_scores = this.checkEmotionScores(record.emotion_scores, addIssue);
+        
+        // text_content
+        if (record.text_content === undefined || record.text_content === null) {
+            record.text_content = '';
+            addIssue('warning', 'text_content', 'Missing text_content');
+        } else if (typeof record.text_content !== 'string') {
+            record.text_content = String(record.text_content);
+            addIssue('warning', 'text_content', 'text_content is not a string, converted');
+        }
+        
+        // metadata
+        if (record.metadata === undefined || record.metadata === null) {
+            record.metadata = {};
+        } else if (typeof record.metadata !== 'object' || Array.isArray(record.metadata)) {
+            record.metadata = {};
+            addIssue('warning', 'metadata', 'metadata is not an object, ignored');
+        }
+        
+        if (issues.length > 0) {
+            report.repaired++;
+        }
+        this.commitIssues(report, index, id, issues);
+        return record;
+    }
+    
+    /**
+     * 检查向量：必须是数组、长度与期望一致；少量非法数值用0修复
+     */
+    checkVector(vector, expectedLength) {
+        if (vector === undefined || vector === null) {
+            return { error: 'Missing embedding' };
+        }
+        if (!Array.isArray(vector) && !ArrayBuffer.isView(vector)) {
+            return { error: 'Embedding is not an array' };
+        }
+        if (vector.length === 0) {
+            return { error: 'Embedding is empty' };
+        }
+        if (expectedLength && vector.length !== expectedLength) {
+            return { error: `Embedding has ${vector.length} dimensions, expected ${expectedLength}` };
+        }
+        
+        let invalid = 0;
+        for (let i = 0; i < vector.length; i++) {
+            if (typeof vector[i] !== 'number' || !Number.isFinite(vector[i])) {
+                invalid++;
+            }
+        }
+        
+        if (invalid === 0) {
+            return { vector, repairedCount: 0 };
+        }
+        if (invalid / vector.length > this.options.maxInvalidRatio) {
+            return { error: `Embedding has ${invalid} non-numeric values` };
+        }
+        
+        const repaired = Array.from(vector, v => (typeof v === 'number' && Number.isFinite(v)) ? v : 0);
+        return { vector: repaired, repairedCount: invalid };
+    }
+    
+    /**
+     * 检查情感分数：必须是 {label: number} 对象，数值限制在0-1之间
+     */
+    checkEmotionScores(scores, addIssue) {
+        if (scores === undefined || scores === null) {
+            addIssue('warning', 'emotion_scores', 'Missing emotion_scores');
+            return {};
+        }
+        if (typeof scores !== 'object' || Array.isArray(scores)) {
+            addIssue('warning', 'emotion_scores', 'emotion_scores is not an object, ignored');
+            return {};
+        }
+        
+        const cleaned = {};
+        Object.entries(scores).forEach(([label, value]) => {
+            const number = typeof value === 'string' ? parseFloat(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                addIssue('warning', 'emotion_scores', `Non-numeric score for "${label}" dropped`);
+                return;
+            }
+            if (number < 0 || number > 1) {
+                addIssue('warning', 'emotion_scores', `Score for "${label}" (${number}) clamped to 0-1`);
+            }
+            cleaned[label] = Math.min(1, Math.max(0, number));
+        });
+        
+        return cleaned;
+    }
+    
+    padVector(vector, length) {
+        const padded = Array.from(vector).slice(0, length);
+        while (padded.length < length) {
+            padded.push(0);
+        }
+        return padded;
+    }
+    
+    mostCommonLength(rawData, field) {
+        const counts = new Map();
+        rawData.forEach(item => {
+            const vector = item?.[field];
+            if (vector && typeof vector.length === 'number' && vector.length > 0) {
+                counts.set(vector.length, (counts.get(vector.length) || 0) + 1);
+            }
+        });
+        
+        let best = 0;
+        let bestCount = 0;
+        counts.forEach((count, length) => {
+            if (count > bestCount) {
+                best = length;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+    
+    commitIssues(report, index, id, issues) {
+        issues.forEach(issue => {
+            if (report.issues.length < this.options.maxIssues) {
+                report.issues.push({ index, id, ...issue });
+            } else {
+                report.truncatedIssues++;
+            }
+        });
+    }
+}
+
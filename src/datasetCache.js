@@ -0,0 +1,262 @@
+/**
+ * 数据集缓存模块
+ * 把处理后的参与者（含聚类、转录结构和主观性特征）、连接和最终的布局位置保存在IndexedDB中，
+ * 按数据集指纹和处理配置索引，再次打开同一份语料时直接读取，不再重新计算
+ *
+ * 缓存条目分以下几类：
+ * - data：DataLoader.transformData 的结果，键为 数据集指纹 + 加载配置
+ * - view：连接和布局位置，键为 数据集指纹 + 加载配置 + 视图配置（维度、相似度阈值、布局）
+ * - ann：近似最近邻索引（森林和k近邻图），键为 数据集指纹 + 加载配置 + 维度和档位
+ * - projection：投影布局的二维坐标，键为 数据集指纹 + 加载配置 + 向量和投影方法
+ * - hierarchy：层次聚类（树状图），键为 数据集指纹 + 加载配置 + 维度（及混合权重）
+ * - meta：每个数据集一条，只记录最近使用时间，淘汰时不需要读出体积很大的data条目
+ * 缓存只是加速手段：任何读写失败都只输出警告，不影响正常加载
+ */
+
+// 缓存格式版本：处理逻辑变化导致旧结果不再适用时加1，旧条目会在打开数据库时全部清除
+export const CACHE_VERSION = 3;
+
+const STORE = 'entries';
+
+/**
+ * 增量内容哈希（两路32位混合，输出16位十六进制），用于没有文件元信息时识别数据内容
+ * 不用于安全目的，只需要在同一台机器的少量数据集之间足够不冲突
+ */
+export class ContentHasher {
+    constructor() {
+        this.h1 = 0x811c9dc5;
+        this.h2 = 0x9747b28c;
+        this.length = 0;
+    }
+    
+    /**
+     * @param {Uint8Array|string} chunk
+     */
+    update(chunk) {
+        let h1 = this.h1;
+        let h2 = this.h2;
+        if (typeof chunk === 'string') {
+            for (let i = 0; i < chunk.length; i++) {
+                const code = chunk.charCodeAt(i);
+                h1 = Math.imul(h1 ^ code, 0x01000193);
+                h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+                h2 ^= h2 >>> 15;
+            }
+        } else {
+            for (let i = 0; i < chunk.length; i++) {
+                h1 = Math.imul(h1 ^ chunk[i], 0x01000193);
+                h2 = Math.imul(h2 ^ chunk[i], 0x5bd1e995);
+                h2 ^= h2 >>> 15;
+            }
+        }
+        this.h1 = h1;
+        this.h2 = h2;
+        this.length += chunk.length;
+        return this;
+    }
+    
+    digest() {
+        const hex = (value) => (value >>> 0).toString(16).padStart(8, '0');
+        return `${hex(this.h1 ^ this.length)}${hex(this.h2)}`;
+    }
+}
+
+/**
+ * 字符串的短哈希
+ */
+export function hashString(text) {
+    return new ContentHasher().update(String(text)).digest();
+}
+
+export class DatasetCache {
+    /**
+     * @param {Object} options
+     *   - dbName: string (IndexedDB数据库名，默认 'jellysoul-cache')
+     *   - maxDatasets: number (最多保留的数据集数，超过时删除最久未使用的，默认5)
+     */
+    constructor(options = {}) {
+        this.options = {
+            dbName: 'jellysoul-cache',
+            maxDatasets: 5,
+            ...options
+        };
+        this.dbPromise = null;
+    }
+    
+    get available() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * 打开数据库；版本号随CACHE_VERSION变化，升级时清空旧条目
+     */
+    open() {
+        if (!this.available) {
+            return Promise.reject(new Error('当前环境不支持IndexedDB'));
+        }
+        if (this.dbPromise) return this.dbPromise;
+        
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.options.dbName, CACHE_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (db.objectStoreNames.contains(STORE)) {
+                    db.deleteObjectStore(STORE);
+                }
+                const store = db.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('dataset', 'dataset');
+                store.createIndex('kind', 'kind');
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // 其他标签页升级数据库时关闭连接，避免阻塞
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('缓存数据库被其他标签页占用'));
+        });
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        return this.dbPromise;
+    }
+    
+    /**
+     * 读取缓存条目
+     * @param {'data'|'view'|'ann'|'projection'|'hierarchy'} kind
+     * @param {string} dataset - 数据集指纹
+     * @param {string} config - 配置哈希
+     * @returns {Promise<*|null>} 缓存的值，没有时为null
+     */
+    async get(kind, dataset, config) {
+        try {
+            const entry = await this.transaction('readonly', store => store.get(this.key(kind, dataset, config)));
+            if (!entry) return null;
+            
+            // 记录使用时间（用于淘汰最久未使用的数据集），不等待写入完成
+            this.touch(dataset);
+            return entry.value;
+        } catch (error) {
+            console.warn('读取缓存失败:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * 写入缓存条目，并按maxDatasets淘汰旧数据集
+     */
+    async put(kind, dataset, config, value) {
+        try {
+            await this.transaction('readwrite', store => store.put({
+                key: this.key(kind, dataset, config),
+                kind,
+                dataset,
+                config,
+                value
+            }));
+            await this.touch(dataset);
+            await this.evict();
+            return true;
+        } catch (error) {
+            // 配额不足等情况：放弃缓存，不影响使用
+            console.warn('写入缓存失败:', error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * 删除一个数据集的所有缓存（所有配置和视图）
+     */
+    async invalidate(dataset) {
+        try {
+            const keys = await this.transaction('readonly', store => store.index('dataset').getAllKeys(dataset));
+            if (keys.length === 0) return 0;
+            await this.transaction('readwrite', store => {
+                keys.forEach(key => store.delete(key));
+            });
+            return keys.length;
+        } catch (error) {
+            console.warn('清除数据集缓存失败:', error.message);
+            return 0;
+        }
+    }
+    
+    /**
+     * 清空全部缓存
+     */
+    async clear() {
+        try {
+            await this.transaction('readwrite', store => store.clear());
+            return true;
+        } catch (error) {
+            console.warn('清空缓存失败:', error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * 缓存概况
+     * @returns {Promise<{entries: number, datasets: number}>}
+     */
+    async stats() {
+        try {
+            const entries = await this.transaction('readonly', store => store.count());
+            const datasets = await this.transaction('readonly', store => store.index('kind').count('meta'));
+            return { entries: entries - datasets, datasets };
+        } catch (error) {
+            return { entries: 0, datasets: 0 };
+        }
+    }
+    
+    async touch(dataset) {
+        try {
+            await this.transaction('readwrite', store => store.put({
+                key: this.key('meta', dataset, ''),
+                kind: 'meta',
+                dataset,
+                accessedAt: Date.now()
+            }));
+        } catch (error) {
+            // 使用时间只影响淘汰顺序
+        }
+    }
+    
+    /**
+     * 数据集数量超过maxDatasets时，删除最久未使用的数据集
+     */
+    async evict() {
+        const metas = await this.transaction('readonly', store => store.index('kind').getAll('meta'));
+        if (metas.length <= this.options.maxDatasets) return;
+        
+        const stale = metas
+            .sort((a, b) => a.accessedAt - b.accessedAt)
+            .slice(0, metas.length - this.options.maxDatasets)
+            .map(meta => meta.dataset);
+        for (const dataset of stale) {
+            await this.invalidate(dataset);
+        }
+    }
+    
+    /**
+     * 在一个事务中执行操作，事务完成后返回最后一个请求的结果
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = operation(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('缓存事务已中止'));
+        });
+    }
+    
+    key(kind, dataset, config) {
+        return `${kind}:${dataset}:${config}`;
+    }
+}
+
@@ -0,0 +1,291 @@
+/**
+ * 二进制嵌入格式
+ * 一个manifest JSON（参与者ID、文本、情感分数、元数据和各段向量的位置）加一个二进制文件（所有向量），
+ * 比JSON浮点数组小一个数量级，读取时直接得到连续内存的typed array
+ *
+ * 二进制文件按小端序存储，每段从4字节对齐的位置开始：
+ * - float32：N×dims 个float32
+ * - int8：N×dims 个int8，另有 N 个float32的行缩放系数（scaleOffset），值 = int8 × scale
+ * unified_embedding 以 semantic_embedding 开头时只存储后面多出的维度（prefix: 'semantic'）；
+ * 缺少unified或维度不一致的记录在 missing 中列出（参与者的序号），这些行存为0，解包时不带unified_embedding
+ */
+
+export const MANIFEST_FORMAT = 'jellysoul-embeddings';
+export const MANIFEST_VERSION = 1;
+
+export class EmbeddingPack {
+    /**
+     * 打包参与者记录
+     * @param {Array} records - 原始参与者记录（与JSON数组格式相同）
+     * @param {Object} options
+     *   - dtype: 'float32' | 'int8' (semantic向量的存储类型，默认float32)
+     *   - bufferName: string (二进制文件名，写入manifest)
+     * @returns {{manifest: Object, buffer: Uint8Array, skipped: Array, withoutUnified: Array}}
+     *   skipped为semantic向量维度不一致而未打包的记录，withoutUnified为打包了但没有可用unified向量的记录
+     */
+    pack(records, options = {}) {
+        const { dtype = 'float32', bufferName = 'embeddings.bin' } = options;
+        if (dtype !== 'float32' && dtype !== 'int8') {
+            throw new Error(`不支持的存储类型: ${dtype}`);
+        }
+        
+        const semanticDims = this.mostCommonLength(records, 'semantic_embedding');
+        const skipped = [];
+        const keptIndices = [];
+        const kept = records.filter((record, index) => {
+            const length = record?.semantic_embedding?.length;
+            if (length !== semanticDims) {
+                skipped.push({ index, id: record?.participant_id ?? null, reason: `semantic_embedding has ${length ?? 0} dimensions, expected ${semanticDims}` });
+                return false;
+            }
+            keptIndices.push(index);
+            return true;
+        });
+        const count = kept.length;
+        
+        // unified向量：单条记录缺失或维度不一致时只记下这条记录，其他人的unified照常打包
+        const unifiedDims = this.mostCommonLength(kept, 'unified_embedding');
+        const withoutUnified = [];
+        const missing = [];
+        const unifiedPresent = kept.map((record, i) => {
+            if (unifiedDims === 0) return false;
+            const length = record.unified_embedding?.length;
+            if (length === unifiedDims) return true;
+            withoutUnified.push({ index: keptIndices[i], id: record.participant_id ?? null, reason: `unified_embedding has ${length ?? 0} dimensions, expected ${unifiedDims}` });
+            missing.push(i);
+            return false;
+        });
+        const hasUnified = unifiedPresent.includes(true);
+        const unifiedVectors = kept.map((record, i) => unifiedPresent[i] ? record.unified_embedding : []);
+        
+        // 有unified的记录全部以semantic开头时只存多出的维度
+        const unifiedPrefixed = hasUnified && unifiedDims >= semanticDims &&
+            kept.every((record, i) => !unifiedPresent[i] || this.startsWith(record.unified_embedding, record.semantic_embedding));
+        
+        const sections = [];
+        const semantic = this.encode(kept.map(r => r.semantic_embedding), semanticDims, dtype);
+        sections.push(semantic);
+        
+        let unified = null;
+        if (unifiedPrefixed) {
+            const extraDims = unifiedDims - semanticDims;
+            if (extraDims > 0) {
+                unified = this.encode(unifiedVectors.map(vector => Array.prototype.slice.call(vector, semanticDims)), extraDims, 'float32');
+                sections.push(unified);
+            }
+        } else if (hasUnified) {
+            unified = this.encode(unifiedVectors, unifiedDims, dtype);
+            sections.push(unified);
+        }
+        
+        // 按4字节对齐排布各段
+        let offset = 0;
+        const place = (bytes) => {
+            const start = offset;
+            offset = this.align(offset + bytes.byteLength);
+            return start;
+        };
+        sections.forEach(section => {
+            section.byteOffset = place(section.data);
+            if (section.scales) {
+                section.scaleOffset = place(section.scales);
+            }
+        });
+        
+        const buffer = new Uint8Array(offset);
+        sections.forEach(section => {
+            buffer.set(new Uint8Array(section.data.buffer, section.data.byteOffset, section.data.byteLength), section.byteOffset);
+            if (section.scales) {
+                buffer.set(new Uint8Array(section.scales.buffer, section.scales.byteOffset, section.scales.byteLength), section.scaleOffset);
+            }
+        });
+        
+        const embeddings = { semantic: this.describe(semantic) };
+        if (unifiedPrefixed) {
+            embeddings.unified = unified
+                ? { prefix: 'semantic', ...this.describe(unified) }
+                : { prefix: 'semantic', dims: 0 };
+        } else if (unified) {
+            embeddings.unified = this.describe(unified);
+        }
+        if (embeddings.unified && missing.length > 0) {
+            embeddings.unified.missing = missing;
+        }
+        
+        const manifest = {
+            format: MANIFEST_FORMAT,
+            version: MANIFEST_VERSION,
+            count: count,
+            buffer: bufferName,
+            embeddings: embeddings,
+            participants: kept.map(record => {
+                const { semantic_embedding, unified_embedding, ...rest } = record;
+                return rest;
+            })
+        };
+        
+        return { manifest, buffer, skipped, withoutUnified };
+    }
+    
+    /**
+     * 解包为原始参与者记录，向量是同一块连续内存上的Float32Array视图
+     * @param {Object} manifest
+     * @param {ArrayBuffer} buffer - 二进制文件内容
+     * @returns {Array} 原始参与者记录
+     */
+    unpack(manifest, buffer) {
+        this.checkManifest(manifest);
+        
+        const count = manifest.count;
+        const semanticSpec = manifest.embeddings.semantic;
+        const semantic = this.decode(buffer, semanticSpec, count);
+        
+        let unified = null;
+        let unifiedDims = 0;
+        const unifiedSpec = manifest.embeddings.unified;
+        if (unifiedSpec?.prefix === 'semantic') {
+            // 把semantic和多出的维度拼成一块连续内存
+            const extra = unifiedSpec.dims > 0 ? this.decode(buffer, unifiedSpec, count) : null;
+            unifiedDims = semanticSpec.dims + (unifiedSpec.dims || 0);
+            unified = new Float32Array(count * unifiedDims);
+            for (let i = 0; i < count; i++) {
+                unified.set(semantic.subarray(i * semanticSpec.dims, (i + 1) * semanticSpec.dims), i * unifiedDims);
+                if (extra) {
+                    unified.set(extra.subarray(i * unifiedSpec.dims, (i + 1) * unifiedSpec.dims), i * unifiedDims + semanticSpec.dims);
+                }
+            }
+        } else if (unifiedSpec) {
+            unified = this.decode(buffer, unifiedSpec, count);
+            unifiedDims = unifiedSpec.dims;
+        }
+        const missing = new Set(unifiedSpec?.missing || []);
+        
+        return manifest.participants.map((participant, i) => {
+            const record = {
+                ...participant,
+                semantic_embedding: semantic.subarray(i * semanticSpec.dims, (i + 1) * semanticSpec.dims)
+            };
+            if (unified && !missing.has(i)) {
+                record.unified_embedding = unified.subarray(i * unifiedDims, (i + 1) * unifiedDims);
+            }
+            return record;
+        });
+    }
+    
+    /**
+     * 判断一个JSON对象是否是嵌入manifest
+     */
+    isManifest(value) {
+        return !!value && typeof value === 'object' && value.format === MANIFEST_FORMAT;
+    }
+    
+    checkManifest(manifest) {
+        if (!this.isManifest(manifest)) {
+            throw new Error('不是嵌入manifest文件');
+        }
+        if (manifest.version > MANIFEST_VERSION) {
+            throw new Error(`不支持的manifest版本: ${manifest.version}`);
+        }
+        if (!Array.isArray(manifest.participants) || manifest.participants.length !== manifest.count) {
+            throw new Error('manifest中的参与者数量与count不一致');
+        }
+        if (!manifest.embeddings?.semantic) {
+            throw new Error('manifest中缺少semantic向量');
+        }
+    }
+    
+    /**
+     * 编码一组向量
+     */
+    encode(vectors, dims, dtype) {
+        if (dtype === 'float32') {
+            const data = new Float32Array(vectors.length * dims);
+            vectors.forEach((vector, i) => {
+                for (let d = 0; d < dims; d++) {
+                    data[i * dims + d] = vector[d] || 0;
+                }
+            });
+            return { dtype, dims, data };
+        }
+        
+        // int8：每行单独的缩放系数，保留每个向量的相对大小
+        const data = new Int8Array(vectors.length * dims);
+        const scales = new Float32Array(vectors.length);
+        vectors.forEach((vector, i) => {
+            let maxAbs = 0;
+            for (let d = 0; d < dims; d++) {
+                maxAbs = Math.max(maxAbs, Math.abs(vector[d] || 0));
+            }
+            const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+            scales[i] = scale;
+            for (let d = 0; d < dims; d++) {
+                data[i * dims + d] = Math.round((vector[d] || 0) / scale);
+            }
+        });
+        return { dtype, dims, data, scales };
+    }
+    
+    /**
+     * 解码一段向量为Float32Array（int8会被还原为浮点数）
+     */
+    decode(buffer, spec, count) {
+        const length = count * spec.dims;
+        if (spec.dtype === 'float32') {
+            return new Float32Array(buffer, spec.byteOffset, length);
+        }
+        if (spec.dtype === 'int8') {
+            const data = new Int8Array(buffer, spec.byteOffset, length);
+            const scales = new Float32Array(buffer, spec.scaleOffset, count);
+            const values = new Float32Array(length);
+            for (let i = 0; i < count; i++) {
+                const scale = scales[i];
+                for (let d = 0; d < spec.dims; d++) {
+                    values[i * spec.dims + d] = data[i * spec.dims + d] * scale;
+                }
+            }
+            return values;
+        }
+        throw new Error(`不支持的存储类型: ${spec.dtype}`);
+    }
+    
+    describe(section) {
+        const spec = { dtype: section.dtype, dims: section.dims, byteOffset: section.byteOffset };
+        if (section.scales) {
+            spec.scaleOffset = section.scaleOffset;
+        }
+        return spec;
+    }
+    
+    startsWith(vector, prefix) {
+        if (!vector || !prefix || vector.length < prefix.length) return false;
+        for (let i = 0; i < prefix.length; i++) {
+            if (vector[i] !== prefix[i]) return false;
+        }
+        return true;
+    }
+    
+    mostCommonLength(records, field) {
+        const counts = new Map();
+        records.forEach(record => {
+            const length = record?.[field]?.length;
+            if (length > 0) {
+                counts.set(length, (counts.get(length) || 0) + 1);
+            }
+        });
+        
+        let best = 0;
+        let bestCount = 0;
+        counts.forEach((count, length) => {
+            if (count > bestCount) {
+                best = length;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+    
+    align(offset) {
+        return Math.ceil(offset / 4) * 4;
+    }
+}
+
@@ -0,0 +1,101 @@
+/**
+ * 情感模型
+ * 把原始的 emotion_scores 转换为固定顺序的情感向量，并记录哪些值是实测的、哪些是补齐的
+ * 只测到neutral时不再把它分散到其他情感上：没有测到的情感就是没有数据
+ */
+
+// 情感向量的维度顺序
+export const EMOTION_LABELS = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'neutral'];
+
+// 常见分类器输出的别名
+const EMOTION_ALIASES = {
+    happy: 'joy',
+    happiness: 'joy',
+    sad: 'sadness',
+    angry: 'anger',
+    fearful: 'fear',
+    afraid: 'fear',
+    surprised: 'surprise',
+    disgusted: 'disgust'
+};
+
+/**
+ * 构建情感档案
+ * @param {Object} emotionScores - {label: score}
+ * @returns {Object} profile
+ *   - status: 'measured' (7种情感都有) | 'partial' | 'neutral-only' | 'missing'
+ *   - vector: number[] (按EMOTION_LABELS排列，未测到的情感补0；没有任何数据时为空数组)
+ *   - scores: {label: score} (实测的情感，已规范化标签)
+ *   - imputed: string[] (补0的情感标签)
+ *   - extra: {label: score} (不在EMOTION_LABELS中的其他标签，如多标签分类器的细分情感)
+ */
+export function buildEmotionProfile(emotionScores = {}) {
+    const scores = {};
+    const extra = {};
+    
+    Object.entries(emotionScores || {}).forEach(([rawLabel, value]) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+        const label = rawLabel.toLowerCase();
+        const canonical = EMOTION_ALIASES[label] || label;
+        if (EMOTION_LABELS.includes(canonical)) {
+            scores[canonical] = Math.max(scores[canonical] || 0, value);
+        } else {
+            extra[label] = value;
+        }
+    });
+    
+    const observed = Object.keys(scores);
+    if (observed.length === 0) {
+        return { status: 'missing', vector: [], scores, imputed: [...EMOTION_LABELS], extra };
+    }
+    
+    const imputed = EMOTION_LABELS.filter(label => !(label in scores));
+    let status = 'partial';
+    if (imputed.length === 0) {
+        status = 'measured';
+    } else if (observed.length === 1 && observed[0] === 'neutral') {
+        status = 'neutral-only';
+    }
+    
+    return {
+        status,
+        vector: EMOTION_LABELS.map(label => scores[label] || 0),
+        scores,
+        imputed,
+        extra
+    };
+}
+
+/**
+ * 情感强度：实测的非neutral情感中的最大值
+ * 没有测到任何非neutral情感时返回null，由调用方决定如何处理，而不是假设一个强度
+ */
+export function emotionIntensity(signature) {
+    const profile = signature?.emotion_profile;
+    if (profile) {
+        const values = Object.entries(profile.scores)
+            .filter(([label]) => label !== 'neutral')
+            .map(([, value]) => value);
+        return values.length > 0 ? Math.max(...values) : null;
+    }
+    
+    // 没有档案的节点（如示例页面的模拟数据）直接使用向量
+    const vector = signature?.emotion || [];
+    const nonNeutral = vector.slice(0, EMOTION_LABELS.length - 1);
+    return nonNeutral.length > 0 ? Math.max(...nonNeutral) : null;
+}
+
+/**
+ * 主导情感：实测分数最高的情感，没有数据时返回null
+ */
+export function dominantEmotion(signature) {
+    const vector = signature?.emotion || [];
+    if (vector.length === 0) return null;
+    
+    let maxIndex = 0;
+    for (let i = 1; i < vector.length; i++) {
+        if (vector[i] > vector[maxIndex]) maxIndex = i;
+    }
+    return EMOTION_LABELS[maxIndex] || null;
+}
+
@@ -4,6 +4,9 @@
  * 让形状真正反映文本的情感、节奏、温度
  */
 
+import { emotionIntensity, dominantEmotion } from './emotionModel.js';
+import { answerText } from './transcriptParser.js';
+
 export class EmotiveArt {
     constructor() {
         // 预计算的噪声表（用于有机形状）
@@ -70,7 +73,7 @@ export class EmotiveArt {
      * 提取文本的情感特征（更深入的分析）
      */
     extractEmotionalFeatures(node) {
-        const text = node.text_content || '';
+        const text = answerText(node);
         const emotion = node.isotype_signature?.emotion || [];
         const semantic = node.isotype_signature?.semantic || [];
         
@@ -84,8 +87,8 @@ export class EmotiveArt {
             ? sentenceLengths.reduce((sum, len) => sum + Math.pow(len - avgLength, 2), 0) / sentenceLengths.length / (avgLength * avgLength)
             : 0;
         
-        // 情感强度
-        const maxEmotion = emotion.length > 0 ? Math.max(...emotion) : 0.5;
+        // 情感强度：只看实测的非neutral情感；只有neutral或没有情感数据时为0（平静的形状），不假设强度
+        const maxEmotion = emotionIntensity(node.isotype_signature) ?? 0;
         const emotionVariance = emotion.length > 0
             ? emotion.reduce((sum, e) => sum + Math.pow(e - maxEmotion, 2), 0) / emotion.length
             : 0;
@@ -101,12 +104,8 @@ export class EmotiveArt {
             ? semantic.slice(0, 20).reduce((sum, s) => sum + Math.abs(s), 0) / 20
             : 0.5;
         
-        // 主要情感类型
-        const emotions = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'neutral'];
-        const emotionIndex = emotion.length > 0 
-            ? emotion.indexOf(maxEmotion)
-            : 6;
-        const dominantEmotion = emotions[emotionIndex] || 'neutral';
+        // 主要情感类型（没有情感数据时为null，按中性形状绘制）
+        const dominant = dominantEmotion(node.isotype_signature);
         
         return {
             rhythm: Math.min(1, rhythmVariation), // 节奏变化
@@ -114,7 +113,7 @@ export class EmotiveArt {
             emotionVariance: Math.min(1, emotionVariance * 10), // 情感变化
             density: Math.min(1, density), // 文本密度
             complexity: Math.min(1, complexity), // 语义复杂度
-            dominantEmotion: dominantEmotion, // 主导情感
+            dominantEmotion: dominant, // 主导情感
             textLength: text.length,
             sentenceCount: sentences.length
         };
@@ -0,0 +1,58 @@
+/**
+ * 生活经历特征
+ * 用生活事件词表（丧亲、疾病、婚姻、离异、为人父母、搬迁、失业……）统计参与者自己的回答中提到各类事件的密度，
+ * 得到Experience维度的向量：两个人的经历越相近（都谈到疾病和照顾家人，而不只是用词相似），相似度越高
+ * 只统计参与者的回答（answerText），访谈者的提问和开场脚本不算
+ */
+
+import { answerText } from './transcriptParser.js';
+
+// 生活事件词表：每类一个正则（不区分大小写），顺序即向量各分量的顺序
+export const LIFE_EVENTS = [
+    { id: 'bereavement', label: 'Loss of someone close', pattern: /\b(?:died|passed away|funeral|grie(?:f|ving)|widow(?:ed|er)?|death of|lost (?:my|our) (?:mother|father|mom|mum|dad|husband|wife|son|daughter|brother|sister|friend|baby|grand(?:mother|father|ma|pa)))\b/gi },
+    { id: 'illness', label: 'Illness or injury', pattern: /\b(?:cancer|diagnos\w*|surgery|hospital\w*|chemo\w*|stroke|heart attack|illness|disease|injur\w*|accident|disabilit\w*|sick)\b/gi },
+    { id: 'mental_health', label: 'Mental health', pattern: /\b(?:depress\w*|anxiety|panic attacks?|therap(?:y|ist)|counsell?(?:ing|or)|suicid\w*|breakdown|psychiatr\w*)\b/gi },
+    { id: 'partnership', label: 'Partnership and marriage', pattern: /\b(?:married|marriage|wedding|husband|wife|fianc[ée]+|engaged|fell in love|boyfriend|girlfriend)\b/gi },
+    { id: 'separation', label: 'Separation or divorce', pattern: /\b(?:divorc\w*|separated|break ?up|broke up|split up|custody)\b/gi },
+    { id: 'parenthood', label: 'Becoming a parent', pattern: /\b(?:pregnan\w*|gave birth|miscarriage|adopt(?:ed|ion)|became a (?:mother|father|parent)|my (?:first )?(?:son|daughter|kids?|children|baby))\b/gi },
+    { id: 'education', label: 'Education', pattern: /\b(?:school|college|university|graduat\w*|degree|teachers?|studied|dropped out|diploma)\b/gi },
+    { id: 'work', label: 'Work and career', pattern: /\b(?:jobs?|career|promot\w*|boss|hired|business|profession\w*|employ(?:ed|er|ment))\b/gi },
+    { id: 'job_loss', label: 'Losing work', pattern: /\b(?:laid off|fired|unemploy\w*|lost (?:my|the|his|her) job|redundan\w*|out of work|bankrupt\w*)\b/gi },
+    { id: 'relocation', label: 'Moving or migration', pattern: /\b(?:moved (?:to|away|out|back)|immigra\w*|emigra\w*|new country|relocat\w*|refugees?)\b/gi },
+    { id: 'hardship', label: 'Financial hardship', pattern: /\b(?:debt|poor|poverty|(?:could ?n[o']t|can'?t) afford|welfare|homeless\w*|evict\w*|food stamps)\b/gi },
+    { id: 'faith', label: 'Faith and spirituality', pattern: /\b(?:church|faith|pray\w*|religio\w*|spiritual\w*|bible|mosque|temple|synagogue)\b/gi },
+    { id: 'addiction', label: 'Addiction and recovery', pattern: /\b(?:alcohol\w*|drinking|drunk|drugs?|addict\w*|sober\w*|sobriety|rehab|relapse\w*)\b/gi },
+    { id: 'violence', label: 'Violence or abuse', pattern: /\b(?:abus\w*|violen\w*|assault\w*|attacked|rape\w*|bull(?:y|ied|ying))\b/gi },
+    { id: 'service', label: 'Military service', pattern: /\b(?:army|military|navy|marines|deploy(?:ed|ment)|veterans?|served in)\b/gi },
+    { id: 'caregiving', label: 'Caring for someone', pattern: /\b(?:car(?:ed|ing) for|caregiv\w*|carer|looked after|look after|nursing home)\b/gi },
+    { id: 'retirement', label: 'Retirement', pattern: /\b(?:retir\w*|pension)\b/gi },
+    { id: 'legal', label: 'Legal trouble', pattern: /\b(?:arrest\w*|prison|jail|court|convict\w*|probation)\b/gi },
+    // 较宽的生活领域：短的访谈片段里很少提到具体事件，这几类保证大多数人仍有可比较的经历特征
+    { id: 'family', label: 'Family', pattern: /\b(?:family|mother|father|mom|mum|dad|parents?|brothers?|sisters?|siblings?|grand(?:mother|father|ma|pa|parents?)|aunt|uncle|cousins?)\b/gi },
+    { id: 'friendship', label: 'Friendship', pattern: /\b(?:friends?|friendships?|buddy|buddies|neighbou?rs?|community)\b/gi },
+    { id: 'growing_up', label: 'Growing up', pattern: /\b(?:childhood|grew up|growing up|when I was (?:a )?(?:kid|child|little|young)|teenager|as a kid)\b/gi },
+    { id: 'turning_point', label: 'Turning point', pattern: /\b(?:turning point|changed my life|high point|low point|realized|realised|wake-?up call|never the same)\b/gi }
+];
+
+/**
+ * 参与者的生活经历特征
+ * @param {Object} participant - 带 text_content / transcript 的参与者
+ * @returns {{vector: number[], events: Array<{id, label, count}>}}
+ *   vector的第i个分量为 log(1 + 第i类事件每千词出现的次数)；events为提到的事件，按次数从多到少
+ */
+export function extractExperience(participant) {
+    const text = answerText(participant);
+    const words = Math.max(1, (text.match(/\S+/g) || []).length);
+    
+    const counts = LIFE_EVENTS.map(event => {
+        event.pattern.lastIndex = 0;
+        return (text.match(event.pattern) || []).length;
+    });
+    const vector = counts.map(count => Math.log1p(count * 1000 / words));
+    const events = LIFE_EVENTS
+        .map((event, i) => ({ id: event.id, label: event.label, count: counts[i] }))
+        .filter(event => event.count > 0)
+        .sort((a, b) => b.count - a.count);
+    
+    return { vector, events };
+}
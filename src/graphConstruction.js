@@ -0,0 +1,152 @@
+/**
+ * 由k近邻构建连接图
+ * 单一的全局相似度阈值对不同语料的效果差别很大：同一个0.95，有的语料几乎所有人都孤立，有的几乎全部相连
+ * 这里提供几种只依赖每个人自己邻域的构图方式，全部基于 SimilarityIndex.topK()（或近似索引）得到的近邻列表：
+ * - threshold：相似度不低于全局阈值的近邻（原来的方式）
+ * - topk：每个人连接自己最相似的k个人
+ * - mutual：只连接互为k近邻的两个人，去掉"一厢情愿"的连接，聚类更干净
+ * - adaptive：局部尺度（Zelnik-Manor & Perona）：σᵢ 为i到第k个近邻的距离（1 - 相似度），
+ *   当 exp(-d²/(σᵢσⱼ)) ≥ 1/e 即 d² ≤ σᵢσⱼ 时相连，稠密区域要求更高、稀疏区域要求更低；每个人至少连接最近的一个人
+ * - backbone：相似度阈值之上的连接，加上近邻图的最小生成树（森林）作为骨架，保证同一连通分量中的人不会孤立
+ * 相似度不大于0的近邻在任何方式下都不相连
+ */
+
+import { neighborsOf } from './similarityIndex.js';
+
+export const GRAPH_MODES = [
+    { id: 'threshold', label: 'Similarity threshold', usesThreshold: true },
+    { id: 'topk', label: 'Top-k per person', usesThreshold: false },
+    { id: 'mutual', label: 'Mutual neighbours', usesThreshold: false },
+    { id: 'adaptive', label: 'Adaptive (local scaling)', usesThreshold: false },
+    { id: 'backbone', label: 'Threshold + spanning backbone', usesThreshold: true }
+];
+
+/**
+ * 这种构图方式是否使用Similarity滑块
+ */
+export function usesThreshold(mode) {
+    return GRAPH_MODES.find(m => m.id === mode)?.usesThreshold ?? true;
+}
+
+/**
+ * @param {Object} neighbors - SimilarityIndex.topK() 的结果
+ * @param {number} count - 参与者人数
+ * @param {Object} options
+ *   - mode: string (GRAPH_MODES中的id，默认threshold)
+ *   - threshold: number (threshold和backbone方式的相似度阈值)
+ * @returns {Array<{source: number, target: number, similarity: number}>} 无向边，按首次出现的顺序和方向（i的近邻j记为 i → j），结果可复现
+ */
+export function buildGraph(neighbors, count, options = {}) {
+    const { mode = 'threshold', threshold = 0 } = options;
+    const edges = new EdgeSet();
+    
+    switch (mode) {
+        case 'topk':
+            forEachNeighbor(neighbors, count, (i, j, similarity) => edges.add(i, j, similarity));
+            break;
+        
+        case 'mutual': {
+            const lists = Array.from({ length: count }, (_, i) => new Set(neighborsOf(neighbors, i).map(n => n.index)));
+            forEachNeighbor(neighbors, count, (i, j, similarity) => {
+                if (lists[j].has(i)) edges.add(i, j, similarity);
+            });
+            break;
+        }
+        
+        case 'adaptive': {
+            const sigma = localScales(neighbors, count);
+            forEachNeighbor(neighbors, count, (i, j, similarity, rank) => {
+                const distance = 1 - similarity;
+                if (rank === 0 || distance * distance <= sigma[i] * sigma[j]) edges.add(i, j, similarity);
+            });
+            break;
+        }
+        
+        case 'backbone':
+            forEachNeighbor(neighbors, count, (i, j, similarity) => {
+                if (similarity >= threshold) edges.add(i, j, similarity);
+            });
+            spanningForest(neighbors, count).forEach(([i, j, similarity]) => edges.add(i, j, similarity));
+            break;
+        
+        default:
+            forEachNeighbor(neighbors, count, (i, j, similarity) => {
+                if (similarity >= threshold) edges.add(i, j, similarity);
+            });
+    }
+    
+    return edges.list;
+}
+
+/**
+ * 依次访问每个人的近邻（按相似度从高到低），跳过相似度不大于0的
+ * @param {Function} callback - (i, j, similarity, rank) => void
+ */
+function forEachNeighbor(neighbors, count, callback) {
+    for (let i = 0; i < count; i++) {
+        neighborsOf(neighbors, i).forEach(({ index, similarity }, rank) => {
+            if (similarity > 0) callback(i, index, similarity, rank);
+        });
+    }
+}
+
+/**
+ * 每个人的局部尺度：到最远的（第k个）近邻的距离；没有近邻时为0
+ */
+function localScales(neighbors, count) {
+    const sigma = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        const list = neighborsOf(neighbors, i);
+        if (list.length > 0) sigma[i] = Math.max(1e-6, 1 - list[list.length - 1].similarity);
+    }
+    return sigma;
+}
+
+/**
+ * 近邻图上的最大相似度生成森林（Kruskal + 并查集）
+ * @returns {Array<[number, number, number]>} [i, j, similarity]
+ */
+function spanningForest(neighbors, count) {
+    const candidates = [];
+    forEachNeighbor(neighbors, count, (i, j, similarity) => {
+        candidates.push(i < j ? [i, j, similarity] : [j, i, similarity]);
+    });
+    candidates.sort((a, b) => b[2] - a[2] || a[0] - b[0] || a[1] - b[1]);
+    
+    const parent = Int32Array.from({ length: count }, (_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    
+    const forest = [];
+    for (const [i, j, similarity] of candidates) {
+        const a = find(i);
+        const b = find(j);
+        if (a === b) continue;
+        parent[a] = b;
+        forest.push([i, j, similarity]);
+        if (forest.length === count - 1) break;
+    }
+    return forest;
+}
+
+/**
+ * 去重的无向边集合
+ */
+class EdgeSet {
+    constructor() {
+        this.keys = new Set();
+        this.list = [];
+    }
+    
+    add(i, j, similarity) {
+        const key = i < j ? `${i}-${j}` : `${j}-${i}`;
+        if (this.keys.has(key)) return;
+        this.keys.add(key);
+        this.list.push({ source: i, target: j, similarity });
+    }
+}
@@ -0,0 +1,263 @@
+/**
+ * 群体构建模块
+ * 按参与者的人口学/元数据字段（性别、年龄段、地区、访谈轮次等）分组，
+ * 生成 GroupIsotypeRenderer.renderGroups 需要的 {key: {count, samples, label}}，人数全部来自数据本身
+ */
+
+// 缺失值所在群体的key（不会与数据中的取值冲突）
+export const MISSING_KEY = '__missing__';
+// 类别过多时合并小类别的群体key
+export const OTHER_KEY = '__other__';
+
+// 视为缺失的字符串取值
+const MISSING_STRINGS = new Set(['', 'na', 'n/a', 'nan', 'null', 'none', 'unknown']);
+
+// 数据自带的聚类字段也可以作为分组依据
+const CLUSTER_FIELDS = {
+    'cluster_assignments.experience_cluster': 'Experience cluster',
+    'cluster_assignments.emotion_cluster': 'Emotion cluster',
+    'cluster_assignments.topic_cluster': 'Topic cluster',
+    'cluster_assignments.multidimensional_cluster': 'Multidimensional cluster'
+};
+
+export class GroupBuilder {
+    /**
+     * @param {Object} options
+     *   - maxGroups: number (类别字段最多显示的群体数，其余合并为Other，默认8)
+     *   - bins: number (数值字段默认的分箱数，按分位数切分，默认4)
+     *   - unknownLabel: string (缺失值群体的标签，默认'Unknown')
+     *   - otherLabel: string (合并小类别后的标签，默认'Other')
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxGroups: 8,
+            bins: 4,
+            unknownLabel: 'Unknown',
+            otherLabel: 'Other',
+            ...options
+        };
+    }
+    
+    /**
+     * 列出可用于分组的字段
+     * @param {Array} participants - DataLoader输出的参与者
+     * @returns {Array<{key, label, type, distinct, coverage}>}
+     *   type为 'categorical' | 'numeric' | 'boolean'；coverage为有取值的参与者比例；
+     *   每人取值都不同的类别字段（如ID、自由文本）不适合分组，不会列出
+     */
+    listFields(participants) {
+        const keys = new Set();
+        participants.forEach(p => {
+            Object.keys(p.metadata || {}).forEach(key => keys.add(key));
+        });
+        
+        const fields = [];
+        [...keys, ...Object.keys(CLUSTER_FIELDS)].forEach(key => {
+            const values = participants.map(p => this.readValue(p, key)).filter(value => value !== null);
+            if (values.length === 0) return;
+            
+            const type = this.detectType(values);
+            const distinct = new Set(values.map(value => String(value))).size;
+            if (type === 'categorical' && distinct === values.length && values.length > this.options.maxGroups) return;
+            
+            fields.push({
+                key,
+                label: CLUSTER_FIELDS[key] || this.humanize(key),
+                type,
+                distinct,
+                coverage: values.length / participants.length
+            });
+        });
+        return fields;
+    }
+    
+    /**
+     * 按字段分组
+     * @param {Array} participants - DataLoader输出的参与者
+     * @param {string} field - metadata中的字段名，或参与者上的路径（如 'cluster_assignments.emotion_cluster'）
+     * @param {Object} options
+     *   - type: 'categorical' | 'numeric' | 'boolean' (默认根据取值判断)
+     *   - bins: number | number[] (数值字段的分箱数或分箱边界)
+     *   - labels: {value: label} (类别取值的显示名称，如 {F: 'Female'})
+     *   - order: Array (类别的显示顺序，未列出的类别按人数排在后面)
+     *   - includeUnknown: boolean (是否保留缺失值群体，默认true)
+     *   - maxGroups: number (覆盖构造参数)
+     * @returns {Object} groups - {key: {count, samples, label, value}}，按显示顺序插入
+     */
+    buildGroups(participants, field, options = {}) {
+        const { includeUnknown = true } = options;
+        const values = participants.map(p => this.readValue(p, field));
+        const present = values.filter(value => value !== null);
+        const type = options.type || (present.length > 0 ? this.detectType(present) : 'categorical');
+        
+        const assign = type === 'numeric'
+            ? this.numericAssigner(present, options.bins ?? this.options.bins)
+            : this.categoricalAssigner(present, type, { ...options, field });
+        
+        const buckets = new Map(assign.groups.map(group => [group.key, { ...group, samples: [] }]));
+        const unknown = { key: MISSING_KEY, label: this.options.unknownLabel, value: null, samples: [] };
+        
+        participants.forEach((participant, i) => {
+            const value = values[i];
+            if (value === null) {
+                unknown.samples.push(participant);
+                return;
+            }
+            buckets.get(assign.keyOf(value)).samples.push(participant);
+        });
+        
+        const groups = {};
+        const add = (bucket) => {
+            if (bucket.samples.length === 0) return;
+            groups[bucket.key] = {
+                count: bucket.samples.length,
+                samples: bucket.samples,
+                label: bucket.label,
+                value: bucket.value
+            };
+        };
+        buckets.forEach(add);
+        if (includeUnknown) {
+            add(unknown);
+        }
+        return groups;
+    }
+    
+    /**
+     * 类别字段：按人数排序，超过maxGroups时把最小的类别合并为Other
+     */
+    categoricalAssigner(values, type, options) {
+        const maxGroups = options.maxGroups || this.options.maxGroups;
+        const labels = options.labels || {};
+        const order = (options.order || []).map(value => String(value));
+        
+        const counts = new Map();
+        values.forEach(value => {
+            const key = String(value);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        
+        const rank = (key) => {
+            const index = order.indexOf(key);
+            return index === -1 ? order.length : index;
+        };
+        const sorted = [...counts.keys()].sort((a, b) =>
+            rank(a) - rank(b) || counts.get(b) - counts.get(a) || a.localeCompare(b, undefined, { numeric: true })
+        );
+        
+        const kept = sorted.length > maxGroups ? sorted.slice(0, maxGroups - 1) : sorted;
+        const keptSet = new Set(kept);
+        const groups = kept.map(key => ({
+            key,
+            label: labels[key] ?? this.formatCategory(key, type, options.field),
+            value: type === 'boolean' ? key === 'true' : key
+        }));
+        if (kept.length < sorted.length) {
+            groups.push({ key: OTHER_KEY, label: this.options.otherLabel, value: sorted.slice(kept.length) });
+        }
+        
+        return {
+            groups,
+            keyOf: (value) => {
+                const key = String(value);
+                return keptSet.has(key) ? key : OTHER_KEY;
+            }
+        };
+    }
+    
+    /**
+     * 数值字段：给定分箱边界，或按分位数切成bins段（重复的边界会被合并）
+     */
+    numericAssigner(values, bins) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        
+        let edges;
+        if (Array.isArray(bins)) {
+            edges = [...bins].sort((a, b) => a - b);
+            if (edges[0] > min) edges.unshift(min);
+            if (edges[edges.length - 1] < max) edges.push(max);
+        } else {
+            edges = [min];
+            for (let i = 1; i < bins; i++) {
+                edges.push(sorted[Math.floor(i * sorted.length / bins)]);
+            }
+            edges.push(max);
+        }
+        edges = edges.filter((edge, i) => i === 0 || edge > edges[i - 1]);
+        
+        // 每段为 [下界, 上界)，最后一段包含上界；整数字段的标签写成闭区间（如 18–24）
+        const integers = values.every(value => Number.isInteger(value));
+        const groups = [];
+        const segments = Math.max(1, edges.length - 1);
+        for (let i = 0; i < segments; i++) {
+            const low = edges[i];
+            const high = edges[Math.min(i + 1, edges.length - 1)];
+            const top = integers && i < segments - 1 ? high - 1 : high;
+            groups.push({
+                key: `bin_${i}`,
+                label: top <= low ? this.formatNumber(low) : `${this.formatNumber(low)}–${this.formatNumber(top)}`,
+                value: [low, high]
+            });
+        }
+        
+        return {
+            groups,
+            keyOf: (value) => {
+                for (let i = 0; i < segments - 1; i++) {
+                    if (value < edges[i + 1]) return `bin_${i}`;
+                }
+                return `bin_${segments - 1}`;
+            }
+        };
+    }
+    
+    /**
+     * 读取参与者的字段值，缺失时返回null
+     * 不含 '.' 的字段名在metadata中查找，含 '.' 的按路径在参与者对象上查找
+     */
+    readValue(participant, field) {
+        let value;
+        if (field.includes('.')) {
+            value = field.split('.').reduce((object, key) => object?.[key], participant);
+        } else {
+            value = participant.metadata?.[field];
+        }
+        
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'object') return null; // 嵌套对象和数组不能直接分组
+        
+        const text = String(value).trim();
+        return MISSING_STRINGS.has(text.toLowerCase()) ? null : text;
+    }
+    
+    detectType(values) {
+        if (values.every(value => typeof value === 'boolean')) return 'boolean';
+        // 取值很少的整数（如访谈轮次1/2/3、聚类编号）按类别处理
+        if (values.every(value => typeof value === 'number')) {
+            const distinct = new Set(values).size;
+            const integers = values.every(value => Number.isInteger(value));
+            return integers && distinct <= this.options.maxGroups ? 'categorical' : 'numeric';
+        }
+        return 'categorical';
+    }
+    
+    formatCategory(key, type, field) {
+        if (type === 'boolean') return key === 'true' ? 'Yes' : 'No';
+        if (field in CLUSTER_FIELDS) return `Cluster ${Number(key) + 1}`;
+        return key;
+    }
+    
+    formatNumber(value) {
+        return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toFixed(2);
+    }
+    
+    humanize(key) {
+        const text = key.replace(/[_-]+/g, ' ').trim();
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
@@ -9,6 +9,8 @@
  */
 
 import { IsotypeRenderer } from './isotypeRenderer.js';
+import { pickQuote } from './transcriptParser.js';
+import { allows, WITHHELD_QUOTE } from './consent.js';
 
 export class GroupIsotypeRenderer {
     constructor(canvas, ctx) {
@@ -107,9 +109,14 @@ export class GroupIsotypeRenderer {
     
     /**
      * 生成共情台词 - 揭示数据背后的真实生命
-     * 根据样本的情感、特征生成能引起共情的个性化表达
+     * 优先使用样本自己在访谈中说过的一句话；没有转录文本时才根据情感、特征选择一句通用的表达
+     * 不同意被引用的参与者既不显示原话，也不显示代拟的台词，以免被当作本人的话
      */
     extractQuote(sample) {
+        if (!allows(sample, 'quotes')) return WITHHELD_QUOTE;
+        const realQuote = pickQuote(sample);
+        if (realQuote) return realQuote;
+        
         // 共情台词库 - 反映真实生命体验
         const empathyQuotes = [
             // 关于成长与变化
@@ -924,7 +931,7 @@ export class GroupIsotypeRenderer {
                 // 随机选择，确保多样性
                 const shuffled = [...samples].sort(() => Math.random() - 0.5);
                 return shuffled.slice(0, count);
-                
+            
             case 'stratified':
                 // 分层选择：从不同特征范围选择样本，确保多样性
                 // 按uniqueness_score排序，然后均匀采样
@@ -940,7 +947,7 @@ export class GroupIsotypeRenderer {
                     stratified.push(sorted[index]);
                 }
                 return stratified;
-                
+            
             case 'representative':
                 // 代表性选择：选择最能代表群体多样性的样本
                 // 使用k-means类似的方法，选择分布在不同特征空间的样本
@@ -992,7 +999,7 @@ export class GroupIsotypeRenderer {
                 }
                 
                 return selected;
-                
+            
             default:
                 // 默认：随机选择
                 const shuffledDefault = [...samples].sort(() => Math.random() - 0.5);
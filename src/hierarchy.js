@@ -0,0 +1,289 @@
+/**
+ * 层次聚类
+ * 在当前维度的向量上做凝聚式层次聚类（平均连接，UPGMA），距离为 1 - 余弦相似度，结果是一棵二叉树（树状图）
+ * 用最近邻链算法合并，时间 O(m²)，需要 m×m 的距离矩阵；人数超过 maxItems 时先把每个人分到最相似的
+ * maxItems 个随机选出的种子之一，在这些小簇上建树（小簇之间的距离取成员平均向量的距离），同一小簇的人在树状图中相邻
+ * 种子固定，同一份数据每次得到相同的树；由 computeTasks.js 的hierarchy任务在计算Worker中执行
+ */
+
+import { createRandom } from './random.js';
+
+export class AgglomerativeClusterer {
+    /**
+     * @param {Object} options
+     *   - maxItems: number (直接参与合并的最多条目数，超过时先分成这么多个小簇，默认2000)
+     *   - seed: number (选择小簇种子的随机种子，默认42)
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxItems: 2000,
+            seed: 42,
+            ...options
+        };
+    }
+    
+    /**
+     * @param {SimilarityIndex} index
+     * @param {Function|null} onProgress - (fraction) => void
+     * @returns {{count, items: Int32Array, leaves: number, left: Int32Array, right: Int32Array, heights: Float64Array, order: Int32Array}}
+     *   - items：每个人所在的叶子，没有有效向量的人为-1
+     *   - left / right / heights：第t次合并的两个子节点和合并时的距离（从低到高）；子节点小于leaves时为叶子，否则为第(id - leaves)次合并
+     *   - order：树状图从左到右的人的顺序，没有有效向量的人排在最后
+     */
+    fit(index, onProgress = null) {
+        const progress = onProgress || (() => {});
+        const { items, leaves, vectors, sizes } = this.groupItems(index, progress);
+        progress(0.3);
+        const distances = this.distanceMatrix(vectors, leaves, index.dims);
+        progress(0.6);
+        const { left, right, heights } = this.link(distances, sizes, leaves);
+        progress(0.9);
+        
+        return {
+            count: index.count,
+            items,
+            leaves,
+            left,
+            right,
+            heights,
+            order: this.leafOrder(items, leaves, left, right)
+        };
+    }
+    
+    /**
+     * 树的叶子：人数不超过maxItems时每个有效的人一片叶子，否则是按随机种子分出的小簇
+     * @returns {{items: Int32Array, leaves: number, vectors: Float64Array, sizes: Float64Array}} vectors为每片叶子的单位向量
+     */
+    groupItems(index, onProgress) {
+        const dims = index.dims;
+        const rows = [];
+        for (let i = 0; i < index.count; i++) {
+            if (index.valid[i]) rows.push(i);
+        }
+        const items = new Int32Array(index.count).fill(-1);
+        
+        if (rows.length <= this.options.maxItems) {
+            const vectors = new Float64Array(rows.length * dims);
+            rows.forEach((i, r) => {
+                items[i] = r;
+                vectors.set(index.row(i), r * dims);
+            });
+            return { items, leaves: rows.length, vectors, sizes: new Float64Array(rows.length).fill(1) };
+        }
+        
+        // 随机选出种子（部分Fisher-Yates洗牌），每个人归到最相似的种子
+        const random = createRandom(this.options.seed);
+        const pool = rows.slice();
+        const leaves = this.options.maxItems;
+        for (let s = 0; s < leaves; s++) {
+            const pick = s + Math.floor(random() * (pool.length - s));
+            [pool[s], pool[pick]] = [pool[pick], pool[s]];
+        }
+        const seeds = pool.slice(0, leaves).sort((a, b) => a - b);
+        
+        const vectors = new Float64Array(leaves * dims);
+        const sizes = new Float64Array(leaves);
+        const step = Math.max(1, Math.floor(rows.length / 20));
+        rows.forEach((i, r) => {
+            const row = index.row(i);
+            let best = 0;
+            let bestSimilarity = -Infinity;
+            seeds.forEach((seed, s) => {
+                const similarity = index.similarity(i, seed);
+                if (similarity > bestSimilarity) {
+                    best = s;
+                    bestSimilarity = similarity;
+                }
+            });
+            items[i] = best;
+            sizes[best]++;
+            for (let d = 0; d < dims; d++) vectors[best * dims + d] += row[d];
+            if (r % step === 0) onProgress(0.3 * r / rows.length);
+        });
+        
+        // 与另一个种子完全相同的种子分不到任何人，去掉这些空的小簇
+        const kept = [];
+        const renumber = new Int32Array(leaves).fill(-1);
+        for (let s = 0; s < leaves; s++) {
+            if (sizes[s] > 0) {
+                renumber[s] = kept.length;
+                kept.push(s);
+            }
+        }
+        const unit = new Float64Array(kept.length * dims);
+        kept.forEach((s, t) => {
+            let norm = 0;
+            for (let d = 0; d < dims; d++) norm += vectors[s * dims + d] ** 2;
+            const scale = norm > 0 ? 1 / Math.sqrt(norm) : 0;
+            for (let d = 0; d < dims; d++) unit[t * dims + d] = vectors[s * dims + d] * scale;
+        });
+        rows.forEach(i => {
+            items[i] = renumber[items[i]];
+        });
+        return { items, leaves: kept.length, vectors: unit, sizes: Float64Array.from(kept, s => sizes[s]) };
+    }
+    
+    /**
+     * 叶子两两之间的余弦距离（m×m，对称）
+     */
+    distanceMatrix(vectors, m, dims) {
+        const distances = new Float64Array(m * m);
+        for (let a = 0; a < m; a++) {
+            for (let b = a + 1; b < m; b++) {
+                let dot = 0;
+                for (let d = 0; d < dims; d++) dot += vectors[a * dims + d] * vectors[b * dims + d];
+                const distance = Math.max(0, 1 - dot);
+                distances[a * m + b] = distance;
+                distances[b * m + a] = distance;
+            }
+        }
+        return distances;
+    }
+    
+    /**
+     * 最近邻链：沿着"最近的簇"走，直到两个簇互为最近，合并它们（平均连接满足可约性，结果与逐次找全局最近的一对相同）
+     * 合并后的距离按Lance-Williams公式更新：d(k, i∪j) = (|i|·d(k, i) + |j|·d(k, j)) / (|i| + |j|)
+     * 合并按距离从低到高排序后，用并查集换成树的编号
+     */
+    link(distances, sizes, m) {
+        const active = new Uint8Array(m).fill(1);
+        const size = Float64Array.from(sizes);
+        const merges = [];
+        const chain = [];
+        
+        for (let remaining = m; remaining > 1; remaining--) {
+            if (chain.length === 0) chain.push(active.indexOf(1));
+            let a;
+            let b;
+            for (;;) {
+                a = chain[chain.length - 1];
+                // 距离相同时优先选链上的前一个，保证链一定会停下
+                const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+                b = previous;
+                let nearest = previous >= 0 ? distances[a * m + previous] : Infinity;
+                for (let c = 0; c < m; c++) {
+                    if (!active[c] || c === a) continue;
+                    if (distances[a * m + c] < nearest) {
+                        nearest = distances[a * m + c];
+                        b = c;
+                    }
+                }
+                if (b === previous) break;
+                chain.push(b);
+            }
+            chain.length -= 2;
+            
+            merges.push([Math.min(a, b), Math.max(a, b), distances[a * m + b]]);
+            // 合并后的簇留在a的位置
+            const total = size[a] + size[b];
+            for (let c = 0; c < m; c++) {
+                if (!active[c] || c === a || c === b) continue;
+                const distance = (size[a] * distances[a * m + c] + size[b] * distances[b * m + c]) / total;
+                distances[a * m + c] = distance;
+                distances[c * m + a] = distance;
+            }
+            size[a] = total;
+            active[b] = 0;
+        }
+        
+        const order = merges.map((_, t) => t).sort((s, t) => merges[s][2] - merges[t][2] || s - t);
+        const parent = Int32Array.from({ length: 2 * m }, (_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const left = new Int32Array(Math.max(0, m - 1));
+        const right = new Int32Array(Math.max(0, m - 1));
+        const heights = new Float64Array(Math.max(0, m - 1));
+        order.forEach((t, position) => {
+            const [x, y, height] = merges[t];
+            const rx = find(x);
+            const ry = find(y);
+            const id = m + position;
+            left[position] = Math.min(rx, ry);
+            right[position] = Math.max(rx, ry);
+            heights[position] = height;
+            parent[rx] = id;
+            parent[ry] = id;
+        });
+        return { left, right, heights };
+    }
+    
+    /**
+     * 从根开始深度优先（左子树在前）得到叶子的顺序，再展开为人的顺序
+     */
+    leafOrder(items, leaves, left, right) {
+        const members = Array.from({ length: leaves }, () => []);
+        const missing = [];
+        items.forEach((item, i) => {
+            if (item >= 0) {
+                members[item].push(i);
+            } else {
+                missing.push(i);
+            }
+        });
+        
+        const order = [];
+        const stack = leaves > 0 ? [2 * leaves - 2] : [];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id < leaves) {
+                order.push(...members[id]);
+            } else {
+                stack.push(right[id - leaves], left[id - leaves]);
+            }
+        }
+        order.push(...missing);
+        return Int32Array.from(order);
+    }
+}
+
+/**
+ * 在树的最大高度的 fraction 处剪开：低于剪切高度的合并连在一起，每个分支是一个聚类
+ * 标签按聚类大小编号（0为最大的聚类），没有有效向量的人单独归为最后一组（与 DataLoader.extractClusters 相同）
+ * @param {Object} hierarchy - AgglomerativeClusterer.fit() 的结果
+ * @param {number} fraction - 0到1
+ * @returns {{labels: Int32Array, k: number, height: number}} height为实际的剪切高度（余弦距离）
+ */
+export function cutHierarchy(hierarchy, fraction) {
+    const { items, leaves, left, right, heights } = hierarchy;
+    const height = maxHeight(hierarchy) * fraction;
+    
+    const parent = Int32Array.from({ length: 2 * leaves }, (_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    for (let t = 0; t < heights.length && heights[t] <= height; t++) {
+        parent[find(left[t])] = leaves + t;
+        parent[find(right[t])] = leaves + t;
+    }
+    
+    const counts = new Map();
+    items.forEach(item => {
+        if (item < 0) return;
+        const root = find(item);
+        counts.set(root, (counts.get(root) || 0) + 1);
+    });
+    const ranked = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a - b);
+    const label = new Map(ranked.map((root, position) => [root, position]));
+    return {
+        labels: Int32Array.from(items, item => item < 0 ? ranked.length : label.get(find(item))),
+        k: ranked.length,
+        height
+    };
+}
+
+/**
+ * 树的最大合并高度（只有一片叶子时为0）
+ */
+export function maxHeight(hierarchy) {
+    const { heights } = hierarchy;
+    return heights.length > 0 ? heights[heights.length - 1] : 0;
+}
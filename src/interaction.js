@@ -3,6 +3,9 @@
  */
 
 // d3通过CDN全局引入，不需要import
+import { EMOTION_LABELS } from './emotionModel.js';
+import { transcriptOf } from './transcriptParser.js';
+import { allows, consentOf, consentedQuote, CONSENT_LABELS, WITHHELD_QUOTE } from './consent.js';
 
 export class InteractionHandler {
     constructor(svg, app) {
@@ -11,7 +14,12 @@ export class InteractionHandler {
         this.selectedNode = null;
         this.tooltip = null;
         this.jumpingNodes = new Set(); // 正在跳跃的节点
+        this.showOriginal = false; // 研究者模式下Story面板显示未脱敏的原文
+        this.drag = this.createDrag();
         this.initTooltip();
+        
+        // 点击画布上高亮的连接线时解释这条连接
+        this.svg.on('click.link', (event) => this.onCanvasClick(event));
     }
     
     /**
@@ -31,66 +39,11 @@ export class InteractionHandler {
     }
     
     /**
-     * 从文本中提取真实句子（只从A:回答中提取，忽略Q:问题）
+     * 从转录稿中提取真实句子（只从参与者的回答中提取，忽略访谈者的提问）；参与者不同意被引用时不显示原话
      */
     extractRealSentence(node) {
-        const text = node.text_content || '';
-        if (!text) return "I have a story to tell.";
-        
-        // 提取所有A:开头的回答（忽略Q:问题）
-        const answerMatches = text.match(/(?:A:\s*|A：\s*)([^Q\n]+?)(?=\n\n|Q:|Q：|$)/gi);
-        if (answerMatches && answerMatches.length > 0) {
-            // 收集所有A:回答中的句子
-            const allSentences = [];
-            
-            for (const answer of answerMatches) {
-                const cleanAnswer = answer.replace(/^A:\s*|^A：\s*/i, '').trim();
-                
-                // 提取所有完整句子（以句号、问号、感叹号结尾）
-                const sentences = cleanAnswer.match(/[^.!?。！？]+[.!?。！？]/g);
-                if (sentences) {
-                    sentences.forEach(s => {
-                        const trimmed = s.trim();
-                        if (trimmed.length > 10) {
-                            allSentences.push(trimmed);
-                        }
-                    });
-                }
-                
-                // 如果没有标点但长度足够，也加入（作为完整回答）
-                if (cleanAnswer.length > 10 && !cleanAnswer.match(/[.!?。！？]/)) {
-                    allSentences.push(cleanAnswer.substring(0, 150).trim() + (cleanAnswer.length > 150 ? '...' : ''));
-                }
-            }
-            
-            // 如果有提取到的句子，使用节点ID作为种子选择其中一个
-            if (allSentences.length > 0) {
-                const nodeId = node.id || node.original_id || '';
-                const seed = nodeId.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-                const index = seed % allSentences.length;
-                return allSentences[index];
-            }
-        }
-        
-        // 如果没有A:回答，尝试从普通文本中提取（但要排除Q:开头的内容）
-        const lines = text.split('\n').filter(line => {
-            const trimmed = line.trim();
-            // 排除Q:开头的行
-            return trimmed.length > 10 && !trimmed.match(/^Q:\s*|^Q：\s*/i);
-        });
-        
-        if (lines.length > 0) {
-            const sentences = lines.join(' ').split(/[.!?。！？]/).filter(s => s.trim().length > 10);
-            if (sentences.length > 0) {
-                const nodeId = node.id || node.original_id || '';
-                const seed = nodeId.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-                const index = seed % sentences.length;
-                return sentences[index].trim();
-            }
-        }
-        
-        // 如果都没有，返回默认
-        return "I have a story to tell.";
+        if (!allows(node, 'quotes')) return WITHHELD_QUOTE;
+        return consentedQuote(node) || "I have a story to tell.";
     }
     
     /**
@@ -277,6 +230,13 @@ export class InteractionHandler {
         this.setupInteractionLayer(nodes);
     }
     
+    /**
+     * 只更新连接（节点不变，如阈值变化时增量增删连接）
+     */
+    setLinks(links) {
+        this.links = links;
+    }
+    
     setupInteractionLayer(nodes) {
         // 清除旧的交互层
         this.svg.select('.interaction-layer').remove();
@@ -303,7 +263,8 @@ export class InteractionHandler {
             .style('cursor', 'pointer')
             .on('mouseover', (event, d) => this.onNodeHover(event, d))
             .on('mouseout', (event, d) => this.onNodeLeave(event, d))
-            .on('click', (event, d) => this.onNodeClick(event, d));
+            .on('click', (event, d) => this.onNodeClick(event, d))
+            .call(this.drag);
         
         // 更新位置
         this.updateInteractionLayer(nodes);
@@ -334,6 +295,7 @@ export class InteractionHandler {
             .on('mouseover', (event, d) => this.onNodeHover(event, d))
             .on('mouseout', (event, d) => this.onNodeLeave(event, d))
             .on('click', (event, d) => this.onNodeClick(event, d))
+            .call(this.drag)
             .attr('cx', d => d.x || 0)
             .attr('cy', d => d.y || 0);
         
@@ -365,7 +327,36 @@ export class InteractionHandler {
         }
     }
     
+    /**
+     * 拖动glyph：移动后节点固定在放下的位置（只点击不移动时不固定，也不影响点击选中）；按住Alt时不拖动，留给解除固定
+     */
+    createDrag() {
+        let moved = false;
+        return d3.drag()
+            .filter(event => !event.ctrlKey && !event.altKey && !event.button)
+            .clickDistance(4)
+            .on('start', () => {
+                moved = false;
+            })
+            .on('drag', (event, d) => {
+                if (!moved) {
+                    moved = true;
+                    this.hideTooltip();
+                }
+                this.app.dragNode(d, event.x, event.y);
+            })
+            .on('end', () => {
+                if (moved) this.app.endDrag();
+            });
+    }
+    
     onNodeClick(event, node) {
+        // Alt+点击解除拖动时的固定
+        if (event.altKey) {
+            if (node.fx != null) this.app.unpin([node]);
+            return;
+        }
+        
         // 点击节点 - 让节点跳跃
         this.makeNodeJump(node);
         
@@ -375,6 +366,28 @@ export class InteractionHandler {
         this.showNodeInfo(node);
     }
     
+    /**
+     * 点击位置附近（屏幕上6像素以内）有高亮的连接线时显示连接解释；聚类融合模式下不画连接线，不响应
+     */
+    onCanvasClick(event) {
+        if (this.app.showClusterFusion || this.app.highlightedLinks.length === 0) return;
+        const layer = this.svg.select('.interaction-layer').node();
+        if (layer && layer.contains(event.target)) return;
+        
+        const [x, y] = d3.pointer(event, this.svg.select('.zoom-container').node());
+        const tolerance = 6 / this.app.transform.k;
+        let best = null;
+        let bestDistance = tolerance;
+        this.app.highlightedLinks.forEach(link => {
+            const distance = distanceToSegment(x, y, link.source, link.target);
+            if (distance <= bestDistance) {
+                best = link;
+                bestDistance = distance;
+            }
+        });
+        if (best) this.showLinkInfo(best, this.selectedNode);
+    }
+    
     highlightNode(node) {
         // 高亮节点（在Canvas上重新渲染）
         // 这里需要通知app重新渲染
@@ -399,31 +412,54 @@ export class InteractionHandler {
         // 在侧边栏显示节点信息
         const infoPanel = d3.select('#node-info');
         
-        // 计算连接数
-        const connectedNodes = this.links ? this.links.filter(link => 
-            link.source === node || link.target === node
-        ).length : 0;
+        // 计算连接数；连接按相似度从高到低列出，点击一条显示解释
+        const nodeLinks = this.links ? this.links
+            .filter(link => link.source === node || link.target === node)
+            .sort((a, b) => b.similarity - a.similarity) : [];
+        const connectedNodes = nodeLinks.length;
+        const escapeHtml = (str) => {
+            const div = document.createElement('div');
+            div.textContent = str;
+            return div.innerHTML;
+        };
         
-        // 获取情感分数
+        // 获取情感分数：只画实测的值，补0的情感不当作数据显示
+        const emotionProfile = node.isotype_signature?.emotion_profile || null;
         const emotionScores = node.isotype_signature?.emotion || [];
-        const emotions = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'neutral'];
-        const emotionData = emotions.map((emotion, i) => ({
-            name: emotion,
-            value: emotionScores[i] || 0
-        })).filter(e => e.value > 0.1).sort((a, b) => b.value - a.value);
+        const emotionData = emotionProfile
+            ? [
+                ...Object.entries(emotionProfile.scores).map(([name, value]) => ({ name, value })),
+                ...Object.entries(emotionProfile.extra).map(([name, value]) => ({ name, value })).filter(e => e.value > 0.1)
+            ].sort((a, b) => b.value - a.value)
+            : EMOTION_LABELS.map((emotion, i) => ({
+                name: emotion,
+                value: emotionScores[i] || 0
+            })).filter(e => e.value > 0.1).sort((a, b) => b.value - a.value);
+        const emotionNote = this.describeEmotionCoverage(emotionProfile);
         
         // 获取聚类信息
         const clusters = node.cluster_assignments || {};
         
-        // 获取完整文本内容
-        const fullText = node.text_content || 'No text content';
+        // Experience和Topic维度的来源：提到的生活事件和占比最高的主题
+        const lifeEvents = (node.isotype_signature?.experience_events || []).slice(0, 4).map(event => event.label).join(', ');
+        const mainTopic = this.describeTopic(node);
         
-        // 格式化文本：保留换行和段落结构
-        const formattedText = this.formatInterviewText(fullText);
+        // 按参与者的同意级别决定展示哪些部分
+        const showFeatures = allows(node, 'features');
+        const showTranscript = allows(node, 'transcript');
+        
+        // 获取完整文本内容；研究者模式解锁并选择查看原文时才使用未脱敏的文本
+        const original = this.showOriginal && showTranscript ? this.app.dataLoader.originalOf(node, this.app.data) : null;
+        const shownNode = original ? { ...node, ...original } : node;
+        const fullText = shownNode.text_content || 'No text content';
+        
+        // 按解析出的说话人轮次格式化访谈
+        const formattedText = this.formatInterviewText(shownNode);
+        const redactionNote = this.describeRedaction(node, original);
         
         // 获取glyph的解释（用于在实际应用中向观众解释视觉编码）
         let glyphInterpretation = null;
-        if (this.app.nodeRenderer && this.app.nodeRenderer.isotypeRenderer) {
+        if (showFeatures && this.app.nodeRenderer && this.app.nodeRenderer.isotypeRenderer) {
             try {
                 glyphInterpretation = this.app.nodeRenderer.isotypeRenderer.getGlyphInterpretation(node);
             } catch (e) {
@@ -447,8 +483,9 @@ export class InteractionHandler {
                     <h4>${node.original_id || node.id}</h4>
                     <div class="node-meta">
                         <span class="meta-item">Connections: ${connectedNodes}</span>
-                        <span class="meta-item">Uniqueness: ${(node.isotype_signature?.uniqueness_score || 0).toFixed(2)}</span>
+                        ${showFeatures ? `<span class="meta-item">Uniqueness: ${(node.isotype_signature?.uniqueness_score || 0).toFixed(2)}</span>` : ''}
                     </div>
+                    <button class="find-similar">Find people like this one</button>
                 </div>
                 
                 ${glyphInterpretation ? `
@@ -470,14 +507,37 @@ export class InteractionHandler {
                 </div>
                 ` : ''}
                 
+                ${showTranscript ? `
                 <div class="text-content">
                     <div class="text-header">
                         <h5>Interview Content</h5>
                         <span class="text-length">${node.metadata?.text_length || fullText.length || 0} chars</span>
                     </div>
+                    ${redactionNote}
                     <div class="text-body">${formattedText || 'No text content available'}</div>
                 </div>
+                ` : this.describeConsent(node)}
+                
+                ${nodeLinks.length > 0 ? `
+                <details class="detail-section link-connections">
+                    <summary>Connections</summary>
+                    <div class="detail-content">
+                        <p class="people-note">Choose a connection to see why these two people are linked.</p>
+                        <ul class="people-list">
+                            ${nodeLinks.map((link, i) => {
+                                const other = link.source === node ? link.target : link.source;
+                                return `
+                                <li class="people-item" data-link="${i}">
+                                    <span>${escapeHtml(other.original_id || other.id)}</span>
+                                    <span class="people-similarity">${link.similarity.toFixed(2)}</span>
+                                </li>`;
+                            }).join('')}
+                        </ul>
+                    </div>
+                </details>
+                ` : ''}
                 
+                ${showFeatures ? `
                 <div class="detail-sections-collapsed">
                     <details class="detail-section">
                         <summary>Dimensions & Clusters</summary>
@@ -486,6 +546,18 @@ export class InteractionHandler {
                                 <span class="detail-label">Dominant Dimensions:</span>
                                 <span class="detail-value">${(node.isotype_signature?.dominant_dimensions || ['semantic']).join(', ')}</span>
                             </div>
+                            ${lifeEvents ? `
+                            <div class="detail-item">
+                                <span class="detail-label">Life Events:</span>
+                                <span class="detail-value">${lifeEvents}</span>
+                            </div>
+                            ` : ''}
+                            ${mainTopic ? `
+                            <div class="detail-item">
+                                <span class="detail-label">Main Topic:</span>
+                                <span class="detail-value">${mainTopic}</span>
+                            </div>
+                            ` : ''}
                             ${Object.keys(clusters).length > 0 ? `
                             <div class="detail-item">
                                 <span class="detail-label">Clusters:</span>
@@ -495,10 +567,11 @@ export class InteractionHandler {
                         </div>
                     </details>
                     
-                    ${emotionData.length > 0 ? `
+                    ${emotionData.length > 0 || emotionNote ? `
                     <details class="detail-section">
                         <summary>Emotion Distribution</summary>
                         <div class="detail-content">
+                            ${emotionNote ? `<p class="emotion-note">${emotionNote}</p>` : ''}
                             ${emotionData.map(e => `
                                 <div class="emotion-bar">
                                     <span class="emotion-name">${e.name}:</span>
@@ -512,10 +585,300 @@ export class InteractionHandler {
                     </details>
                     ` : ''}
                 </div>
+                ` : ''}
             </div>
         `;
         
         infoPanel.html(html);
+        infoPanel.select('.redaction-toggle').on('click', () => this.toggleOriginal(node));
+        infoPanel.select('.find-similar').on('click', () => this.showSimilar(node));
+        infoPanel.selectAll('.link-connections .people-item').on('click', (event) => {
+            this.showLinkInfo(nodeLinks[Number(event.currentTarget.dataset.link)], node);
+        });
+    }
+    
+    /**
+     * 在Story面板中解释一条连接：各维度的相似度、共同的主观性特征、两人都用到的少见词语和双方的原话
+     * @param {Object} link - {source, target, similarity, dimension}
+     * @param {Object|null} backTo - 从某人的故事进入时，提供返回这个人故事的按钮
+     */
+    showLinkInfo(link, backTo = null) {
+        const { source, target } = link;
+        const explanation = this.app.explainLink(source, target);
+        const escapeHtml = (str) => {
+            const div = document.createElement('div');
+            div.textContent = str;
+            return div.innerHTML;
+        };
+        const nameOf = (node) => escapeHtml(node.original_id || node.id);
+        const dimensionLabel = link.dimension ? link.dimension.charAt(0).toUpperCase() + link.dimension.slice(1) : 'current dimension';
+        
+        const dimensions = explanation.dimensions
+            ? explanation.dimensions.map(d => `
+                <div class="emotion-bar">
+                    <span class="emotion-name">${d.label}:</span>
+                    <div class="emotion-bar-container">
+                        <div class="emotion-bar-fill" style="width: ${d.similarity === null ? 0 : Math.max(0, d.similarity) * 100}%"></div>
+                    </div>
+                    <span class="emotion-value">${d.similarity === null ? '—' : d.similarity.toFixed(2)}</span>
+                </div>
+            `).join('') + (explanation.dimensions.some(d => d.similarity === null)
+                ? '<p class="people-note">— means one of them has no data in this dimension.</p>'
+                : '')
+            : '<p class="people-note">One of them agreed to be shown, but not to share features derived from their words.</p>';
+        
+        const traits = explanation.traits;
+        const traitItems = traits ? [
+            ...traits.shared.map(t => `<div class="detail-item"><span class="detail-label">${t.label}:</span><span class="detail-value">${escapeHtml(t.value)}</span></div>`),
+            ...traits.extremes.map(t => `<div class="detail-item"><span class="detail-label">Both ${t.direction === 'high' ? 'high' : 'low'}:</span><span class="detail-value">${t.label}</span></div>`)
+        ] : [];
+        
+        const terms = explanation.terms
+            ? (explanation.terms.length > 0
+                ? `<div class="link-terms">${explanation.terms.map(t => `<span class="link-term${t.phrase ? ' phrase' : ''}" title="${t.counts[0]} × / ${t.counts[1]} ×">${escapeHtml(t.term)}</span>`).join('')}</div>`
+                : '<p class="people-note">No uncommon words in common.</p>')
+            : '<p class="people-note">Shared words are hidden because one of them did not agree to be quoted.</p>';
+        
+        const quotes = explanation.quotes.map(q => `
+            <div class="link-quote">
+                <div class="link-quote-term">“${escapeHtml(q.term)}”</div>
+                ${q.a ? `<blockquote class="consent-quote"><cite>${nameOf(source)}</cite>${escapeHtml(q.a)}</blockquote>` : ''}
+                ${q.b ? `<blockquote class="consent-quote"><cite>${nameOf(target)}</cite>${escapeHtml(q.b)}</blockquote>` : ''}
+            </div>
+        `).join('');
+        
+        d3.select('#node-info').html(`
+            <div class="node-detail link-detail">
+                <div class="node-header">
+                    <h4>${nameOf(source)} ↔ ${nameOf(target)}</h4>
+                    <div class="node-meta">
+                        <span class="meta-item">Similarity: ${link.similarity.toFixed(2)} (${escapeHtml(dimensionLabel)})</span>
+                    </div>
+                    ${backTo ? '<button class="find-similar people-back">Back to story</button>' : ''}
+                    <button class="find-similar link-person" data-side="source">${nameOf(source)}’s story</button>
+                    <button class="find-similar link-person" data-side="target">${nameOf(target)}’s story</button>
+                </div>
+                
+                <h5>Similarity by dimension</h5>
+                ${dimensions}
+                
+                ${traits ? `
+                <h5>Shared subjectivity traits</h5>
+                ${traitItems.length > 0 ? traitItems.join('') : '<p class="people-note">No shared traits.</p>'}
+                ` : ''}
+                
+                <h5>Words they both use</h5>
+                ${terms}
+                
+                ${quotes ? `
+                <h5>In their own words</h5>
+                ${quotes}
+                ` : ''}
+            </div>
+        `);
+        
+        // 画布上只高亮这一条连接
+        this.app.highlightedNode = backTo || source;
+        this.app.highlightedLinks = [link];
+        this.app.render();
+        
+        const infoPanel = d3.select('#node-info');
+        infoPanel.select('.people-back').on('click', () => {
+            this.highlightNode(backTo);
+            this.showNodeInfo(backTo);
+        });
+        infoPanel.selectAll('.link-person').on('click', (event) => {
+            const node = event.currentTarget.dataset.side === 'source' ? source : target;
+            this.selectedNode = node;
+            this.highlightNode(node);
+            this.showNodeInfo(node);
+        });
+    }
+    
+    /**
+     * 在Story面板中列出与某人最相似的人，并在画布上把他们连起来
+     */
+    showSimilar(node) {
+        const similar = this.app.findSimilar(node);
+        this.selectedNode = node;
+        this.app.highlightedNode = node;
+        this.app.highlightedLinks = similar.map(({ node: other, similarity }) => ({ source: node, target: other, similarity }));
+        this.app.render();
+        
+        this.showPeopleList(`People like ${node.original_id || node.id}`, [
+            { heading: null, people: similar, empty: 'No one with a comparable representation in this dimension.' }
+        ], node);
+    }
+    
+    /**
+     * 在Story面板中显示搜索结果
+     * @param {string} query
+     * @param {{matches, similar}} results - VisualizationApp.searchPeople() 的结果
+     */
+    showSearchResults(query, results) {
+        this.selectedNode = null;
+        this.clearHighlight();
+        this.showPeopleList(`Search: “${query}”`, [
+            {
+                heading: `${results.matches.length} ${results.matches.length === 1 ? 'person mentions' : 'people mention'} this`,
+                people: results.matches.map(node => ({ node })),
+                empty: 'No matches among people who agreed to be quoted.'
+            },
+            ...(results.similar.length > 0 ? [{ heading: 'People who talk like them', people: results.similar }] : [])
+        ]);
+    }
+    
+    /**
+     * 人员列表：点击一项选中这个人并显示其故事
+     * @param {string} title
+     * @param {Array<{heading, people: Array<{node, similarity}>, empty}>} sections
+     * @param {Object|null} backTo - 提供时显示返回这个人故事的链接
+     */
+    showPeopleList(title, sections, backTo = null) {
+        const escapeHtml = (str) => {
+            const div = document.createElement('div');
+            div.textContent = str;
+            return div.innerHTML;
+        };
+        const html = sections.map(section => `
+            ${section.heading ? `<h5>${escapeHtml(section.heading)}</h5>` : ''}
+            ${section.people.length > 0 ? `
+            <ul class="people-list">
+                ${section.people.map(({ node, similarity }) => `
+                    <li class="people-item" data-id="${escapeHtml(node.id)}">
+                        <span>${escapeHtml(node.original_id || node.id)}</span>
+                        ${similarity !== undefined ? `<span class="people-similarity">${similarity.toFixed(2)}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ` : `<p class="people-note">${escapeHtml(section.empty || '')}</p>`}
+        `).join('');
+        
+        const infoPanel = d3.select('#node-info');
+        infoPanel.html(`
+            <div class="node-detail people-results">
+                <div class="node-header">
+                    <h4>${escapeHtml(title)}</h4>
+                    ${backTo ? '<button class="find-similar people-back">Back to story</button>' : ''}
+                </div>
+                ${html}
+            </div>
+        `);
+        
+        const people = new Map(sections.flatMap(section => section.people.map(({ node }) => [node.id, node])));
+        infoPanel.selectAll('.people-item').on('click', (event) => {
+            const node = people.get(event.currentTarget.dataset.id);
+            this.selectedNode = node;
+            this.highlightNode(node);
+            this.showNodeInfo(node);
+        });
+        infoPanel.select('.people-back').on('click', () => {
+            this.highlightNode(backTo);
+            this.showNodeInfo(backTo);
+        });
+    }
+    
+    /**
+     * 占比最高的主题：关键词和占比，如 "family, church, sunday (62%)"
+     */
+    describeTopic(node) {
+        const weights = node.isotype_signature?.topic || [];
+        const topics = this.app.data?.topics || [];
+        let best = -1;
+        weights.forEach((weight, i) => {
+            if (weight > 0 && (best < 0 || weight > weights[best])) best = i;
+        });
+        if (best < 0 || !topics[best]) return null;
+        return `${topics[best].terms.slice(0, 3).join(', ')} (${Math.round(weights[best] * 100)}%)`;
+    }
+    
+    /**
+     * 不能展示完整转录时的说明；允许引用时展示一句原话
+     */
+    describeConsent(node) {
+        const quote = consentedQuote(node);
+        const escapeHtml = (str) => {
+            const div = document.createElement('div');
+            div.textContent = str;
+            return div.innerHTML;
+        };
+        const explanation = allows(node, 'quotes')
+            ? 'This person agreed to be quoted, but not to share the full transcript.'
+            : 'This person agreed to appear in the visualization, but not to share their words.';
+        
+        return `
+                <div class="text-content consent-limited">
+                    <div class="text-header">
+                        <h5>${quote ? 'Quote' : 'Interview Content'}</h5>
+                        <span class="text-length">${CONSENT_LABELS[consentOf(node)]}</span>
+                    </div>
+                    ${quote ? `<blockquote class="consent-quote">${escapeHtml(quote)}</blockquote>` : ''}
+                    <p class="consent-note">${explanation}</p>
+                </div>
+        `;
+    }
+    
+    /**
+     * 脱敏说明：遮盖了几处个人信息；配置了研究者口令时提供查看原文的按钮
+     */
+    describeRedaction(node, original) {
+        if (!node.redactions) return '';
+        
+        const loader = this.app.dataLoader;
+        const count = `${node.redactions} personal detail${node.redactions === 1 ? '' : 's'}`;
+        const message = original
+            ? `Researcher mode: showing the original text with ${count} unmasked.`
+            : `${count} masked before display.`;
+        const button = loader.researcherModeAvailable
+            ? `<button class="redaction-toggle">${original ? 'Hide original' : 'Show original'}</button>`
+            : '';
+        return `<div class="redaction-note${original ? ' unredacted' : ''}">${message} ${button}</div>`;
+    }
+    
+    /**
+     * 切换原文显示；研究者模式未解锁时先询问口令
+     */
+    async toggleOriginal(node) {
+        const loader = this.app.dataLoader;
+        if (this.showOriginal) {
+            this.showOriginal = false;
+            this.showNodeInfo(node);
+            return;
+        }
+        
+        if (!loader.researcherMode) {
+            const passphrase = window.prompt('Researcher passphrase');
+            if (passphrase === null) return;
+            if (!await loader.unlockResearcherMode(passphrase)) {
+                window.alert('Incorrect passphrase. Text stays redacted.');
+                return;
+            }
+        }
+        if (!loader.originalOf(node, this.app.data)) {
+            // 从缓存读取的数据不含原文
+            window.alert('The original text is not kept for cached data. Reload with ?cache=refresh to view it.');
+            return;
+        }
+        this.showOriginal = true;
+        this.showNodeInfo(node);
+    }
+    
+    /**
+     * 说明情感数据的覆盖情况（哪些情感没有测到）
+     */
+    describeEmotionCoverage(profile) {
+        if (!profile) return null;
+        
+        switch (profile.status) {
+            case 'missing':
+                return 'No emotion scores were recorded for this person.';
+            case 'neutral-only':
+                return 'Only a neutral score was recorded. Other emotions were not measured, so they are unknown rather than zero.';
+            case 'partial':
+                return `Not measured: ${profile.imputed.join(', ')}.`;
+            default:
+                return null;
+        }
     }
     
     clearNodeInfo() {
@@ -528,8 +891,12 @@ export class InteractionHandler {
         `);
     }
     
-    formatInterviewText(text) {
-        if (!text) return 'No text content';
+    /**
+     * 把转录稿的轮次格式化为HTML：开场脚本、访谈者的提问、参与者的回答和转录者注释分别显示
+     */
+    formatInterviewText(node) {
+        const transcript = transcriptOf(node);
+        if (transcript.format === 'empty') return 'No text content';
         
         // 转义HTML特殊字符
         const escapeHtml = (str) => {
@@ -538,58 +905,36 @@ export class InteractionHandler {
             return div.innerHTML;
         };
         
-        let formatted = escapeHtml(text);
-        
-        // 先处理SCRIPT部分（避免干扰Q&A匹配）
-        formatted = formatted.replace(/(SCRIPT:\s*)(.+?)(?=Q:|Q：|A:|A：|SCRIPT:|$)/gis, '<div class="script"><em>SCRIPT:</em> $2</div>');
+        const parts = transcript.notes.map(note => `<div class="note">${escapeHtml(note)}</div>`);
         
-        // 使用更简单的方法：先标记所有Q和A，然后统一替换
-        // 使用特殊标记避免重复替换
-        const markers = [];
-        let markerIndex = 0;
-        
-        // 标记所有Q
-        formatted = formatted.replace(/(Q:\s*|Q：\s*)([\s\S]*?)(?=(?:A:\s*|A：\s*|Q:\s*|Q：\s*|$))/gi, (match, prefix, content) => {
-            const marker = `__Q_MARKER_${markerIndex}__`;
-            markers.push({
-                marker: marker,
-                type: 'question',
-                content: content.trim()
-            });
-            markerIndex++;
-            return marker;
-        });
-        
-        // 标记所有A
-        formatted = formatted.replace(/(A:\s*|A：\s*)([\s\S]*?)(?=(?:Q:\s*|Q：\s*|A:\s*|A：\s*|$))/gi, (match, prefix, content) => {
-            const marker = `__A_MARKER_${markerIndex}__`;
-            markers.push({
-                marker: marker,
-                type: 'answer',
-                content: content.trim()
-            });
-            markerIndex++;
-            return marker;
-        });
+        if (transcript.format === 'plain') {
+            const paragraphs = transcript.turns[0].answer.split(/\n\s*\n|\n/).filter(line => line.trim());
+            return parts.join('') + paragraphs.map(line => `<p>${escapeHtml(line.trim())}</p>`).join('');
+        }
         
-        // 替换所有标记为HTML
-        markers.forEach(item => {
-            if (item.type === 'question') {
-                formatted = formatted.replace(item.marker, `<div class="question"><strong>Q:</strong> ${item.content}</div>`);
-            } else {
-                formatted = formatted.replace(item.marker, `<div class="answer"><strong>A:</strong> ${item.content}</div>`);
+        transcript.turns.forEach(turn => {
+            if (turn.prompt) {
+                const label = escapeHtml(turn.promptSpeaker || 'Q');
+                parts.push(transcript.speakers[turn.promptSpeaker] === 'script'
+                    ? `<div class="script"><em>${label}:</em> ${escapeHtml(turn.prompt)}</div>`
+                    : `<div class="question"><strong>${label}:</strong> ${escapeHtml(turn.prompt)}</div>`);
+            }
+            if (turn.answer) {
+                parts.push(`<div class="answer"><strong>${escapeHtml(turn.speaker || 'A')}:</strong> ${escapeHtml(turn.answer)}</div>`);
             }
         });
         
-        // 保留换行（但不在已格式化的div内）
-        formatted = formatted.replace(/\n(?![^<]*<\/div>)/g, '<br>');
-        
-        // 如果没有任何格式化，至少保留换行
-        if (!formatted.includes('<div')) {
-            formatted = formatted.split('\n').map(line => line.trim() ? `<p>${line}</p>` : '').join('');
-        }
-        
-        return formatted;
+        return parts.join('');
     }
 }
 
+/**
+ * 点到线段的距离（用于在画布上点选连接线）
+ */
+function distanceToSegment(x, y, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length2 = dx * dx + dy * dy;
+    const t = length2 > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / length2)) : 0;
+    return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
@@ -32,8 +32,8 @@ export class IsotypeRenderer {
      * 生成个人的isotype签名（基于subjectivity的统一框架设计）
      */
     generateIsotypeSignature(node) {
-        // 提取subjectivity特征
-        const subjectivity = this.subjectivityExtractor.extractSubjectivity(node);
+        // 提取subjectivity特征（DataLoader加载时已计算的直接使用）
+        const subjectivity = node.subjectivity || this.subjectivityExtractor.extractSubjectivity(node);
         
         const signature = {
             // 统一框架：基础圆形（所有glyph的共同基础）
@@ -192,8 +192,8 @@ export class IsotypeRenderer {
         const textLength = node.metadata?.text_length || 1000;
         const normalizedLength = Math.min(1, textLength / 5000);
         
-        // 基础大小：10-25像素（稍大一些，以容纳艺术元素）
-        return 10 + (uniqueness * 0.5 + normalizedLength * 0.5) * 15;
+        // 基础大小：10-25像素（稍大一些，以容纳艺术元素）；特征散点布局可以按第三项特征缩放（node.sizeScale）
+        return (10 + (uniqueness * 0.5 + normalizedLength * 0.5) * 15) * (node.sizeScale ?? 1);
     }
     
     /**
@@ -646,6 +646,13 @@ export class IsotypeRenderer {
         // Infer emotion from color (simplified)
         const baseColor = signature.baseColor;
         let colorMeaning = 'This person\'s color reflects their emotional and semantic characteristics';
+        const emotionStatus = node.isotype_signature?.emotion_profile?.status;
+        if (emotionStatus === 'missing' || emotionStatus === 'neutral-only') {
+            // 没有可用的情感分数时，颜色只来自语义特征，不暗示任何情感
+            colorMeaning = emotionStatus === 'missing'
+                ? 'No emotion scores were recorded for this person; the color comes from the semantic content of the interview'
+                : 'Only a neutral score was recorded for this person; the color comes from the semantic content of the interview';
+        }
         
         interpretations.push({
             feature: 'Color',
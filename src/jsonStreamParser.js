@@ -0,0 +1,145 @@
+/**
+ * JSON数组流式解析模块
+ * 逐块读取形如 [ {...}, {...}, ... ] 的大文件，每凑齐一个顶层元素就解析出来，
+ * 不需要等整个文件下载完，也不需要把整个文件作为一个字符串交给 JSON.parse
+ */
+
+const OPEN_BRACE = 123;    // {
+const CLOSE_BRACE = 125;   // }
+const OPEN_BRACKET = 91;   // [
+const CLOSE_BRACKET = 93;  // ]
+const QUOTE = 34;          // "
+const BACKSLASH = 92;      // \
+const COMMA = 44;          // ,
+
+export class JsonArrayStreamParser {
+    constructor() {
+        this.started = false;   // 是否已读到最外层的 [
+        this.finished = false;  // 是否已读到最外层的 ]
+        this.depth = 0;         // 当前元素内部的嵌套深度
+        this.inString = false;
+        this.escaped = false;
+        this.scalar = false;    // 当前元素是否是顶层标量（非对象/数组）
+        this.parts = [];        // 当前元素已读到的文本片段
+        this.elementCount = 0;
+    }
+    
+    /**
+     * 输入一段文本，返回其中完整的顶层元素
+     * @param {string} chunk
+     * @returns {Array} 解析出的元素
+     */
+    push(chunk) {
+        const elements = [];
+        let elementStart = this.depth > 0 ? 0 : -1;
+        
+        for (let i = 0; i < chunk.length; i++) {
+            const code = chunk.charCodeAt(i);
+            
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (code === BACKSLASH) {
+                    this.escaped = true;
+                } else if (code === QUOTE) {
+                    this.inString = false;
+                }
+                continue;
+            }
+            
+            if (!this.started) {
+                if (code === OPEN_BRACKET) {
+                    this.started = true;
+                } else if (!this.isWhitespace(code) && code !== 0xFEFF) {
+                    throw new Error('数据文件不是JSON数组');
+                }
+                continue;
+            }
+            
+            if (this.depth === 0) {
+                // 元素之间：只允许空白、逗号和结尾的 ]
+                if (code === CLOSE_BRACKET) {
+                    this.finished = true;
+                    break;
+                }
+                if (code === COMMA || this.isWhitespace(code)) continue;
+                elementStart = i;
+                if (code === QUOTE) {
+                    this.inString = true;
+                }
+                if (code !== OPEN_BRACE && code !== OPEN_BRACKET) {
+                    // 顶层的标量元素，读到下一个分隔符为止（交给DataValidator报告）
+                    this.depth = 1;
+                    this.scalar = true;
+                    continue;
+                }
+                this.depth = 1;
+                this.scalar = false;
+                continue;
+            }
+            
+            if (this.scalar) {
+                if (code === COMMA || code === CLOSE_BRACKET || this.isWhitespace(code)) {
+                    elements.push(this.completeElement(chunk, elementStart, i));
+                    elementStart = -1;
+                    if (code === CLOSE_BRACKET) {
+                        this.finished = true;
+                        break;
+                    }
+                }
+                continue;
+            }
+            
+            if (code === QUOTE) {
+                this.inString = true;
+            } else if (code === OPEN_BRACE || code === OPEN_BRACKET) {
+                this.depth++;
+            } else if (code === CLOSE_BRACE || code === CLOSE_BRACKET) {
+                this.depth--;
+                if (this.depth === 0) {
+                    elements.push(this.completeElement(chunk, elementStart, i + 1));
+                    elementStart = -1;
+                }
+            }
+        }
+        
+        // 未完成的元素留到下一块
+        if (this.depth > 0 && elementStart >= 0) {
+            this.parts.push(chunk.slice(elementStart));
+        }
+        
+        return elements;
+    }
+    
+    /**
+     * 输入结束，检查文件是否完整
+     */
+    end() {
+        if (!this.started) {
+            throw new Error('数据文件为空');
+        }
+        if (!this.finished) {
+            throw new Error(`数据文件不完整（已读取 ${this.elementCount} 条记录）`);
+        }
+    }
+    
+    completeElement(chunk, start, end) {
+        this.parts.push(chunk.slice(start, end));
+        const text = this.parts.join('');
+        this.parts = [];
+        this.depth = 0;
+        this.scalar = false;
+        this.elementCount++;
+        
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`第 ${this.elementCount} 条记录不是合法的JSON: ${error.message}`);
+        }
+    }
+    
+    isWhitespace(code) {
+        return code === 32 || code === 10 || code === 13 || code === 9;
+    }
+}
+
@@ -3,28 +3,258 @@
  * 实现不同的布局算法
  */
 
+import { isProjection } from './projection.js';
+import { maxHeight } from './hierarchy.js';
+import { allows } from './consent.js';
+
+/**
+ * 这种布局是否为树状图布局（dendrogram为线性，radial-dendrogram为径向）
+ */
+export function isDendrogram(layoutType) {
+    return layoutType === 'dendrogram' || layoutType === 'radial-dendrogram';
+}
+
 export class LayoutManager {
     constructor(width, height) {
         this.width = width;
         this.height = height;
     }
     
+    /**
+     * 计算布局的目标位置（node.layoutX / layoutY）；节点本身不移动，由main.js从当前位置过渡过去
+     */
     applyLayout(nodes, links, layoutType, dimension) {
         switch (layoutType) {
             case 'force':
-                // 力导向布局已经在main.js的simulation中处理
+                // 力导向布局已经在main.js的simulation中处理，从节点的当前位置开始
                 break;
             case 'cluster':
                 this.clusterLayout(nodes, dimension);
                 break;
-            case 'hierarchical':
-                this.hierarchicalLayout(nodes, dimension);
+            case 'pca':
+            case 'tsne':
+            case 'umap':
+                // 投影坐标在计算Worker中异步计算，由main.js算好后调用projectionLayout()
+                break;
+            case 'dendrogram':
+            case 'radial-dendrogram':
+                // 层次聚类在计算Worker中异步计算，由main.js算好后调用dendrogramLayout()
+                break;
+            case 'scatter':
+                // 坐标轴由main.js按所选的特征调用scatterLayout()
                 break;
             default:
                 this.randomLayout(nodes);
         }
     }
     
+    /**
+     * 布局是否给出每个节点的目标位置（node.layoutX / layoutY）：除力导向外的布局都是这样，
+     * 这类布局下模拟只消除重叠并把节点拉回目标位置，连接不参与布局，位置不会被力导向的力冲散
+     */
+    isAnchored(layoutType) {
+        return layoutType !== 'force';
+    }
+    
+    /**
+     * 投影布局：投影坐标按同一比例缩放到画布中（x和y不分别拉伸，屏幕上的距离仍然对应向量之间的距离），记为layoutX/layoutY
+     * 没有向量的人（坐标为NaN）在底部排成一行
+     * @param {Float32Array} coordinates - EmbeddingProjector.project() 的结果，顺序同nodes
+     */
+    projectionLayout(nodes, coordinates) {
+        const margin = 60;
+        const placed = nodes.map((_, i) => Number.isFinite(coordinates[2 * i]) && Number.isFinite(coordinates[2 * i + 1]));
+        const unplaced = nodes.filter((_, i) => !placed[i]);
+        const bottom = unplaced.length > 0 ? margin : 0;
+        
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        nodes.forEach((_, i) => {
+            if (!placed[i]) return;
+            minX = Math.min(minX, coordinates[2 * i]);
+            maxX = Math.max(maxX, coordinates[2 * i]);
+            minY = Math.min(minY, coordinates[2 * i + 1]);
+            maxY = Math.max(maxY, coordinates[2 * i + 1]);
+        });
+        const scale = Math.min(
+            (this.width - margin * 2) / ((maxX - minX) || 1),
+            (this.height - margin * 2 - bottom) / ((maxY - minY) || 1)
+        );
+        const offsetX = this.width / 2 - (minX + maxX) / 2 * scale;
+        const offsetY = (this.height - bottom) / 2 - (minY + maxY) / 2 * scale;
+        
+        nodes.forEach((node, i) => {
+            if (!placed[i]) return;
+            node.layoutX = offsetX + coordinates[2 * i] * scale;
+            node.layoutY = offsetY + coordinates[2 * i + 1] * scale;
+        });
+        const spacing = this.width / (unplaced.length + 1);
+        unplaced.forEach((node, i) => {
+            node.layoutX = spacing * (i + 1);
+            node.layoutY = this.height - margin / 2;
+        });
+    }
+    
+    /**
+     * 树状图布局：人按树的叶子顺序排开，分支的位置由合并时的距离决定，节点的位置记为layoutX/layoutY
+     * 线性：叶子在底部从左到右，根在顶部；径向：叶子在外圈，根在圆心。没有向量的人排在最后，不连到树上
+     * @param {Object} hierarchy - AgglomerativeClusterer.fit() 的结果，人的顺序同nodes
+     * @param {boolean} radial
+     * @returns {{radial, cx, cy, level: Function, segments: Array}} 绘制分支用的形状：
+     *   level(h) 为高度h处的y（线性）或半径（径向）；segments中的每一段为直线 {x1, y1, x2, y2, height}
+     *   或圆弧 {cx, cy, r, a0, a1, height}，height为这一段所在分支上端的合并高度
+     */
+    dendrogramLayout(nodes, hierarchy, radial) {
+        const { order, items, leaves, left, right, heights } = hierarchy;
+        const margin = 60;
+        const top = maxHeight(hierarchy) || 1;
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        const radius = Math.min(this.width, this.height) / 2 - margin;
+        const level = radial
+            ? h => radius * (1 - h / top)
+            : h => this.height - margin - (h / top) * (this.height - margin * 2);
+        
+        // 每个人在树中的位置t（线性时为0到1，径向时为角度）
+        const slots = radial ? order.length : Math.max(1, order.length - 1);
+        const span = radial ? Math.PI * 2 : 1;
+        const positionOf = new Float64Array(nodes.length);
+        order.forEach((i, rank) => {
+            positionOf[i] = rank / slots * span;
+        });
+        const point = (t, h) => radial
+            ? [cx + Math.cos(t) * level(h), cy + Math.sin(t) * level(h)]
+            : [margin + t * (this.width - margin * 2), level(h)];
+        
+        nodes.forEach((node, i) => {
+            [node.layoutX, node.layoutY] = point(positionOf[i], 0);
+        });
+        
+        const segments = [];
+        const line = (t, h0, h1, height) => {
+            const [x1, y1] = point(t, h0);
+            const [x2, y2] = point(t, h1);
+            segments.push({ x1, y1, x2, y2, height });
+        };
+        const across = (t0, t1, h, height) => {
+            if (radial) {
+                segments.push({ cx, cy, r: level(h), a0: t0, a1: t1, height });
+            } else {
+                const [x1, y1] = point(t0, h);
+                const [x2, y2] = point(t1, h);
+                segments.push({ x1, y1, x2, y2, height });
+            }
+        };
+        
+        // 叶子：成员的平均位置；多人的小簇在底部画一条横线把成员连起来
+        const first = new Float64Array(leaves).fill(Infinity);
+        const last = new Float64Array(leaves).fill(-Infinity);
+        items.forEach((item, i) => {
+            if (item < 0) return;
+            first[item] = Math.min(first[item], positionOf[i]);
+            last[item] = Math.max(last[item], positionOf[i]);
+        });
+        const branchPosition = new Float64Array(leaves + heights.length);
+        const branchHeight = new Float64Array(leaves + heights.length);
+        for (let leaf = 0; leaf < leaves; leaf++) {
+            branchPosition[leaf] = (first[leaf] + last[leaf]) / 2;
+            if (last[leaf] > first[leaf]) across(first[leaf], last[leaf], 0, 0);
+        }
+        
+        // 合并：两个子节点各自向上连到合并高度，再横向（径向时沿圆弧）连起来
+        for (let t = 0; t < heights.length; t++) {
+            const id = leaves + t;
+            const a = left[t];
+            const b = right[t];
+            branchPosition[id] = (branchPosition[a] + branchPosition[b]) / 2;
+            branchHeight[id] = heights[t];
+            line(branchPosition[a], branchHeight[a], heights[t], heights[t]);
+            line(branchPosition[b], branchHeight[b], heights[t], heights[t]);
+            across(Math.min(branchPosition[a], branchPosition[b]), Math.max(branchPosition[a], branchPosition[b]), heights[t], heights[t]);
+        }
+        
+        return { radial, cx, cy, level, segments };
+    }
+    
+    /**
+     * 特征散点布局：两项subjectivity特征分别作为x轴和y轴，只记下目标位置layoutX/layoutY，节点由main.js过渡过去
+     * 可选的第三项特征决定glyph的大小（node.sizeScale，0.6到1.8倍），不选时sizeScale为null
+     * 没有subjectivity特征或不允许展示特征（见 consent.js）的人在底部排成一行
+     * @param {Object} axes - {x, y, size}，SUBJECTIVITY_AXES 中的项，size可以为null
+     * @returns {{left, right, top, bottom, x: {label, ticks}, y: {label, ticks}}} 绘图区的边界和两条轴，
+     *   ticks中的每一项为 {value, label, position}，position为刻度在画布上的x（x轴）或y（y轴）
+     */
+    scatterLayout(nodes, axes) {
+        const margin = 60;
+        const valueOf = (axis, node) => {
+            if (!node.subjectivity || !allows(node, 'features')) return NaN;
+            const value = Number(axis.value(node.subjectivity));
+            return Number.isFinite(value) ? value : NaN;
+        };
+        const xs = nodes.map(node => valueOf(axes.x, node));
+        const ys = nodes.map(node => valueOf(axes.y, node));
+        const placed = nodes.map((_, i) => Number.isFinite(xs[i]) && Number.isFinite(ys[i]));
+        const unplaced = nodes.filter((_, i) => !placed[i]);
+        
+        // 左侧多留一些位置给y轴的刻度文字
+        const left = margin + 20;
+        const right = this.width - margin;
+        const top = margin;
+        const bottom = this.height - margin - (unplaced.length > 0 ? margin : 0);
+        const scaleOf = (values, range) => {
+            let min = Infinity;
+            let max = -Infinity;
+            values.forEach((value, i) => {
+                if (!placed[i]) return;
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            });
+            if (min > max) [min, max] = [0, 1];
+            if (min === max) [min, max] = [min - 0.5, max + 0.5];
+            return d3.scaleLinear().domain([min, max]).nice().range(range);
+        };
+        const x = scaleOf(xs, [left, right]);
+        const y = scaleOf(ys, [bottom, top]);
+        
+        nodes.forEach((node, i) => {
+            if (!placed[i]) return;
+            node.layoutX = x(xs[i]);
+            node.layoutY = y(ys[i]);
+        });
+        const spacing = this.width / (unplaced.length + 1);
+        unplaced.forEach((node, i) => {
+            node.layoutX = spacing * (i + 1);
+            node.layoutY = this.height - margin / 2;
+        });
+        
+        if (axes.size) {
+            const sizes = nodes.map(node => valueOf(axes.size, node));
+            const finite = sizes.filter(Number.isFinite);
+            const min = finite.reduce((a, b) => Math.min(a, b), Infinity);
+            const max = finite.reduce((a, b) => Math.max(a, b), -Infinity);
+            nodes.forEach((node, i) => {
+                node.sizeScale = Number.isFinite(sizes[i]) && max > min ? 0.6 + 1.2 * (sizes[i] - min) / (max - min) : 1;
+            });
+        } else {
+            nodes.forEach(node => {
+                node.sizeScale = null;
+            });
+        }
+        
+        const ticksOf = (scale) => {
+            const format = scale.tickFormat(6);
+            return scale.ticks(6).map(value => ({ value, label: format(value), position: scale(value) }));
+        };
+        return {
+            left,
+            right,
+            top,
+            bottom,
+            x: { label: axes.x.label, ticks: ticksOf(x) },
+            y: { label: axes.y.label, ticks: ticksOf(y) }
+        };
+    }
+    
     clusterLayout(nodes, dimension) {
         // 按聚类分组，每个聚类一个圆形区域
         const clusters = this.groupByCluster(nodes, dimension);
@@ -42,24 +272,8 @@ export class LayoutManager {
             const nodeRadius = Math.min(this.width, this.height) * 0.15;
             clusterNodes.forEach((node, i) => {
                 const nodeAngle = (Math.PI * 2 * i) / clusterNodes.length;
-                node.x = centerX + Math.cos(nodeAngle) * nodeRadius;
-                node.y = centerY + Math.sin(nodeAngle) * nodeRadius;
-            });
-        });
-    }
-    
-    hierarchicalLayout(nodes, dimension) {
-        // 层次布局：按维度分层
-        const levels = this.groupByLevel(nodes, dimension);
-        const levelHeight = this.height / (levels.length + 1);
-        
-        levels.forEach((levelNodes, levelIndex) => {
-            const y = levelHeight * (levelIndex + 1);
-            const nodeSpacing = this.width / (levelNodes.length + 1);
-            
-            levelNodes.forEach((node, index) => {
-                node.x = nodeSpacing * (index + 1);
-                node.y = y;
+                node.layoutX = centerX + Math.cos(nodeAngle) * nodeRadius;
+                node.layoutY = centerY + Math.sin(nodeAngle) * nodeRadius;
             });
         });
     }
@@ -67,8 +281,8 @@ export class LayoutManager {
     randomLayout(nodes) {
         // 随机布局
         nodes.forEach(node => {
-            node.x = Math.random() * this.width;
-            node.y = Math.random() * this.height;
+            node.layoutX = Math.random() * this.width;
+            node.layoutY = Math.random() * this.height;
         });
     }
     
@@ -77,7 +291,8 @@ export class LayoutManager {
         const clusters = {};
         
         nodes.forEach(node => {
-            const clusterId = node.cluster_assignments?.[`${dimension}_cluster`] || 0;
+            // 剪开树状图得到的聚类优先（见 VisualizationApp.applyCut）
+            const clusterId = node.cut_cluster ?? (node.cluster_assignments?.[`${dimension}_cluster`] || 0);
             if (!clusters[clusterId]) {
                 clusters[clusterId] = [];
             }
@@ -86,25 +301,4 @@ export class LayoutManager {
         
         return clusters;
     }
-    
-    groupByLevel(nodes, dimension) {
-        // 按层次分组（简化实现）
-        // 可以根据独特性分数或其他指标分层
-        const sorted = [...nodes].sort((a, b) => {
-            const scoreA = a.isotype_signature?.uniqueness_score || 0;
-            const scoreB = b.isotype_signature?.uniqueness_score || 0;
-            return scoreB - scoreA;
-        });
-        
-        const levels = [];
-        const levelCount = 3; // 3层
-        const levelSize = Math.ceil(sorted.length / levelCount);
-        
-        for (let i = 0; i < sorted.length; i += levelSize) {
-            levels.push(sorted.slice(i, i + levelSize));
-        }
-        
-        return levels;
-    }
 }
-
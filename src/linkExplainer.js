@@ -0,0 +1,243 @@
+/**
+ * 连接解释
+ * 说明两个人为什么相连：各维度上的相似度、共同的subjectivity特征，以及两人的回答中都出现的少见词语和短语（附双方的原话）
+ * 词语的"少见"按整个语料的文档频率计算（TF-IDF），语料的统计在第一次解释时计算一次并缓存
+ * 遵守双方的同意级别：两人都允许展示特征时才给出相似度和特征，都允许引用时才给出共同词语和原话
+ */
+
+import { allows, consentedQuote } from './consent.js';
+import { SUBJECTIVITY_FEATURES, subjectivityVector } from './subjectivityExtractor.js';
+import { standardizeFeatures } from './similarityBlend.js';
+import { TopicModel } from './topicModel.js';
+import { answerText } from './transcriptParser.js';
+
+// 逐维度比较的向量（isotype_signature中的同名字段；subjectivity为标准化后的特征向量）
+const DIMENSIONS = [
+    { id: 'semantic', label: 'Semantic' },
+    { id: 'emotion', label: 'Emotion' },
+    { id: 'experience', label: 'Experience' },
+    { id: 'topic', label: 'Topic' },
+    { id: 'unified', label: 'Unified embedding' },
+    { id: 'subjectivity', label: 'Subjectivity features' }
+];
+
+// SubjectivityExtractor 给出的类别特征，两人相同时列为共同特征
+const TRAITS = [
+    { label: 'Narrative style', value: s => s.narrative_style?.type },
+    { label: 'Emotional expression', value: s => s.emotional_expression?.level },
+    { label: 'Time orientation', value: s => s.temporal_orientation?.orientation },
+    { label: 'Self-reference', value: s => s.self_reference?.level },
+    { label: 'Complexity', value: s => s.complexity?.level },
+    { label: 'Register', value: s => s.authenticity?.style },
+    { label: 'Expression', value: s => s.expression_mode?.mode }
+];
+
+export class LinkExplainer {
+    /**
+     * @param {Object} options
+     *   - maxTerms: number (最多列出的共同词语数，默认8)
+     *   - maxQuotes: number (最多为几个词语配原话，默认3)
+     *   - extremeScore: number (两人都偏离平均这么多个标准差时列为"都偏高/偏低"的特征，默认0.75)
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxTerms: 8,
+            maxQuotes: 3,
+            extremeScore: 0.75,
+            ...options
+        };
+        this.tokenizer = new TopicModel();
+        this.corpus = null;
+    }
+    
+    /**
+     * @param {Object} a - 节点或参与者
+     * @param {Object} b
+     * @param {Array} participants - 整个语料（data.participants），用于文档频率和特征的标准化
+     * @returns {{dimensions: Array<{id, label, similarity}>|null,
+     *            traits: {shared: Array<{label, value}>, extremes: Array<{label, direction}>}|null,
+     *            terms: Array<{term, phrase, counts}>|null,
+     *            quotes: Array<{term, a, b}>}}
+     *   dimensions / traits 在任一方不允许展示特征时为null，terms在任一方不允许引用时为null；
+     *   某一维度有一方没有数据时similarity为null
+     */
+    explain(a, b, participants) {
+        const corpus = this.prepare(participants);
+        const showFeatures = allows(a, 'features') && allows(b, 'features');
+        const showWords = allows(a, 'quotes') && allows(b, 'quotes');
+        
+        const terms = showWords ? this.sharedTerms(corpus, a, b) : null;
+        return {
+            dimensions: showFeatures ? this.compareDimensions(corpus, a, b) : null,
+            traits: showFeatures ? this.compareTraits(corpus, a, b) : null,
+            terms,
+            quotes: terms ? this.quotesFor(terms, a, b) : []
+        };
+    }
+    
+    /**
+     * 语料的统计：每个人的词语计数、文档频率和标准化后的subjectivity特征，同一份语料只计算一次
+     */
+    prepare(participants) {
+        if (this.corpus?.participants === participants) return this.corpus;
+        
+        const counts = new Map();
+        const documentFrequency = new Map();
+        participants.forEach(p => {
+            const termCounts = this.countTerms(p);
+            counts.set(p.id, termCounts);
+            termCounts.forEach((_, term) => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            });
+        });
+        
+        const features = standardizeFeatures(participants.map(p => subjectivityVector(p.subjectivity)));
+        this.corpus = {
+            participants,
+            counts,
+            documentFrequency,
+            features: new Map(participants.map((p, i) => [p.id, features[i]]))
+        };
+        return this.corpus;
+    }
+    
+    /**
+     * 回答中的词语和短语的出现次数
+     * 短语为同一句中相邻的两个实词，中间最多隔一个停用词（"lost my job" 记为 "lost job"）
+     * @returns {Map<string, number>}
+     */
+    countTerms(participant) {
+        const counts = new Map();
+        const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+        answerText(participant).split(/[.!?。！？\n]+/).forEach(sentence => {
+            let previous = null;
+            let previousPosition = -Infinity;
+            this.tokenizer.words(sentence).forEach((word, position) => {
+                if (!this.tokenizer.isTerm(word)) return;
+                add(word);
+                if (position - previousPosition <= 2) add(`${previous} ${word}`);
+                previous = word;
+                previousPosition = position;
+            });
+        });
+        return counts;
+    }
+    
+    compareDimensions(corpus, a, b) {
+        return DIMENSIONS.map(dimension => {
+            let similarity;
+            if (dimension.id === 'subjectivity') {
+                similarity = cosine(corpus.features.get(a.id), corpus.features.get(b.id));
+            } else if (dimension.id === 'emotion' && !(emotionMeasured(a) && emotionMeasured(b))) {
+                // 只有neutral或没有情感数据时，情感向量的相似度没有意义
+                similarity = null;
+            } else {
+                similarity = cosine(a.isotype_signature?.[dimension.id], b.isotype_signature?.[dimension.id]);
+            }
+            return { id: dimension.id, label: dimension.label, similarity };
+        });
+    }
+    
+    compareTraits(corpus, a, b) {
+        const shared = [];
+        if (a.subjectivity && b.subjectivity) {
+            TRAITS.forEach(trait => {
+                const value = trait.value(a.subjectivity);
+                if (value && value === trait.value(b.subjectivity)) {
+                    shared.push({ label: trait.label, value: String(value).replace(/_/g, ' ') });
+                }
+            });
+        }
+        
+        // 两人都明显高于（或低于）平均水平的数值特征
+        const extremes = [];
+        const za = corpus.features.get(a.id);
+        const zb = corpus.features.get(b.id);
+        if (za && zb) {
+            const limit = this.options.extremeScore;
+            SUBJECTIVITY_FEATURES.forEach((feature, d) => {
+                if (za[d] >= limit && zb[d] >= limit) extremes.push({ label: feature.label, direction: 'high' });
+                if (za[d] <= -limit && zb[d] <= -limit) extremes.push({ label: feature.label, direction: 'low' });
+            });
+        }
+        return { shared, extremes };
+    }
+    
+    /**
+     * 两人都用到、在语料中又比较少见的词语和短语，按 IDF × 较少一方的次数 排序；已被选中的短语包含的单词不再单列
+     */
+    sharedTerms(corpus, a, b) {
+        const countsA = corpus.counts.get(a.id) || this.countTerms(a);
+        const countsB = corpus.counts.get(b.id) || this.countTerms(b);
+        const n = corpus.participants.length;
+        const maxFrequency = Math.max(2, Math.floor(n / 2));
+        
+        const candidates = [];
+        countsA.forEach((countA, term) => {
+            const countB = countsB.get(term);
+            if (!countB) return;
+            const frequency = corpus.documentFrequency.get(term) || 2;
+            if (frequency > maxFrequency) return;
+            const phrase = term.includes(' ');
+            const idf = Math.log((1 + n) / (1 + frequency)) + 1;
+            candidates.push({ term, phrase, counts: [countA, countB], score: idf * Math.min(countA, countB) * (phrase ? 1.5 : 1) });
+        });
+        candidates.sort((x, y) => y.score - x.score || (x.term < y.term ? -1 : 1));
+        
+        const selected = candidates.slice(0, this.options.maxTerms);
+        const phraseWords = new Set(selected.filter(s => s.phrase).flatMap(s => s.term.split(' ')));
+        return selected
+            .filter(s => s.phrase || !phraseWords.has(s.term))
+            .map(({ term, phrase, counts }) => ({ term, phrase, counts }));
+    }
+    
+    /**
+     * 为前几个共同词语各找一句双方的原话（找不到的一方为null）；两句都已经为前面的词语引用过时跳过
+     */
+    quotesFor(terms, a, b) {
+        const used = new Set();
+        return terms.slice(0, this.options.maxQuotes)
+            .map(({ term }) => {
+                const match = termPattern(term);
+                return {
+                    term,
+                    a: consentedQuote(a, { match, maxLength: 220 }),
+                    b: consentedQuote(b, { match, maxLength: 220 })
+                };
+            })
+            .filter(quote => {
+                const fresh = [quote.a, quote.b].some(text => text && !used.has(text));
+                used.add(quote.a).add(quote.b);
+                return fresh;
+            });
+    }
+}
+
+/**
+ * 在原文中查找词语的正则：允许所有格，短语的两个词之间允许夹着最多三个停用词
+ */
+function termPattern(term) {
+    const words = term.split(' ').map(word => `${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:['’]s)?`);
+    return new RegExp(`\\b${words.join("\\W+(?:[\\w']+\\W+){0,3}?")}\\b`, 'i');
+}
+
+function emotionMeasured(node) {
+    const status = node.isotype_signature?.emotion_profile?.status;
+    return status !== 'missing' && status !== 'neutral-only';
+}
+
+/**
+ * 余弦相似度；任一向量缺失、长度不同或为零向量时返回null
+ */
+function cosine(x, y) {
+    if (!x || !y || x.length !== y.length || x.length === 0) return null;
+    let dot = 0;
+    let normX = 0;
+    let normY = 0;
+    for (let d = 0; d < x.length; d++) {
+        dot += x[d] * y[d];
+        normX += x[d] * x[d];
+        normY += y[d] * y[d];
+    }
+    return normX > 0 && normY > 0 ? dot / Math.sqrt(normX * normY) : null;
+}
@@ -7,10 +7,26 @@
 import { DataLoader } from './dataLoader.js';
 import { NodeRenderer } from './nodeRenderer.js';
 import { FlowRenderer } from './flowRenderer.js';
-import { LayoutManager } from './layout.js';
+import { LayoutManager, isDendrogram } from './layout.js';
 import { InteractionHandler } from './interaction.js';
 import { StyleConfig } from './style.js';
 import { ClusterFusion } from './clusterFusion.js';
+import { ColumnMappingDialog } from './columnMappingDialog.js';
+import { DatasetCache, hashString } from './datasetCache.js';
+import { allows, exportView } from './consent.js';
+import { SimilarityIndex } from './similarityIndex.js';
+import { AnnIndex, ANN_AUTO_THRESHOLD } from './annIndex.js';
+import { ComputeClient } from './computeClient.js';
+import { DEFAULT_WEIGHTS, WeightPresetStore, blendVectors, describeWeights, isDefaultBlend, normalizeWeights } from './similarityBlend.js';
+import { WeightPanel } from './weightPanel.js';
+import { buildGraph, usesThreshold } from './graphConstruction.js';
+import { LinkExplainer } from './linkExplainer.js';
+import { SimilarityCache } from './similarityCache.js';
+import { PROJECTION_METHODS, isProjection } from './projection.js';
+import { cutHierarchy } from './hierarchy.js';
+import { SUBJECTIVITY_AXES } from './subjectivityExtractor.js';
+import { ArrangementStore, applyArrangement, captureArrangement } from './arrangementStore.js';
+import { ArrangementPanel } from './arrangementPanel.js';
 
 class VisualizationApp {
     constructor() {
@@ -22,6 +38,19 @@ class VisualizationApp {
         this.simulation = null;
         this.nodes = [];
         this.links = [];
+        this.neighborCache = null; // 当前数据和维度下的k近邻（见getNeighbors）
+        this.blendClusterCache = null; // 当前数据和混合权重下的聚类（见getBlendClusters）
+        this.similarityCache = null; // 当前近邻按相似度排好序的连接候选（见updateThreshold），从缓存恢复视图时为null
+        this.linkThreshold = null; // 当前this.links对应的相似度阈值
+        this.linkJob = null; // 正在进行的processData的AbortController，新的设置会取消旧的计算
+        this.layoutJob = null; // 正在计算的投影布局的AbortController，切换布局时取消
+        this.projectionCache = null; // 当前数据下算过的投影坐标（见getProjection）
+        this.hierarchyCache = null; // 当前数据和维度下的层次聚类（见getHierarchy）
+        this.dendrogramShape = null; // 树状图布局的分支（LayoutManager.dendrogramLayout的结果），其他布局下为null
+        this.cut = null; // 剪开树状图得到的聚类（cutHierarchy的结果，见applyCut），不剪切时为null
+        this.cutGroups = null; // 按this.cut分组的节点，聚类融合使用
+        this.scatterAxes = null; // 特征散点布局的坐标轴（LayoutManager.scatterLayout的结果），其他布局下为null
+        this.transition = null; // 节点移向布局位置的过渡动画（d3.timer，见transitionToLayout）
         this.renderScheduled = false; // 防止重复渲染
         this.highlightedNode = null; // 高亮的节点
         this.highlightedLinks = []; // 高亮的连接
@@ -34,9 +63,18 @@ class VisualizationApp {
         this.config = {
             dimension: 'multidimensional', // 默认使用多维度（有数据）
             similarityThreshold: 0.95, // 高阈值以形成多个独立的聚类
+            graphMode: 'threshold', // 构图方式：threshold/topk/mutual/adaptive/backbone（见 graphConstruction.js）
             layout: 'force',
+            projectionSource: 'unified', // 投影布局使用的向量：unified/semantic/emotion（见 projection.js）
+            cutTree: false, // 是否按剪切高度把树状图的分支作为聚类（Cluster Circle和聚类融合使用）
+            cutHeight: 0.8, // 剪切高度，树的最大合并高度的比例
+            scatterX: 'reflection_depth', // 特征散点布局的x轴、y轴和决定大小的特征（SUBJECTIVITY_AXES的id，大小为空时不缩放）
+            scatterY: 'emotional_intensity',
+            scatterSize: '',
             showLabels: false,
-            visualMode: 'isotype' // isotype设计或simple简单圆形
+            visualMode: 'isotype', // isotype设计或simple简单圆形
+            neighborSearch: 'auto', // 近邻搜索：exact精确；fast/balanced/accurate近似索引的档位；auto按人数选择
+            weights: { ...DEFAULT_WEIGHTS } // Multidimensional维度下各部分相似度的权重（见 similarityBlend.js）
         };
         
         // 聚类融合
@@ -97,19 +135,68 @@ class VisualizationApp {
         this.svg.call(this.zoom);
         
         // 初始化组件
-        this.dataLoader = new DataLoader();
+        this.columnMappingDialog = new ColumnMappingDialog();
+        // 处理结果和布局缓存在IndexedDB中；?cache=off 完全不用缓存，?cache=refresh 重新计算并覆盖
+        const cacheMode = new URLSearchParams(window.location.search).get('cache') || 'use';
+        this.datasetCache = cacheMode === 'off' ? null : new DatasetCache();
+        // k近邻、聚类和主观性特征在Web Worker中计算，计算期间画面继续动画
+        this.compute = new ComputeClient();
+        this.dataLoader = new DataLoader({
+            cache: this.datasetCache,
+            cacheMode: cacheMode,
+            compute: this.compute,
+            // 导入表格数据时先让用户确认列映射
+            confirmMapping: (request) => {
+                this.hideLoading();
+                return this.columnMappingDialog.open(request).then(mapping => {
+                    if (mapping) this.showLoading('Loading data...');
+                    return mapping;
+                });
+            }
+        });
         this.nodeRenderer = new NodeRenderer(this.svgContainer, this.canvas, this.ctx);
         this.flowRenderer = new FlowRenderer(this.canvas, this.ctx);
         this.layoutManager = new LayoutManager(this.width, this.height);
         this.interactionHandler = new InteractionHandler(this.svg, this);
         this.styleConfig = new StyleConfig();
         this.clusterFusion = new ClusterFusion(this.canvas, this.ctx);
+        this.linkExplainer = new LinkExplainer();
+        this.weightPanel = new WeightPanel('#similarity-weights', {
+            store: new WeightPresetStore(),
+            weights: this.config.weights,
+            onChange: (weights) => {
+                this.config.weights = weights;
+                this.updateVisualization();
+            }
+        });
+        this.weightPanel.setVisible(this.config.dimension === 'multidimensional');
+        this.arrangementPanel = new ArrangementPanel('#arrangements', {
+            store: new ArrangementStore(),
+            capture: (name) => this.captureArrangement(name),
+            restore: (arrangement) => this.restoreArrangement(arrangement),
+            unpinAll: () => this.unpin()
+        });
     }
     
     setupEventListeners() {
+        // 数据集选择（通过URL参数切换，便于分享当前视图的链接）
+        d3.select('#dataset-select').on('change', (event) => {
+            const params = new URLSearchParams(window.location.search);
+            params.delete('data');
+            params.set('dataset', event.target.value);
+            window.location.search = params.toString();
+        });
+        
+        // 拖放本地数据文件
+        this.dataLoader.enableFileDrop(
+            document.getElementById('visualization-container'),
+            (file) => this.loadData(file)
+        );
+        
         // 维度选择
         d3.select('#dimension-select').on('change', (event) => {
             this.config.dimension = event.target.value;
+            this.weightPanel.setVisible(this.config.dimension === 'multidimensional');
             this.updateVisualization();
         });
         
@@ -120,15 +207,80 @@ class VisualizationApp {
         thresholdSlider.on('input', (event) => {
             this.config.similarityThreshold = parseFloat(event.target.value);
             thresholdValue.text(this.config.similarityThreshold.toFixed(2));
+            this.updateThreshold();
+        });
+        
+        // 构图方式：不使用阈值的方式下Similarity滑块不起作用
+        d3.select('#graph-mode').on('change', (event) => {
+            this.config.graphMode = event.target.value;
+            thresholdSlider.property('disabled', !usesThreshold(this.config.graphMode));
             this.updateVisualization();
         });
         
+        // 近邻搜索的精度/速度
+        d3.select('#neighbor-search').on('change', (event) => {
+            this.config.neighborSearch = event.target.value;
+            this.updateVisualization();
+        });
+        
+        // 搜索：提到这些词的人，以及和他们说话方式相近的人
+        d3.select('#people-search').on('change', (event) => {
+            const query = event.target.value.trim();
+            if (!query) {
+                this.interactionHandler.clearHighlight();
+                this.interactionHandler.clearNodeInfo();
+                return;
+            }
+            this.interactionHandler.showSearchResults(query, this.searchPeople(query));
+        });
+        
         // 布局选择
         d3.select('#layout-select').on('change', (event) => {
             this.config.layout = event.target.value;
+            d3.select('#projection-source').style('display', isProjection(this.config.layout) ? null : 'none');
+            d3.select('#scatter-axes').style('display', this.config.layout === 'scatter' ? null : 'none');
+            this.updateCutControls();
             this.updateLayout();
         });
         
+        // 特征散点布局的坐标轴和大小
+        [['#scatter-x', 'scatterX'], ['#scatter-y', 'scatterY'], ['#scatter-size', 'scatterSize']].forEach(([selector, key]) => {
+            const options = key === 'scatterSize' ? [{ id: '', label: 'None' }, ...SUBJECTIVITY_AXES] : SUBJECTIVITY_AXES;
+            d3.select(selector)
+                .on('change', (event) => {
+                    this.config[key] = event.target.value;
+                    this.updateLayout();
+                })
+                .selectAll('option')
+                .data(options)
+                .join('option')
+                .attr('value', d => d.id)
+                .property('selected', d => d.id === this.config[key])
+                .text(d => d.label);
+        });
+        
+        // 投影布局使用的向量
+        d3.select('#projection-source').on('change', (event) => {
+            this.config.projectionSource = event.target.value;
+            this.updateLayout();
+        });
+        
+        // 剪开树状图：拖动时只更新聚类和画面，松开后Cluster Circle重新分组
+        d3.select('#cut-tree').on('change', (event) => {
+            this.config.cutTree = event.target.checked;
+            this.updateCutControls();
+            this.updateCut();
+        });
+        d3.select('#cut-height')
+            .on('input', (event) => {
+                this.config.cutHeight = parseFloat(event.target.value);
+                this.applyCut();
+                this.render();
+            })
+            .on('change', () => {
+                if (this.config.layout === 'cluster') this.updateLayout();
+            });
+        
         // 视觉模式选择
         d3.select('#visual-mode-select').on('change', (event) => {
             this.config.visualMode = event.target.value;
@@ -147,6 +299,32 @@ class VisualizationApp {
             this.resetView();
         });
         
+        // 导出参与者数据，每个人只包含其同意级别允许的字段
+        d3.select('#export-data').on('click', () => {
+            this.exportParticipants();
+        });
+        
+        // 清空缓存（数据文件在原地被修改、而文件名和大小都没变时也可以用它强制重新处理）
+        d3.select('#clear-cache').on('click', async (event) => {
+            const button = d3.select(event.currentTarget);
+            if (!this.datasetCache) return;
+            const cleared = await this.datasetCache.clear();
+            button.text(cleared ? 'Cache Cleared' : 'Cache Unavailable');
+            setTimeout(() => button.text('Clear Cache'), 1500);
+            this.updateCacheStats();
+        });
+        
+        // 只清除当前数据集的缓存，其他数据集的缓存保留
+        d3.select('#forget-dataset').on('click', async (event) => {
+            const button = d3.select(event.currentTarget);
+            if (!this.datasetCache || !this.data) return;
+            const removed = await this.dataLoader.invalidateCache(this.data);
+            button.text(removed > 0 ? 'Dataset Forgotten' : 'Nothing Cached');
+            setTimeout(() => button.text('Forget Dataset'), 1500);
+            this.updateCacheStats();
+        });
+        this.updateCacheStats();
+        
         // 信息面板收缩/展开
         const togglePanel = () => {
             const panel = d3.select('#info-panel');
@@ -189,53 +367,228 @@ class VisualizationApp {
         });
     }
     
-    async loadData() {
+    async loadData(source = null) {
         try {
             this.showLoading('Loading data...');
             console.log('Loading data...');
             
-            this.data = await this.dataLoader.load();
-            console.log(`Loaded ${this.data.participants.length} participants`);
+            if (this.simulation) {
+                this.simulation.stop();
+            }
+            this.highlightedNode = null;
+            this.highlightedLinks = [];
             
-            this.showLoading('Processing data...');
+            // 大文件流式加载：显示真实进度，读到前一部分参与者时先渲染预览
+            let previewShown = false;
+            let lastProgressTime = 0;
+            this.data = await this.dataLoader.load(source, {
+                onProgress: (progress) => {
+                    const now = performance.now();
+                    if (progress.phase === 'loading' && now - lastProgressTime < 100) return;
+                    lastProgressTime = now;
+                    this.showLoadingProgress(progress, previewShown);
+                },
+                onPreview: (preview) => {
+                    previewShown = true;
+                    this.renderPreview(preview);
+                }
+            });
+            console.log(`Loaded ${this.data.participants.length} participants${this.data.cache?.hit ? ' (from cache)' : ''}`);
+            this.updateDatasetSelect();
+            
+            this.showLoading('Processing data...', null, previewShown);
             // 使用setTimeout让UI有机会更新
             await new Promise(resolve => setTimeout(resolve, 100));
             
-            this.processData();
+            // 同一数据集在相同配置下算过的连接和布局直接恢复；否则预览中已经出现的参与者保持当前位置
+            const cachedView = await this.readCachedView();
+            await this.processData(previewShown ? this.nodes : null, cachedView, (progress) => {
+                this.showLoading(`Computing links... ${Math.round(progress * 100)}%`, progress, previewShown);
+            });
             
-            this.showLoading('Rendering visualization...');
+            this.showLoading('Rendering visualization...', null, previewShown);
             await new Promise(resolve => setTimeout(resolve, 100));
             
             this.render();
             
             // 延迟设置布局和交互，让初始渲染先完成
             setTimeout(() => {
-                this.updateLayout();
+                // 固定位置的布局（力导向以外）重新应用一次以便绘制树状图的分支和坐标轴，节点已经在缓存的位置上
+                if (!cachedView || this.layoutManager.isAnchored(this.config.layout)) {
+                    this.updateLayout();
+                }
                 this.interactionHandler.setup(this.nodes, this.links);
                 // 自动适配视图以显示所有节点
                 setTimeout(() => {
                     this.fitToView();
-                }, 500);
+                }, cachedView ? 0 : 500);
             }, 100);
             
             this.hideLoading();
+            this.showImportReport(this.data.report);
+            this.updateCacheStats();
         } catch (error) {
+            if (error.cancelled) {
+                // 用户在列映射步骤取消了导入（保留当前视图），或者加载中途修改了设置（由updateVisualization接着渲染）
+                this.hideLoading();
+                return;
+            }
             console.error('Error loading data:', error);
-            this.showError('Failed to load data. Please check data file: ' + error.message);
+            if (error.report) {
+                // 所有记录都未通过校验：展示导入报告而不是笼统的错误
+                this.hideLoading();
+                this.showImportReport(error.report, error.message);
+            } else {
+                this.showError('Failed to load data. Please check data file: ' + error.message);
+            }
         }
     }
     
-    showLoading(message) {
+    /**
+     * 显示导入报告（逐条列出被修复或跳过的记录）
+     * @param {Object} report - DataValidator生成的报告
+     * @param {string|null} fatalMessage - 导入失败时的错误信息
+     */
+    showImportReport(report, fatalMessage = null) {
+        const container = d3.select('#visualization-container');
+        container.select('.import-report').remove();
+        
+        const redaction = report?.redaction;
+        if (!report || (!fatalMessage && report.issues.length === 0 && !redaction?.total)) return;
+        
+        const escapeHtml = (str) => String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        
+        const rows = report.issues.map(issue => `
+            <li class="import-issue ${issue.severity}">
+                <span class="import-issue-record">${issue.index !== null ? `#${issue.index + 1}` : ''}${issue.id ? ` ${escapeHtml(issue.id)}` : ''}</span>
+                <span class="import-issue-field">${escapeHtml(issue.field)}</span>
+                <span class="import-issue-message">${escapeHtml(issue.message)}</span>
+            </li>
+        `).join('');
+        
+        const panel = container.append('div')
+            .attr('class', `import-report${fatalMessage ? ' fatal' : ''}`)
+            .html(`
+                <div class="import-report-header">
+                    <strong>${fatalMessage ? 'Import failed' : 'Import report'}</strong>
+                    <button class="import-report-close" title="Dismiss">×</button>
+                </div>
+                ${fatalMessage ? `<p class="import-report-fatal">${escapeHtml(fatalMessage)}</p>` : ''}
+                <p class="import-report-summary">
+                    ${report.accepted} of ${report.total} records loaded ·
+                    ${report.repaired} repaired · ${report.skipped} skipped
+                </p>
+                ${redaction?.total ? `<p class="import-report-summary">
+                    ${redaction.total} personal detail(s) masked in ${redaction.participants} participant(s):
+                    ${Object.entries(redaction.byType).map(([type, count]) => `${escapeHtml(type)} ${count}`).join(', ')}
+                </p>` : ''}
+                ${report.issues.length > 0 ? `<details ${fatalMessage ? 'open' : ''}>
+                    <summary>${report.issues.length + report.truncatedIssues} issue(s)</summary>
+                    <ul class="import-issues">${rows}</ul>
+                    ${report.truncatedIssues > 0 ? `<p class="import-report-more">…and ${report.truncatedIssues} more</p>` : ''}
+                </details>` : ''}
+            `);
+        
+        panel.select('.import-report-close').on('click', () => panel.remove());
+    }
+    
+    /**
+     * 用配置中的数据集填充数据集选择器，并标出当前数据源
+     */
+    async updateDatasetSelect() {
+        const select = d3.select('#dataset-select');
+        let datasets = [];
+        try {
+            datasets = await this.dataLoader.listDatasets();
+        } catch (error) {
+            console.warn('Failed to read dataset config:', error);
+        }
+        
+        const current = this.dataLoader.source;
+        const options = datasets.map(d => ({ value: d.id, label: d.label || d.id }));
+        if (current && !options.some(o => o.value === current.id)) {
+            // 本地文件或直接URL不在配置中，只作显示用
+            options.push({ value: current.id, label: current.label, external: true });
+        }
+        
+        select.selectAll('option')
+            .data(options, d => d.value)
+            .join('option')
+            .attr('value', d => d.value)
+            .property('disabled', d => !!d.external)
+            .text(d => d.label);
+        select.property('value', current?.id);
+    }
+    
+    /**
+     * @param {string} message
+     * @param {number|null} progress - 0-1之间的进度，null时显示转圈
+     * @param {boolean} compact - 为true时显示在角落，不遮挡已经渲染的预览
+     */
+    showLoading(message, progress = null, compact = false) {
         const container = d3.select('#visualization-container');
         container.select('.loading').remove();
+        
+        const indicator = progress !== null
+            ? `<div class="loading-progress"><div class="loading-progress-fill" style="width: ${(progress * 100).toFixed(1)}%"></div></div>`
+            : `<div style="width: 40px; height: 40px; border: 4px solid rgba(255,255,255,0.3); border-top-color: white; border-radius: 50%; margin: 0 auto; animation: spin 1s linear infinite;"></div>`;
+        
+        if (compact) {
+            container.append('div')
+                .attr('class', 'loading compact')
+                .html(`<span>${message}</span>${progress !== null ? indicator : ''}`);
+            return;
+        }
+        
         container.append('div')
             .attr('class', 'loading')
             .html(`<div style="text-align: center; padding: 2rem;">
                 <div style="font-size: 1.2rem; color: white; margin-bottom: 1rem;">${message}</div>
-                <div style="width: 40px; height: 40px; border: 4px solid rgba(255,255,255,0.3); border-top-color: white; border-radius: 50%; margin: 0 auto; animation: spin 1s linear infinite;"></div>
+                ${indicator}
             </div>`);
     }
     
+    /**
+     * 显示流式加载的进度
+     */
+    showLoadingProgress({ phase, loadedBytes, totalBytes, records }, compact) {
+        if (phase === 'processing') {
+            this.showLoading(`Processing ${records.toLocaleString()} participants...`, null, compact);
+            return;
+        }
+        
+        const megabytes = (loadedBytes / (1024 * 1024)).toFixed(1);
+        const fraction = totalBytes ? Math.min(1, loadedBytes / totalBytes) : null;
+        const size = totalBytes ? `${megabytes} / ${(totalBytes / (1024 * 1024)).toFixed(1)} MB` : `${megabytes} MB`;
+        const count = records > 0 ? ` · ${records.toLocaleString()} participants` : '';
+        this.showLoading(`Loading data... ${size}${count}`, fraction, compact);
+    }
+    
+    /**
+     * 渲染流式加载中的预览数据（剩余数据仍在后台读取）
+     */
+    async renderPreview(preview) {
+        this.data = preview;
+        try {
+            await this.processData();
+        } catch (error) {
+            // 预览的连接还没算完，完整数据已经到了
+            if (error.cancelled) return;
+            // 预览失败不影响完整数据的加载，完整数据到了之后照常显示
+            console.error('预览的连接计算失败:', error);
+            this.hideLoading();
+            return;
+        }
+        this.render();
+        this.updateLayout();
+        this.interactionHandler.setup(this.nodes, this.links);
+        this.fitToView();
+    }
+    
     hideLoading() {
         d3.select('#visualization-container').select('.loading').remove();
     }
@@ -251,26 +604,64 @@ class VisualizationApp {
             </div>`);
     }
     
-    processData() {
+    /**
+     * @param {Array|null} previousNodes - 已经显示的节点（如流式加载的预览），同ID的节点沿用其位置
+     * @param {Object|null} cachedView - readCachedView() 读出的连接和位置，提供时不再重新生成连接
+     * @param {Function|null} onProgress - k近邻计算的进度 (fraction) => void
+     * 新的调用会取消尚未完成的旧调用，被取消的调用以 error.cancelled = true 的错误拒绝；
+     * 近邻算好之前不修改 this.nodes / this.links，旧的视图在这期间照常渲染
+     */
+    async processData(previousNodes = null, cachedView = null, onProgress = null) {
+        this.linkJob?.abort();
+        const job = new AbortController();
+        this.linkJob = job;
+        
         const startTime = performance.now();
+        const neighbors = cachedView ? null : await this.getNeighbors(this.linksPerNode(this.data.participants.length), job.signal, onProgress);
+        const blendClusters = await this.getBlendClusters(job.signal);
+        if (this.config.cutTree) await this.getHierarchy(job.signal);
+        if (this.linkJob !== job) {
+            const error = new Error('连接计算已被新的设置取代');
+            error.cancelled = true;
+            throw error;
+        }
+        this.linkJob = null;
         
-        // 处理节点
-        this.nodes = this.data.participants.map(p => ({
-            id: p.id,
-            ...p,
-            x: Math.random() * this.width,
-            y: Math.random() * this.height,
-            vx: 0,
-            vy: 0
-        }));
+        const nodeStartTime = performance.now();
+        const previous = new Map((previousNodes || []).map(node => [node.id, node]));
+        const positions = cachedView ? cachedView.positions : {};
+        
+        // 处理节点；混合权重下Multidimensional的聚类（Cluster Circle等布局使用）换成混合向量上的聚类
+        this.nodes = this.data.participants.map((p, i) => {
+            const old = previous.get(p.id);
+            const [cachedX, cachedY] = positions[p.id] || [];
+            return {
+                id: p.id,
+                ...p,
+                cluster_assignments: blendClusters
+                    ? { ...p.cluster_assignments, multidimensional_cluster: blendClusters[i] }
+                    : p.cluster_assignments,
+                x: cachedX ?? (old ? old.x : Math.random() * this.width),
+                y: cachedY ?? (old ? old.y : Math.random() * this.height),
+                vx: 0,
+                vy: 0,
+                // 拖动固定的人保持固定
+                ...(old?.fx != null && { fx: old.fx, fy: old.fy })
+            };
+        });
         
         console.log(`Processing ${this.nodes.length} nodes...`);
         const nodeTime = performance.now();
-        console.log(`节点处理耗时: ${(nodeTime - startTime).toFixed(2)}ms`);
+        console.log(`节点处理耗时: ${(nodeTime - nodeStartTime).toFixed(2)}ms`);
         
         // 优化：使用更高效的连接生成策略
         const linkStartTime = performance.now();
-        this.links = this.generateLinksOptimized();
+        this.links = cachedView ? this.restoreLinks(cachedView.links) : this.generateLinksOptimized(neighbors);
+        this.similarityCache = neighbors
+            ? (this.similarityCache?.neighbors === neighbors ? this.similarityCache : new SimilarityCache(neighbors, this.nodes.length))
+            : null;
+        this.linkThreshold = this.config.similarityThreshold;
+        this.applyCut();
         const linkTime = performance.now();
         
         console.log(`Generated ${this.links.length} links`);
@@ -278,154 +669,257 @@ class VisualizationApp {
         console.log(`总处理耗时: ${(linkTime - startTime).toFixed(2)}ms`);
     }
     
-    generateLinksOptimized() {
-        // 优化策略：限制每个节点的连接数，使用采样
-        const links = [];
-        const threshold = this.config.similarityThreshold;
+    /**
+     * 视图缓存的配置键：数据处理配置 + 影响连接和布局的视图设置
+     */
+    viewCacheConfig() {
+        return hashString(JSON.stringify({
+            data: this.data.cache.config,
+            dimension: this.config.dimension,
+            similarityThreshold: this.config.similarityThreshold,
+            ...(this.config.graphMode !== 'threshold' && { graphMode: this.config.graphMode }),
+            neighborSearch: this.neighborMode(this.data.participants.length),
+            ...(this.blendWeights() && { weights: this.blendWeights() }),
+            layout: this.config.layout,
+            ...(isProjection(this.config.layout) && { projectionSource: this.config.projectionSource }),
+            ...(this.config.layout === 'scatter' && { scatter: [this.config.scatterX, this.config.scatterY, this.config.scatterSize] }),
+            ...(this.config.cutTree && { cutHeight: this.config.cutHeight }),
+            size: [this.width, this.height]
+        }));
+    }
+    
+    /**
+     * 读取当前数据集和视图设置下缓存的连接和布局位置，没有时返回null
+     */
+    async readCachedView() {
+        if (!this.datasetCache || !this.data?.cache || this.dataLoader.cacheMode !== 'use') return null;
         
-        // 根据节点数量动态调整参数
-        const nodeCount = this.nodes.length;
-        let maxLinksPerNode, sampleSize;
+        const view = await this.datasetCache.get('view', this.data.cache.dataset, this.viewCacheConfig());
+        // 参与者不完全一致时（理论上不会发生）放弃缓存的视图
+        if (!view || this.data.participants.some(p => !view.positions[p.id])) return null;
+        console.log(`✓ 从缓存恢复连接和布局 (${view.links.length} 个连接)`);
+        return view;
+    }
+    
+    /**
+     * 力导向模拟收敛后保存连接和位置，下次打开同一数据集时直接恢复
+     */
+    saveCachedView() {
+        if (!this.datasetCache || !this.data?.cache || this.dataLoader.cacheMode === 'off') return;
         
+        const positions = {};
+        this.nodes.forEach(node => {
+            positions[node.id] = [node.x, node.y];
+        });
+        const links = this.links.map(link => [
+            link.source.id ?? link.source,
+            link.target.id ?? link.target,
+            link.similarity
+        ]);
+        this.datasetCache.put('view', this.data.cache.dataset, this.viewCacheConfig(), { positions, links });
+    }
+    
+    /**
+     * 把缓存的 [sourceId, targetId, similarity] 还原为连接对象
+     */
+    restoreLinks(cachedLinks) {
+        const nodeById = new Map(this.nodes.map(node => [node.id, node]));
+        return cachedLinks
+            .filter(([sourceId, targetId]) => nodeById.has(sourceId) && nodeById.has(targetId))
+            .map(([sourceId, targetId, similarity]) => ({
+                source: nodeById.get(sourceId),
+                target: nodeById.get(targetId),
+                similarity: similarity,
+                dimension: this.config.dimension
+            }));
+    }
+    
+    /**
+     * 根据节点数量调整每个节点的连接数
+     */
+    linksPerNode(nodeCount) {
         if (nodeCount <= 20) {
-            // 小样本：每个节点可以连接更多，采样更多
-            maxLinksPerNode = Math.min(10, nodeCount - 1); // 减少到10个
-            sampleSize = nodeCount; // 小样本时比较所有节点
+            return Math.max(0, Math.min(10, nodeCount - 1));
         } else if (nodeCount <= 50) {
-            // 中等样本
-            maxLinksPerNode = 8;
-            sampleSize = Math.min(30, nodeCount);
-        } else {
-            // 大样本：严格限制
-            maxLinksPerNode = 5;
-            sampleSize = Math.min(50, nodeCount);
+            return 8;
         }
+        return 5;
+    }
+    
+    /**
+     * @param {Object} neighbors - getNeighbors() 的结果
+     */
+    generateLinksOptimized(neighbors) {
+        // 在每个节点的k个最近邻中按构图方式选出连接（默认：高于阈值的才连接），结果可复现
+        const mode = this.config.graphMode;
+        const threshold = this.config.similarityThreshold;
         
-        console.log(`连接参数: maxLinksPerNode=${maxLinksPerNode}, sampleSize=${sampleSize}, threshold=${threshold}`);
+        console.log(`连接参数: maxLinksPerNode=${neighbors.k}, mode=${mode}` + (usesThreshold(mode) ? `, threshold=${threshold}` : ''));
         
-        // 使用Set来快速检查重复连接
-        const linkSet = new Set();
+        return buildGraph(neighbors, this.nodes.length, { mode, threshold }).map(edge => ({
+            source: this.nodes[edge.source],
+            target: this.nodes[edge.target],
+            similarity: edge.similarity,
+            dimension: this.config.dimension
+        }));
+    }
+    
+    /**
+     * 当前使用的近邻搜索方式：'exact' 或 ANN_PRESETS 中的档位
+     */
+    neighborMode(count) {
+        if (this.config.neighborSearch !== 'auto') return this.config.neighborSearch;
+        return count > ANN_AUTO_THRESHOLD ? 'balanced' : 'exact';
+    }
+    
+    /**
+     * Multidimensional维度下使用的混合权重；其他维度或与默认的unified向量等价时为null
+     */
+    blendWeights() {
+        if (this.config.dimension !== 'multidimensional' || isDefaultBlend(this.config.weights)) return null;
+        return normalizeWeights(this.config.weights);
+    }
+    
+    /**
+     * 按当前维度建立相似度索引：混合权重下使用按权重拼接的向量，否则使用 SimilarityIndex.fromNodes
+     */
+    buildSimilarityIndex(participants) {
+        const weights = this.blendWeights();
+        return weights
+            ? new SimilarityIndex(blendVectors(participants, weights))
+            : SimilarityIndex.fromNodes(participants, this.config.dimension);
+    }
+    
+    /**
+     * 混合向量上的聚类标签（顺序同 data.participants），没有混合权重时返回null
+     * 与 DataLoader.extractClusters 一样，所有部分都缺失的人单独归为最后一组
+     * @param {AbortSignal} signal - 取消计算
+     */
+    async getBlendClusters(signal) {
+        const weights = this.blendWeights();
+        if (!weights) return null;
+        const key = JSON.stringify(weights);
+        const cached = this.blendClusterCache;
+        if (cached && cached.data === this.data && cached.key === key) return cached.labels;
         
-        // 为每个节点找最相似的几个节点
-        for (let i = 0; i < this.nodes.length; i++) {
-            const node = this.nodes[i];
-            const candidates = [];
-            
-            // 采样策略：不是和所有节点比较，而是采样
-            const sampleIndices = this.getSampleIndices(i, sampleSize);
-            
-            for (const j of sampleIndices) {
-                if (i === j) continue;
-                
-                // 检查是否已经处理过这个连接
-                const linkKey = i < j ? `${i}-${j}` : `${j}-${i}`;
-                if (linkSet.has(linkKey)) continue;
-                
-                const similarity = this.calculateSimilarity(
-                    node,
-                    this.nodes[j],
-                    this.config.dimension
-                );
-                
-                if (similarity >= threshold) {
-                    candidates.push({
-                        target: this.nodes[j],
-                        similarity: similarity,
-                        targetIndex: j
-                    });
-                }
-            }
-            
-            // 只保留最相似的几个
-            candidates.sort((a, b) => b.similarity - a.similarity);
-            const topCandidates = candidates.slice(0, maxLinksPerNode);
-            
-            topCandidates.forEach(candidate => {
-                const linkKey = i < candidate.targetIndex ? `${i}-${candidate.targetIndex}` : `${candidate.targetIndex}-${i}`;
-                
-                if (!linkSet.has(linkKey)) {
-                    linkSet.add(linkKey);
-                    links.push({
-                        source: node,
-                        target: candidate.target,
-                        similarity: candidate.similarity,
-                        dimension: this.config.dimension
-                    });
-                }
-            });
-        }
+        const vectors = blendVectors(this.data.participants, weights);
+        const present = vectors.map((vector, i) => vector ? i : -1).filter(i => i >= 0);
+        const result = await this.compute.run('cluster', {
+            vectors: present.map(i => vectors[i]),
+            metric: 'cosine',
+            options: this.dataLoader.clusterer.options
+        }, { signal });
+        const labels = new Array(vectors.length).fill(result.k);
+        present.forEach((i, r) => {
+            labels[i] = result.labels[r];
+        });
+        console.log(`✓ 混合相似度聚类: ${result.k} 个聚类 (${describeWeights(weights)})`);
         
-        return links;
+        this.blendClusterCache = { data: this.data, key, labels };
+        return labels;
     }
     
-    getSampleIndices(currentIndex, sampleSize) {
-        // 获取采样索引：包括附近的节点和随机节点
-        const indices = new Set();
-        const n = this.nodes.length;
-        
-        // 添加附近的节点（局部相似性）
-        const windowSize = Math.min(20, n);
-        const start = Math.max(0, currentIndex - windowSize);
-        const end = Math.min(n, currentIndex + windowSize);
-        for (let i = start; i < end; i++) {
-            if (i !== currentIndex) indices.add(i);
+    /**
+     * 当前数据和维度下每个节点的k个最近邻，同一份数据、维度、混合权重和搜索方式只计算一次（在计算Worker中）
+     * 近邻只取决于这几项，拖动阈值时直接使用缓存；近似索引另外保存在数据集缓存中，下次打开时不再重建
+     * 同时保留用于查询的索引（neighborCache.searchIndex），供搜索和"找相似的人"使用
+     * @param {number} k
+     * @param {AbortSignal} signal - 取消计算
+     * @param {Function|null} onProgress - (fraction) => void
+     */
+    async getNeighbors(k, signal, onProgress = null) {
+        const data = this.data;
+        const dimension = this.config.dimension;
+        const mode = this.neighborMode(data.participants.length);
+        const weights = this.blendWeights();
+        const blend = weights && JSON.stringify(weights);
+        const cached = this.neighborCache;
+        if (cached && cached.data === data && cached.dimension === dimension && cached.blend === blend && cached.k === k && cached.mode === mode) {
+            return cached.neighbors;
         }
         
-        // 添加随机节点（全局探索）
-        const randomCount = sampleSize - indices.size;
-        for (let i = 0; i < randomCount && indices.size < sampleSize; i++) {
-            const randomIndex = Math.floor(Math.random() * n);
-            if (randomIndex !== currentIndex) {
-                indices.add(randomIndex);
+        const startTime = performance.now();
+        const index = this.buildSimilarityIndex(data.participants);
+        let neighbors;
+        let searchIndex = index;
+        if (mode === 'exact') {
+            neighbors = await this.compute.run('neighbors', { index: index.state(), k }, { signal, onProgress });
+        } else {
+            const cacheConfig = data.cache && hashString(JSON.stringify({ data: data.cache.config, dimension, ...(weights && { weights }), mode, k }));
+            let ann = cacheConfig && this.dataLoader.cacheMode === 'use'
+                ? await this.datasetCache.get('ann', data.cache.dataset, cacheConfig)
+                : null;
+            if (!ann) {
+                ann = await this.compute.run('annNeighbors', { index: index.state(), k, preset: mode }, { signal, onProgress });
+                if (cacheConfig && this.dataLoader.cacheMode !== 'off') {
+                    this.datasetCache.put('ann', data.cache.dataset, cacheConfig, ann);
+                }
             }
+            neighbors = ann.neighbors;
+            searchIndex = AnnIndex.restore(index, ann.forest);
         }
+        console.log(`k近邻计算耗时: ${(performance.now() - startTime).toFixed(2)}ms (${data.participants.length} 个节点, ${index.dims} 维, ${mode})`);
         
-        return Array.from(indices);
+        this.neighborCache = { data, dimension, blend, k, mode, neighbors, index, searchIndex };
+        return neighbors;
     }
     
-    calculateSimilarity(node1, node2, dimension) {
-        // 根据选择的维度计算相似度
-        if (dimension === 'multidimensional') {
-            // 使用统一向量
-            const vec1 = node1.isotype_signature.unified;
-            const vec2 = node2.isotype_signature.unified;
-            return this.cosineSimilarity(vec1, vec2);
-        } else {
-            // 使用特定维度
-            const vec1 = node1.isotype_signature[dimension] || node1.isotype_signature.semantic;
-            const vec2 = node2.isotype_signature[dimension] || node2.isotype_signature.semantic;
-            return this.cosineSimilarity(vec1, vec2);
-        }
+    /**
+     * 与某个人最相似的几个人（查询近邻索引，不受相似度阈值和每人连接数的限制）
+     * @returns {Array<{node, similarity}>}
+     */
+    findSimilar(node, limit = 8) {
+        const cache = this.neighborCache;
+        const i = this.nodes.indexOf(node);
+        if (!cache || cache.data !== this.data || i < 0 || !cache.index.valid[i]) return [];
+        
+        return cache.searchIndex.query(cache.index.row(i), limit, { exclude: new Set([i]) })
+            .map(({ index, similarity }) => ({ node: this.nodes[index], similarity }));
     }
     
-    cosineSimilarity(vec1, vec2) {
-        if (!vec1 || !vec2 || vec1.length !== vec2.length) return 0;
-        
-        // 优化：使用更快的计算方式，减少循环开销
-        let dotProduct = 0;
-        let norm1 = 0;
-        let norm2 = 0;
-        
-        // 如果向量太长，可以采样计算（但384维还可以接受）
-        const step = vec1.length > 500 ? 2 : 1; // 如果超过500维，每隔一个计算
-        
-        for (let i = 0; i < vec1.length; i += step) {
-            const v1 = vec1[i];
-            const v2 = vec2[i];
-            dotProduct += v1 * v2;
-            norm1 += v1 * v1;
-            norm2 += v2 * v2;
-        }
-        
-        // 如果采样了，需要调整
-        if (step > 1) {
-            dotProduct *= step;
-            norm1 *= step;
-            norm2 *= step;
+    /**
+     * 搜索：文本中包含所有关键词（或ID包含查询）的人，以及与这些人整体最相似、但没有提到这些词的人
+     * 只在允许引用的参与者的文本中查找——命中本身就透露了这个人说过什么
+     * @returns {{matches: Array<node>, similar: Array<{node, similarity}>}}
+     */
+    searchPeople(query, limit = 12) {
+        const cache = this.neighborCache;
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const matched = [];
+        this.nodes.forEach((node, i) => {
+            const id = String(node.original_id || node.id).toLowerCase();
+            const text = allows(node, 'quotes') ? (node.text_content || '').toLowerCase() : '';
+            if (id.includes(query.toLowerCase()) || terms.every(term => text.includes(term))) {
+                matched.push(i);
+            }
+        });
+        if (!cache || cache.data !== this.data) {
+            return { matches: matched.map(i => this.nodes[i]), similar: [] };
         }
         
-        const denominator = Math.sqrt(norm1) * Math.sqrt(norm2);
-        return denominator === 0 ? 0 : dotProduct / denominator;
+        // 命中者的平均方向代表"这样说话的人"
+        const centroid = new Float32Array(cache.index.dims);
+        matched.forEach(i => {
+            if (!cache.index.valid[i]) return;
+            const row = cache.index.row(i);
+            for (let d = 0; d < centroid.length; d++) {
+                centroid[d] += row[d];
+            }
+        });
+        const similar = matched.length > 0
+            ? cache.searchIndex.query(centroid, limit, { exclude: new Set(matched) })
+            : [];
+        return {
+            matches: matched.map(i => this.nodes[i]),
+            similar: similar.map(({ index, similarity }) => ({ node: this.nodes[index], similarity }))
+        };
+    }
+    
+    /**
+     * 两个人为什么相连（见 LinkExplainer.explain），词语的少见程度按当前整个数据集计算
+     */
+    explainLink(a, b) {
+        return this.linkExplainer.explain(a, b, this.data.participants);
     }
     
     render() {
@@ -437,12 +931,21 @@ class VisualizationApp {
         this.ctx.translate(this.transform.x, this.transform.y);
         this.ctx.scale(this.transform.k, this.transform.k);
         
-        // 1. 先渲染聚类融合（最底层）
-        if (this.showClusterFusion && this.clusterFusion && this.nodes.length > 0 && this.links.length > 0) {
+        // 树状图布局的分支、特征散点布局的坐标轴
+        if (this.dendrogramShape) {
+            this.renderDendrogram();
+        }
+        if (this.scatterAxes) {
+            this.renderScatterAxes();
+        }
+        
+        // 1. 先渲染聚类融合（最底层）；剪开树状图时融合的是剪出的聚类
+        if (this.showClusterFusion && this.clusterFusion && this.nodes.length > 0 && (this.links.length > 0 || this.cutGroups)) {
             this.clusterFusion.renderClusters(
                 this.nodes, 
                 this.links, 
-                this.config.similarityThreshold
+                this.config.similarityThreshold,
+                this.cutGroups
             );
             // 聚类融合模式下不渲染连接线，只显示融合的大圆
         } else {
@@ -452,6 +955,7 @@ class VisualizationApp {
         
         // 3. 渲染节点（在最上层）
         this.nodeRenderer.render(this.nodes, this.config, this.highlightedNode);
+        this.renderPins();
         
         // 恢复Canvas变换
         this.ctx.restore();
@@ -462,6 +966,113 @@ class VisualizationApp {
         }
     }
     
+    /**
+     * 树状图的分支：剪切高度以下（同一聚类内）的分支较亮，剪切位置画一条虚线（径向时为虚线圆）
+     */
+    renderDendrogram() {
+        const { radial, cx, cy, level, segments } = this.dendrogramShape;
+        const cutHeight = this.cut ? this.cut.height : null;
+        const trace = (inside) => {
+            this.ctx.beginPath();
+            segments.forEach(segment => {
+                if ((cutHeight !== null && segment.height <= cutHeight) !== inside) return;
+                if (segment.r !== undefined) {
+                    this.ctx.moveTo(segment.cx + Math.cos(segment.a0) * segment.r, segment.cy + Math.sin(segment.a0) * segment.r);
+                    this.ctx.arc(segment.cx, segment.cy, segment.r, segment.a0, segment.a1);
+                } else {
+                    this.ctx.moveTo(segment.x1, segment.y1);
+                    this.ctx.lineTo(segment.x2, segment.y2);
+                }
+            });
+            this.ctx.stroke();
+        };
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        trace(false);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        trace(true);
+        
+        if (cutHeight !== null) {
+            this.ctx.setLineDash([6, 6]);
+            this.ctx.strokeStyle = this.addAlpha('#FF006E', 0.7);
+            this.ctx.beginPath();
+            if (radial) {
+                this.ctx.arc(cx, cy, level(cutHeight), 0, Math.PI * 2);
+            } else {
+                this.ctx.moveTo(0, level(cutHeight));
+                this.ctx.lineTo(this.width, level(cutHeight));
+            }
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+    
+    /**
+     * 特征散点布局的网格线、刻度和轴标题（在画布坐标中绘制，随缩放移动）
+     */
+    renderScatterAxes() {
+        const { left, right, top, bottom, x, y } = this.scatterAxes;
+        this.ctx.save();
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        this.ctx.beginPath();
+        x.ticks.forEach(tick => {
+            this.ctx.moveTo(tick.position, top);
+            this.ctx.lineTo(tick.position, bottom);
+        });
+        y.ticks.forEach(tick => {
+            this.ctx.moveTo(left, tick.position);
+            this.ctx.lineTo(right, tick.position);
+        });
+        this.ctx.stroke();
+        
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        this.ctx.beginPath();
+        this.ctx.moveTo(left, top);
+        this.ctx.lineTo(left, bottom);
+        this.ctx.lineTo(right, bottom);
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.font = '10px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        x.ticks.forEach(tick => this.ctx.fillText(tick.label, tick.position, bottom + 6));
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        y.ticks.forEach(tick => this.ctx.fillText(tick.label, left - 6, tick.position));
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.font = '12px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(x.label, (left + right) / 2, bottom + 22);
+        this.ctx.translate(left - 44, (top + bottom) / 2);
+        this.ctx.rotate(-Math.PI / 2);
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(y.label, 0, 0);
+        this.ctx.restore();
+    }
+    
+    /**
+     * 拖动固定的节点在右上角画一个小圆点
+     */
+    renderPins() {
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.beginPath();
+        this.nodes.forEach(node => {
+            if (node.fx == null) return;
+            const offset = ((node.visual_properties?.size || 10) * (node.sizeScale ?? 1)) * 0.8;
+            this.ctx.moveTo(node.x + offset + 2.5, node.y - offset);
+            this.ctx.arc(node.x + offset, node.y - offset, 2.5, 0, Math.PI * 2);
+        });
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+    
     renderLinks() {
         // 如果开启了聚类融合，不渲染连接线
         if (this.showClusterFusion && this.clusterFusion) {
@@ -536,14 +1147,291 @@ class VisualizationApp {
     updateLayout() {
         if (!this.nodes.length) return;
         
+        // 投影布局的坐标要先在计算Worker中算出来；切换到其他布局时放弃还没算完的投影
+        this.layoutJob?.abort();
+        this.layoutJob = null;
+        this.transition?.stop();
+        this.transition = null;
+        if (!isDendrogram(this.config.layout)) {
+            this.dendrogramShape = null;
+        }
+        if (this.config.layout !== 'scatter' && this.scatterAxes) {
+            this.scatterAxes = null;
+            this.nodes.forEach(node => {
+                node.sizeScale = null;
+            });
+        }
+        if (isProjection(this.config.layout)) {
+            this.updateProjectionLayout();
+            return;
+        }
+        if (isDendrogram(this.config.layout)) {
+            this.updateDendrogramLayout();
+            return;
+        }
+        if (this.config.layout === 'scatter') {
+            const axis = id => SUBJECTIVITY_AXES.find(a => a.id === id) || null;
+            this.scatterAxes = this.layoutManager.scatterLayout(this.nodes, {
+                x: axis(this.config.scatterX),
+                y: axis(this.config.scatterY),
+                size: axis(this.config.scatterSize)
+            });
+            this.transitionToLayout();
+            return;
+        }
+        
         this.layoutManager.applyLayout(
             this.nodes,
             this.links,
             this.config.layout,
             this.config.dimension
         );
+        // 力导向布局从节点的当前位置开始模拟，其余布局先过渡到目标位置
+        if (this.layoutManager.isAnchored(this.config.layout)) {
+            this.transitionToLayout();
+        } else {
+            this.startSimulation();
+        }
+    }
+    
+    /**
+     * 需要先在计算Worker中计算的布局（投影、树状图）：计算期间旧的布局照常显示；
+     * 期间再次切换布局（或重新生成节点）时这次计算被取消
+     * @param {string} label - 进度提示中的布局名
+     * @param {Function} compute - (signal, onProgress) => Promise，计算布局需要的结果
+     * @param {Function} place - (result) => void，算出节点的布局位置（layoutX / layoutY）
+     */
+    async runLayoutJob(label, compute, place) {
+        const job = new AbortController();
+        this.layoutJob = job;
+        const data = this.data;
+        
+        let progressShown = false;
+        let result;
+        try {
+            result = await compute(job.signal, (progress) => {
+                progressShown = true;
+                this.showLoading(`Computing ${label} layout... ${Math.round(progress * 100)}%`, progress, true);
+            });
+        } catch (error) {
+            if (!error.cancelled) console.error('布局计算失败:', error);
+            result = null;
+        }
+        // 被另一个布局取代时进度由新的计算显示
+        if (progressShown && (this.layoutJob === job || !this.layoutJob)) {
+            this.hideLoading();
+        }
+        if (this.layoutJob !== job || !result || this.data !== data) return;
+        this.layoutJob = null;
+        
+        place(result);
+        this.transitionToLayout();
+    }
+    
+    /**
+     * 节点从当前位置平滑移动到布局位置（layoutX / layoutY），到达后启动模拟，由碰撞力把重叠的glyph错开
+     * 力导向以外的布局都经过这一步，切换布局时节点不会跳到新位置；拖动固定的节点留在原处
+     * 过渡期间切换布局或重新生成节点时停止
+     * @param {number} duration - 毫秒
+     */
+    transitionToLayout(duration = 750) {
+        this.simulation?.stop();
+        this.transition?.stop();
+        const nodes = this.nodes;
+        const starts = nodes.map(node => [node.x, node.y]);
+        const transition = d3.timer((elapsed) => {
+            if (this.nodes !== nodes) {
+                transition.stop();
+                if (this.transition === transition) this.transition = null;
+                return;
+            }
+            const t = d3.easeCubicInOut(Math.min(1, elapsed / duration));
+            nodes.forEach((node, i) => {
+                if (node.fx != null) return;
+                node.x = starts[i][0] + (node.layoutX - starts[i][0]) * t;
+                node.y = starts[i][1] + (node.layoutY - starts[i][1]) * t;
+            });
+            this.interactionHandler.updateInteractionLayer(nodes);
+            this.render();
+            if (elapsed >= duration) {
+                transition.stop();
+                this.transition = null;
+                this.startSimulation();
+            }
+        });
+        this.transition = transition;
+    }
+    
+    /**
+     * 投影布局：把所选的向量投影到二维，节点放到投影位置
+     */
+    updateProjectionLayout() {
+        const method = PROJECTION_METHODS.find(m => m.id === this.config.layout);
+        this.runLayoutJob(
+            method.label,
+            (signal, onProgress) => this.getProjection(method.id, this.config.projectionSource, signal, onProgress),
+            coordinates => this.layoutManager.projectionLayout(this.nodes, coordinates)
+        );
+    }
+    
+    /**
+     * 树状图布局：当前维度上的层次聚类，人排在叶子上，分支在render()中绘制
+     */
+    updateDendrogramLayout() {
+        this.runLayoutJob(
+            'dendrogram',
+            (signal, onProgress) => this.getHierarchy(signal, onProgress),
+            (hierarchy) => {
+                this.dendrogramShape = this.layoutManager.dendrogramLayout(this.nodes, hierarchy, this.config.layout === 'radial-dendrogram');
+            }
+        );
+    }
+    
+    /**
+     * 当前数据和维度（及混合权重）下的层次聚类，同一份数据、维度和权重只计算一次（在计算Worker中），并保存在数据集缓存中
+     * @param {AbortSignal|null} signal - 取消计算
+     * @param {Function|null} onProgress - (fraction) => void
+     * @returns {Promise<Object>} AgglomerativeClusterer.fit() 的结果
+     */
+    async getHierarchy(signal = null, onProgress = null) {
+        const cached = this.cachedHierarchy();
+        if (cached) return cached;
+        
+        const data = this.data;
+        const dimension = this.config.dimension;
+        const weights = this.blendWeights();
+        const blend = weights && JSON.stringify(weights);
+        const startTime = performance.now();
+        const cacheConfig = data.cache && hashString(JSON.stringify({ data: data.cache.config, dimension, ...(weights && { weights }) }));
+        let hierarchy = cacheConfig && this.dataLoader.cacheMode === 'use'
+            ? await this.datasetCache.get('hierarchy', data.cache.dataset, cacheConfig)
+            : null;
+        if (!hierarchy) {
+            const index = this.buildSimilarityIndex(data.participants);
+            hierarchy = await this.compute.run('hierarchy', { index: index.state(), options: {} }, { signal, onProgress });
+            if (cacheConfig && this.dataLoader.cacheMode !== 'off') {
+                this.datasetCache.put('hierarchy', data.cache.dataset, cacheConfig, hierarchy);
+            }
+            console.log(`层次聚类耗时: ${(performance.now() - startTime).toFixed(2)}ms (${data.participants.length} 个节点, ${hierarchy.leaves} 片叶子)`);
+        }
+        
+        this.hierarchyCache = { data, dimension, blend, hierarchy };
+        return hierarchy;
+    }
+    
+    /**
+     * 当前数据、维度和权重下已经算好的层次聚类，没有时返回null
+     */
+    cachedHierarchy() {
+        const cached = this.hierarchyCache;
+        const weights = this.blendWeights();
+        const blend = weights && JSON.stringify(weights);
+        return cached && cached.data === this.data && cached.dimension === this.config.dimension && cached.blend === blend
+            ? cached.hierarchy
+            : null;
+    }
+    
+    /**
+     * 按剪切高度剪开树状图：每个节点的cut_cluster（Cluster Circle按它分组）和按聚类分组的this.cutGroups（聚类融合使用）
+     * 不剪切或当前维度的树还没有算好时清除
+     */
+    applyCut() {
+        const hierarchy = this.config.cutTree ? this.cachedHierarchy() : null;
+        this.cut = hierarchy && hierarchy.count === this.nodes.length ? cutHierarchy(hierarchy, this.config.cutHeight) : null;
         
-        // 启动力导向模拟
+        const groups = [];
+        this.nodes.forEach((node, i) => {
+            if (!this.cut) {
+                delete node.cut_cluster;
+                return;
+            }
+            const label = this.cut.labels[i];
+            node.cut_cluster = label;
+            // 没有向量的人（标签为k）不算一个聚类
+            if (label < this.cut.k) {
+                if (!groups[label]) groups[label] = [];
+                groups[label].push(node);
+            }
+        });
+        this.cutGroups = this.cut ? groups : null;
+        d3.select('#cut-clusters').text(this.cut ? `${this.cut.k} clusters` : '');
+    }
+    
+    /**
+     * 打开或关闭剪切：需要时先计算层次聚类，然后重新分组
+     */
+    async updateCut() {
+        if (this.config.cutTree && this.nodes.length && !this.cachedHierarchy()) {
+            let progressShown = false;
+            try {
+                await this.getHierarchy(null, (progress) => {
+                    progressShown = true;
+                    this.showLoading(`Clustering... ${Math.round(progress * 100)}%`, progress, true);
+                });
+            } catch (error) {
+                if (!error.cancelled) console.error('层次聚类失败:', error);
+                return;
+            } finally {
+                if (progressShown) this.hideLoading();
+            }
+        }
+        this.applyCut();
+        if (this.config.layout === 'cluster') {
+            this.updateLayout();
+        }
+        this.render();
+    }
+    
+    /**
+     * 树状图布局或打开剪切时显示剪切控件
+     */
+    updateCutControls() {
+        d3.select('#cluster-cut').style('display', isDendrogram(this.config.layout) || this.config.cutTree ? null : 'none');
+        d3.select('#cut-height').property('disabled', !this.config.cutTree);
+    }
+    
+    /**
+     * 当前数据的二维投影（顺序同 data.participants），同一份数据、向量和方法只计算一次（在计算Worker中），并保存在数据集缓存中
+     * @param {string} method - PROJECTION_METHODS中的id
+     * @param {string} source - 'unified' / 'semantic' / 'emotion'
+     * @param {AbortSignal} signal - 取消计算
+     * @param {Function|null} onProgress - (fraction) => void
+     * @returns {Promise<Float32Array>} 见 EmbeddingProjector.project()
+     */
+    async getProjection(method, source, signal, onProgress = null) {
+        const data = this.data;
+        const key = `${source}:${method}`;
+        if (this.projectionCache?.data !== data) {
+            this.projectionCache = { data, coordinates: new Map() };
+        }
+        const cached = this.projectionCache.coordinates.get(key);
+        if (cached) return cached;
+        
+        const startTime = performance.now();
+        const cacheConfig = data.cache && hashString(JSON.stringify({ data: data.cache.config, source, method }));
+        let coordinates = cacheConfig && this.dataLoader.cacheMode === 'use'
+            ? await this.datasetCache.get('projection', data.cache.dataset, cacheConfig)
+            : null;
+        if (!coordinates) {
+            const index = new SimilarityIndex(data.participants.map(p => p.isotype_signature?.[source]));
+            coordinates = await this.compute.run('projection', { index: index.state(), method, options: {} }, { signal, onProgress });
+            if (cacheConfig && this.dataLoader.cacheMode !== 'off') {
+                this.datasetCache.put('projection', data.cache.dataset, cacheConfig, coordinates);
+            }
+            console.log(`${method}投影耗时: ${(performance.now() - startTime).toFixed(2)}ms (${data.participants.length} 个节点, ${index.dims} 维, ${source})`);
+        }
+        
+        if (this.projectionCache.data === data) {
+            this.projectionCache.coordinates.set(key, coordinates);
+        }
+        return coordinates;
+    }
+    
+    /**
+     * 从节点的当前位置启动模拟
+     * 给出目标位置的布局（见 LayoutManager.isAnchored）只用碰撞力和回到目标位置的力，其余为力导向
+     */
+    startSimulation() {
         if (this.simulation) {
             this.simulation.stop();
         }
@@ -552,14 +1440,22 @@ class VisualizationApp {
         let renderCount = 0;
         const renderThrottle = 5; // 每5次tick渲染一次（减少渲染频率）
         
-        this.simulation = d3.forceSimulation(this.nodes)
-            .force('link', d3.forceLink(this.links)
-                .id(d => d.id)
-                .distance(d => 80 / (d.similarity || 0.5)) // 固定距离，减少跳动
-                .strength(0.3)) // 降低连接强度
-            .force('charge', d3.forceManyBody().strength(-150)) // 进一步降低强度
-            .force('center', d3.forceCenter(this.width / 2, this.height / 2).strength(0.1)) // 降低中心力
-            .force('collision', d3.forceCollide().radius(d => (d.visual_properties?.size || 10) + 3).strength(0.5))
+        this.simulation = d3.forceSimulation(this.nodes);
+        if (this.layoutManager.isAnchored(this.config.layout)) {
+            this.simulation
+                .force('x', d3.forceX(d => d.layoutX ?? d.x).strength(0.5))
+                .force('y', d3.forceY(d => d.layoutY ?? d.y).strength(0.5));
+        } else {
+            this.simulation
+                .force('link', d3.forceLink(this.links)
+                    .id(d => d.id)
+                    .distance(d => 80 / (d.similarity || 0.5)) // 固定距离，减少跳动
+                    .strength(0.3)) // 降低连接强度
+                .force('charge', d3.forceManyBody().strength(-150)) // 进一步降低强度
+                .force('center', d3.forceCenter(this.width / 2, this.height / 2).strength(0.1)); // 降低中心力
+        }
+        this.simulation
+            .force('collision', d3.forceCollide().radius(d => (d.visual_properties?.size || 10) * (d.sizeScale ?? 1) + 3).strength(0.5))
             .alphaDecay(0.1) // 大幅加快收敛（从0.02到0.1）
             .alphaMin(0.01) // 设置最小alpha，避免无限运行
             .velocityDecay(0.6) // 增加阻尼，减少跳动
@@ -592,6 +1488,7 @@ class VisualizationApp {
                 if (alpha < 0.01) {
                     this.simulation.stop();
                     console.log('力导向模拟已收敛');
+                    this.saveCachedView();
                 }
             })
             .on('end', () => {
@@ -601,14 +1498,105 @@ class VisualizationApp {
             });
     }
     
-    updateVisualization() {
+    /**
+     * 相似度阈值变化：在排好序的相似度中只加入或移除两个阈值之间的连接，节点保持当前位置，模拟从当前状态继续
+     * 没有可用的相似度缓存（如从缓存恢复的视图）或构图方式不使用阈值时退回 updateVisualization()
+     */
+    updateThreshold() {
+        const threshold = this.config.similarityThreshold;
+        const cache = this.similarityCache;
+        if (this.linkJob) return; // 正在计算的连接生成时会读取新的阈值
+        if (!usesThreshold(this.config.graphMode)) return;
+        if (!cache || cache.neighbors !== this.neighborCache?.neighbors || this.neighborCache.data !== this.data || this.linkThreshold === null) {
+            this.updateVisualization();
+            return;
+        }
+        
+        const { added, removed } = cache.changes(this.linkThreshold, threshold);
+        this.linkThreshold = threshold;
+        if (added[0] === added[1] && removed[0] === removed[1]) return;
+        
+        const keyOf = (source, target) => source < target ? `${source}-${target}` : `${target}-${source}`;
+        const indexOf = new Map(this.nodes.map((node, i) => [node, i]));
+        const current = new Map(this.links.map(link => [keyOf(indexOf.get(link.source), indexOf.get(link.target)), link]));
+        // backbone方式下生成树的连接不受阈值影响
+        const backbone = this.config.graphMode === 'backbone'
+            ? new Set(buildGraph(cache.neighbors, this.nodes.length, { mode: 'backbone', threshold: Infinity }).map(edge => keyOf(edge.source, edge.target)))
+            : null;
+        
+        const removedLinks = new Set();
+        for (let e = removed[0]; e < removed[1]; e++) {
+            const key = keyOf(cache.sources[e], cache.targets[e]);
+            if (backbone?.has(key) || !current.has(key)) continue;
+            removedLinks.add(current.get(key));
+        }
+        const addedLinks = [];
+        for (let e = added[0]; e < added[1]; e++) {
+            const { source, target, similarity } = cache.edge(e);
+            if (current.has(keyOf(source, target))) continue;
+            addedLinks.push({
+                source: this.nodes[source],
+                target: this.nodes[target],
+                similarity: similarity,
+                dimension: this.config.dimension
+            });
+        }
+        
+        this.links = [...this.links.filter(link => !removedLinks.has(link)), ...addedLinks];
+        console.log(`阈值 ${threshold.toFixed(2)}: +${addedLinks.length} / -${removedLinks.size} 个连接，共 ${this.links.length} 个`);
+        
+        if (this.highlightedNode) {
+            this.highlightedLinks = [
+                ...this.highlightedLinks.filter(link => !removedLinks.has(link)),
+                ...addedLinks.filter(link => link.source === this.highlightedNode || link.target === this.highlightedNode)
+            ];
+        }
+        this.interactionHandler.setLinks(this.links);
+        
+        // 过渡结束后启动的模拟会使用新的连接
+        if (this.transition) {
+            this.render();
+            return;
+        }
+        if (!this.simulation) {
+            this.updateLayout();
+            return;
+        }
+        // 只更新连接力，从当前位置轻轻重新加热；投影等固定位置的布局中连接不参与布局
+        const linkForce = this.simulation.force('link');
+        if (linkForce) {
+            linkForce.links(this.links);
+            this.simulation.alpha(Math.max(this.simulation.alpha(), 0.3)).restart();
+        }
+        this.render();
+    }
+    
+    async updateVisualization() {
+        // 新的连接算好之前旧的模拟继续运行；拖动滑块时，上一次还没算完的计算会被取消
+        // 节点保持当前位置，布局从这里开始过渡或模拟，而不是重新随机散开
+        let progressShown = false;
+        try {
+            await this.processData(this.nodes, null, (progress) => {
+                progressShown = true;
+                this.showLoading(`Computing links... ${Math.round(progress * 100)}%`, progress, true);
+            });
+        } catch (error) {
+            if (error.cancelled) return;
+            console.error('连接计算失败:', error);
+            this.showError(`Failed to compute links: ${error.message}`);
+            return;
+        }
+        if (progressShown) {
+            this.hideLoading();
+        }
+        
         // 停止当前模拟
         if (this.simulation) {
             this.simulation.stop();
         }
         
-        this.processData();
         this.render();
+        this.interactionHandler.setup(this.nodes, this.links);
         
         // 延迟更新布局，避免立即启动新的模拟
         setTimeout(() => {
@@ -616,6 +1604,109 @@ class VisualizationApp {
         }, 50);
     }
     
+    /**
+     * 拖动节点：节点固定在拖到的位置（fx / fy），松开后仍然固定；拖动期间模拟保持加热，其他节点随之让开
+     * 过渡动画期间只移动这个节点（过渡会跳过固定的节点）
+     */
+    dragNode(node, x, y) {
+        const running = this.simulation && !this.transition;
+        if (running && this.simulation.alphaTarget() === 0) {
+            this.simulation.alphaTarget(0.3).restart();
+        }
+        node.fx = node.x = x;
+        node.fy = node.y = y;
+        if (!running && !this.transition) {
+            this.interactionHandler.updateInteractionLayer(this.nodes);
+            this.render();
+        }
+    }
+    
+    /**
+     * 松开拖动的节点：模拟冷却后停止
+     */
+    endDrag() {
+        if (this.simulation && !this.transition) {
+            this.simulation.alphaTarget(0);
+        }
+    }
+    
+    /**
+     * 解除固定，模拟从当前状态轻轻重新加热（固定位置的布局中节点回到布局位置）
+     * @param {Array} nodes - 默认所有节点
+     */
+    unpin(nodes = this.nodes) {
+        nodes.forEach(node => {
+            node.fx = null;
+            node.fy = null;
+        });
+        if (this.simulation && !this.transition) {
+            this.simulation.alpha(Math.max(this.simulation.alpha(), 0.3)).restart();
+        }
+        this.render();
+    }
+    
+    /**
+     * 当前的排列（位置、固定和缩放），见 arrangementStore.js
+     */
+    captureArrangement(name) {
+        return captureArrangement(this.nodes, this.transform, {
+            name,
+            layout: this.config.layout,
+            dataset: this.data?.cache?.dataset ?? null
+        });
+    }
+    
+    /**
+     * 恢复保存的排列：停止模拟和过渡，节点放回保存的位置，画面恢复保存的缩放和平移；布局设置不变
+     * @returns {number} 放回的人数
+     */
+    restoreArrangement(arrangement) {
+        if (!this.nodes.length) return 0;
+        this.layoutJob?.abort();
+        this.layoutJob = null;
+        this.transition?.stop();
+        this.transition = null;
+        this.simulation?.stop();
+        
+        const restored = applyArrangement(arrangement, this.nodes);
+        console.log(`恢复排列 "${arrangement.name}"：${restored} / ${Object.keys(arrangement.positions).length} 人`);
+        const { x, y, k } = arrangement.transform;
+        this.svg.call(this.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+        this.interactionHandler.updateInteractionLayer(this.nodes);
+        this.render();
+        return restored;
+    }
+    
+    /**
+     * 在Clear Cache旁边显示缓存了几个数据集、多少条结果；不使用缓存时禁用缓存按钮
+     */
+    async updateCacheStats() {
+        if (!this.datasetCache) {
+            d3.selectAll('#clear-cache, #forget-dataset').property('disabled', true);
+            d3.select('#cache-stats').text('Cache off');
+            return;
+        }
+        const { entries, datasets } = await this.datasetCache.stats();
+        d3.select('#cache-stats').text(`${datasets} ${datasets === 1 ? 'dataset' : 'datasets'} · ${entries} cached`);
+    }
+    
+    /**
+     * 把当前数据集的参与者导出为JSON文件；每个人经过 exportView()，只包含其同意级别允许的字段
+     */
+    exportParticipants() {
+        if (!this.data?.participants?.length) return;
+        const participants = this.data.participants.map(exportView);
+        // 向量可能是typed array，转成普通数组以便写成JSON
+        const json = JSON.stringify({ participants }, (key, value) => ArrayBuffer.isView(value) ? Array.from(value) : value);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'participants.export.json';
+        link.click();
+        URL.revokeObjectURL(url);
+        console.log(`导出 ${participants.length} 个参与者（按同意级别过滤）`);
+    }
+    
     resetView() {
         // 重置zoom变换
         this.transform = d3.zoomIdentity;
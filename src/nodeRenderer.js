@@ -50,7 +50,7 @@ export class NodeRenderer {
         const props = node.visual_properties || {};
         const x = node.x || 0;
         const y = node.y || 0;
-        const radius = props.size || 10;
+        const radius = (props.size || 10) * (node.sizeScale ?? 1);
         const color = props.color || '#667eea';
         const opacity = props.opacity || 0.8;
         
@@ -0,0 +1,555 @@
+/**
+ * 嵌入投影
+ * 把参与者的向量（semantic、emotion或unified）投影到二维平面，屏幕上的距离对应意义上的距离：
+ * - pca：前两个主成分（幂迭代），最快，保留整体的结构，但挤在一起的群组分不开
+ * - tsne：t-SNE（k近邻上的稀疏相似度 + Barnes-Hut近似的斥力），群组分得最清楚，群组之间的距离意义不大
+ * - umap：UMAP（模糊k近邻图 + 带负采样的随机梯度下降），兼顾局部的群组和整体的结构
+ * 向量在 SimilarityIndex 中已经归一化，欧氏距离与余弦相似度一一对应；t-SNE和UMAP都从PCA的结果开始优化，
+ * 所有随机性来自固定的种子，同一份数据每次得到相同的布局
+ * 由 computeTasks.js 的projection任务在计算Worker中执行
+ */
+
+import { neighborsOf } from './similarityIndex.js';
+import { ANN_AUTO_THRESHOLD, buildAnnNeighbors } from './annIndex.js';
+import { createRandom } from './random.js';
+
+export const PROJECTION_METHODS = [
+    { id: 'pca', label: 'PCA' },
+    { id: 'tsne', label: 't-SNE' },
+    { id: 'umap', label: 'UMAP' }
+];
+
+// UMAP的低维相似度曲线 1 / (1 + a·d^(2b))，对应min_dist = 0.1、spread = 1（与umap-learn的默认值相同）
+const UMAP_A = 1.577;
+const UMAP_B = 0.8951;
+
+/**
+ * 这种布局是否为投影布局
+ */
+export function isProjection(layout) {
+    return PROJECTION_METHODS.some(method => method.id === layout);
+}
+
+export class EmbeddingProjector {
+    /**
+     * @param {Object} options
+     *   - seed: number (随机种子，默认42)
+     *   - perplexity: number (t-SNE的困惑度，默认30，人数少时自动减小)
+     *   - iterations: number (t-SNE的迭代次数，默认750，其中前250次放大吸引力)
+     *   - theta: number (Barnes-Hut的精度，越小越精确也越慢，默认0.5)
+     *   - neighbors: number (UMAP的近邻数，默认15)
+     *   - epochs: number|null (UMAP的训练轮数，默认人数不超过10000时500，否则200)
+     *   - exactLimit: number (人数不超过它时用精确k近邻，否则用近似索引，默认同 ANN_AUTO_THRESHOLD)
+     */
+    constructor(options = {}) {
+        this.options = {
+            seed: 42,
+            perplexity: 30,
+            iterations: 750,
+            theta: 0.5,
+            neighbors: 15,
+            epochs: null,
+            exactLimit: ANN_AUTO_THRESHOLD,
+            ...options
+        };
+    }
+    
+    /**
+     * @param {SimilarityIndex} index
+     * @param {string} method - PROJECTION_METHODS中的id
+     * @param {Function|null} onProgress - (fraction) => void
+     * @returns {Float32Array} 第i个人的坐标为 [2i, 2i + 1]；没有有效向量的人为NaN
+     */
+    project(index, method, onProgress = null) {
+        if (!isProjection(method)) {
+            throw new Error(`未知的投影方法: ${method}（可选: ${PROJECTION_METHODS.map(m => m.id).join(', ')}）`);
+        }
+        
+        const rows = [];
+        for (let i = 0; i < index.count; i++) {
+            if (index.valid[i]) rows.push(i);
+        }
+        const random = createRandom(this.options.seed);
+        const progress = onProgress || (() => {});
+        
+        // 人太少时t-SNE和UMAP没有意义，只做PCA
+        let embedding;
+        if (method === 'pca' || rows.length < 4) {
+            embedding = this.pca(index, rows, random, progress);
+        } else if (method === 'tsne') {
+            embedding = this.tsne(index, rows, random, progress);
+        } else {
+            embedding = this.umap(index, rows, random, progress);
+        }
+        progress(1);
+        
+        const coordinates = new Float32Array(index.count * 2).fill(NaN);
+        rows.forEach((i, r) => {
+            coordinates[2 * i] = embedding[2 * r];
+            coordinates[2 * i + 1] = embedding[2 * r + 1];
+        });
+        return coordinates;
+    }
+    
+    /**
+     * 前两个主成分上的坐标：协方差矩阵的幂迭代（不显式构造矩阵），第二个主成分每步与第一个正交化
+     * 每个主成分的符号取绝对值最大的分量为正，结果与迭代的初值无关
+     * @returns {Float64Array} 第r个有效向量的坐标为 [2r, 2r + 1]
+     */
+    pca(index, rows, random, onProgress) {
+        const dims = index.dims;
+        const mean = new Float64Array(dims);
+        rows.forEach(i => {
+            const row = index.row(i);
+            for (let d = 0; d < dims; d++) mean[d] += row[d] / rows.length;
+        });
+        
+        const components = [];
+        const centered = new Float64Array(dims);
+        for (let c = 0; c < 2; c++) {
+            let v = Float64Array.from({ length: dims }, () => random() - 0.5);
+            normalizeInPlace(v);
+            for (let iteration = 0; iteration < 100; iteration++) {
+                const w = new Float64Array(dims);
+                rows.forEach(i => {
+                    const row = index.row(i);
+                    let s = 0;
+                    for (let d = 0; d < dims; d++) {
+                        centered[d] = row[d] - mean[d];
+                        s += centered[d] * v[d];
+                    }
+                    for (let d = 0; d < dims; d++) w[d] += s * centered[d];
+                });
+                components.forEach(u => subtractProjection(w, u));
+                // 所有人的向量相同（没有方差）时保留初值
+                if (!normalizeInPlace(w)) break;
+                const change = 1 - Math.abs(dot(w, v));
+                v = w;
+                if (change < 1e-9) break;
+            }
+            let largest = 0;
+            for (let d = 0; d < dims; d++) {
+                if (Math.abs(v[d]) > Math.abs(v[largest])) largest = d;
+            }
+            if (v[largest] < 0) v = v.map(x => -x);
+            components.push(v);
+            onProgress((c + 1) / 2 * 0.2);
+        }
+        
+        const embedding = new Float64Array(rows.length * 2);
+        rows.forEach((i, r) => {
+            const row = index.row(i);
+            for (let d = 0; d < dims; d++) {
+                const x = row[d] - mean[d];
+                embedding[2 * r] += x * components[0][d];
+                embedding[2 * r + 1] += x * components[1][d];
+            }
+        });
+        return embedding;
+    }
+    
+    /**
+     * t-SNE（van der Maaten 2014）：高维相似度只在3×perplexity个近邻上计算，斥力用四叉树近似，每次迭代 O(n log n)
+     */
+    tsne(index, rows, random, onProgress) {
+        const m = rows.length;
+        const perplexity = Math.max(2, Math.min(this.options.perplexity, (m - 1) / 3));
+        const k = Math.min(m - 1, Math.floor(3 * perplexity));
+        const graph = this.neighborGraph(index, rows, k, fraction => onProgress(fraction * 0.2));
+        
+        // 每个人的条件概率 p(j|i)：二分查找高斯核的精度，使分布的熵等于 log(perplexity)；
+        // 单位向量之间的平方距离为 2(1 - 余弦相似度)
+        const target = Math.log(perplexity);
+        const conditional = new Map();
+        graph.forEach((list, r) => {
+            if (list.length === 0) return;
+            const distances = list.map(({ similarity }) => 2 * (1 - similarity));
+            const nearest = Math.min(...distances);
+            let beta = 1;
+            let low = 0;
+            let high = Infinity;
+            let weights = [];
+            let sum = 0;
+            for (let step = 0; step < 64; step++) {
+                weights = distances.map(d => Math.exp(-(d - nearest) * beta));
+                sum = weights.reduce((a, b) => a + b, 0);
+                const entropy = Math.log(sum) + beta * distances.reduce((h, d, j) => h + (d - nearest) * weights[j], 0) / sum;
+                if (Math.abs(entropy - target) < 1e-5) break;
+                if (entropy > target) {
+                    low = beta;
+                    beta = high === Infinity ? beta * 2 : (beta + high) / 2;
+                } else {
+                    high = beta;
+                    beta = (beta + low) / 2;
+                }
+            }
+            list.forEach(({ local }, j) => conditional.set(r * m + local, weights[j] / sum));
+        });
+        
+        // 对称化：p_ij = (p(j|i) + p(i|j)) / 2n，每对只保留一次
+        const heads = [];
+        const tails = [];
+        const affinities = [];
+        conditional.forEach((p, key) => {
+            const r = Math.floor(key / m);
+            const s = key - r * m;
+            const reverse = conditional.get(s * m + r) || 0;
+            if (reverse > 0 && s < r) return;
+            heads.push(r);
+            tails.push(s);
+            affinities.push((p + reverse) / (2 * m));
+        });
+        
+        // 从缩小到标准差1e-4的PCA坐标开始（比随机初始化更稳定，也更能保留整体结构）
+        const y = this.pca(index, rows, random, () => {});
+        const scale = 1e-4 / (standardDeviation(y) || 1);
+        for (let t = 0; t < y.length; t++) y[t] *= scale;
+        
+        const iterations = this.options.iterations;
+        const exaggerationIterations = Math.min(250, Math.floor(iterations / 3));
+        const learningRate = Math.max(200, m / 12);
+        const update = new Float64Array(2 * m);
+        const gains = new Float64Array(2 * m).fill(1);
+        const gradient = new Float64Array(2 * m);
+        const repulsion = new Float64Array(2 * m);
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const early = iteration < exaggerationIterations;
+            const exaggeration = early ? 12 : 1;
+            const momentum = early ? 0.5 : 0.8;
+            
+            // 吸引力：只在近邻之间
+            gradient.fill(0);
+            for (let e = 0; e < heads.length; e++) {
+                const a = heads[e];
+                const b = tails[e];
+                const dx = y[2 * a] - y[2 * b];
+                const dy = y[2 * a + 1] - y[2 * b + 1];
+                const force = exaggeration * affinities[e] / (1 + dx * dx + dy * dy);
+                gradient[2 * a] += force * dx;
+                gradient[2 * a + 1] += force * dy;
+                gradient[2 * b] -= force * dx;
+                gradient[2 * b + 1] -= force * dy;
+            }
+            
+            // 斥力：四叉树中离得足够远的一格当作一个质点
+            const tree = new QuadTree(y, m);
+            repulsion.fill(0);
+            let normalization = 0;
+            for (let r = 0; r < m; r++) {
+                normalization += tree.repulsion(r, this.options.theta, repulsion);
+            }
+            
+            for (let t = 0; t < 2 * m; t++) {
+                const g = 4 * (gradient[t] - repulsion[t] / normalization);
+                gains[t] = Math.sign(g) !== Math.sign(update[t]) ? gains[t] + 0.2 : Math.max(0.01, gains[t] * 0.8);
+                update[t] = momentum * update[t] - learningRate * gains[t] * g;
+                y[t] += update[t];
+            }
+            center(y);
+            
+            if (iteration % 25 === 0) onProgress(0.2 + 0.8 * iteration / iterations);
+        }
+        return y;
+    }
+    
+    /**
+     * UMAP（McInnes et al. 2018）：k近邻上的模糊集合（每个人到最近邻居的距离为0、其余按局部尺度衰减，再取并集），
+     * 然后在低维上按边的权重采样做随机梯度下降，每次吸引一对近邻、推开几个随机的人
+     */
+    umap(index, rows, random, onProgress) {
+        const m = rows.length;
+        const k = Math.min(this.options.neighbors, m - 1);
+        const graph = this.neighborGraph(index, rows, k, fraction => onProgress(fraction * 0.2));
+        
+        // 局部尺度：Σ exp(-(d - ρ)/σ) = log2(k)，ρ为到最近邻居的距离（1 - 余弦相似度）
+        const target = Math.log2(k);
+        const memberships = new Map();
+        graph.forEach((list, r) => {
+            if (list.length === 0) return;
+            const distances = list.map(({ similarity }) => Math.max(0, 1 - similarity));
+            const rho = distances.find(d => d > 0) ?? 0;
+            const meanDistance = distances.reduce((a, b) => a + b, 0) / distances.length;
+            let sigma = 1;
+            let low = 0;
+            let high = Infinity;
+            for (let step = 0; step < 64; step++) {
+                const sum = distances.reduce((s, d) => s + Math.exp(-Math.max(0, d - rho) / sigma), 0);
+                if (Math.abs(sum - target) < 1e-5) break;
+                if (sum > target) {
+                    high = sigma;
+                    sigma = (sigma + low) / 2;
+                } else {
+                    low = sigma;
+                    sigma = high === Infinity ? sigma * 2 : (sigma + high) / 2;
+                }
+            }
+            sigma = Math.max(sigma, 1e-3 * meanDistance);
+            list.forEach(({ local }, j) => {
+                memberships.set(r * m + local, Math.exp(-Math.max(0, distances[j] - rho) / sigma));
+            });
+        });
+        
+        // 模糊并集 a + b - ab；两个方向都保留（SGD中每条边的两端都会移动）
+        const heads = [];
+        const tails = [];
+        const weights = [];
+        memberships.forEach((w, key) => {
+            const r = Math.floor(key / m);
+            const s = key - r * m;
+            const reverse = memberships.get(s * m + r) || 0;
+            const union = w + reverse - w * reverse;
+            heads.push(r, s);
+            tails.push(s, r);
+            weights.push(union, union);
+            // 反方向已经在这里加入，不再重复
+            memberships.delete(s * m + r);
+        });
+        
+        // 从PCA的结果开始，缩放到 [-10, 10]
+        const y = this.pca(index, rows, random, () => {});
+        const extent = y.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+        for (let t = 0; t < y.length; t++) y[t] *= 10 / extent;
+        
+        const epochs = this.options.epochs ?? (m <= 10000 ? 500 : 200);
+        const maxWeight = weights.reduce((max, w) => Math.max(max, w), 0);
+        const negativeRate = 5;
+        const perSample = weights.map(w => w >= maxWeight / epochs ? maxWeight / w : -1);
+        const nextSample = perSample.slice();
+        const perNegative = perSample.map(p => p / negativeRate);
+        const nextNegative = perNegative.slice();
+        const clip = (g) => Math.max(-4, Math.min(4, g));
+        
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            const alpha = 1 - epoch / epochs;
+            for (let e = 0; e < heads.length; e++) {
+                if (perSample[e] < 0 || nextSample[e] > epoch) continue;
+                const a = heads[e];
+                const b = tails[e];
+                
+                let dx = y[2 * a] - y[2 * b];
+                let dy = y[2 * a + 1] - y[2 * b + 1];
+                let distance = dx * dx + dy * dy;
+                if (distance > 0) {
+                    const coefficient = -2 * UMAP_A * UMAP_B * Math.pow(distance, UMAP_B - 1) / (UMAP_A * Math.pow(distance, UMAP_B) + 1);
+                    const gx = clip(coefficient * dx) * alpha;
+                    const gy = clip(coefficient * dy) * alpha;
+                    y[2 * a] += gx;
+                    y[2 * a + 1] += gy;
+                    y[2 * b] -= gx;
+                    y[2 * b + 1] -= gy;
+                }
+                nextSample[e] += perSample[e];
+                
+                const negatives = Math.floor((epoch - nextNegative[e]) / perNegative[e]);
+                for (let s = 0; s < negatives; s++) {
+                    const c = Math.floor(random() * m);
+                    if (c === a) continue;
+                    dx = y[2 * a] - y[2 * c];
+                    dy = y[2 * a + 1] - y[2 * c + 1];
+                    distance = dx * dx + dy * dy;
+                    if (distance > 0) {
+                        const coefficient = 2 * UMAP_B / ((0.001 + distance) * (UMAP_A * Math.pow(distance, UMAP_B) + 1));
+                        y[2 * a] += clip(coefficient * dx) * alpha;
+                        y[2 * a + 1] += clip(coefficient * dy) * alpha;
+                    } else {
+                        y[2 * a] += 4 * alpha;
+                        y[2 * a + 1] += 4 * alpha;
+                    }
+                }
+                nextNegative[e] += negatives * perNegative[e];
+            }
+            if (epoch % 10 === 0) onProgress(0.2 + 0.8 * epoch / epochs);
+        }
+        return y;
+    }
+    
+    /**
+     * 有效向量之间的k近邻（人数多时用近似索引），邻居的编号换成在rows中的位置
+     * @returns {Array<Array<{local, similarity}>>} 顺序同rows
+     */
+    neighborGraph(index, rows, k, onProgress) {
+        const neighbors = index.count <= this.options.exactLimit
+            ? index.topK(k, { onProgress })
+            : buildAnnNeighbors(index, 'fast', k, { onProgress }).neighbors;
+        const local = new Int32Array(index.count).fill(-1);
+        rows.forEach((i, r) => {
+            local[i] = r;
+        });
+        return rows.map(i => neighborsOf(neighbors, i)
+            .filter(({ index: j }) => local[j] >= 0)
+            .map(({ index: j, similarity }) => ({ local: local[j], similarity })));
+    }
+}
+
+/**
+ * t-SNE斥力用的四叉树：每个格子记录其中的人数和质心，叶子最多一个人（重合的点在最大深度处合并）
+ */
+class QuadTree {
+    /**
+     * @param {Float64Array} positions - 第r个点的坐标为 [2r, 2r + 1]
+     * @param {number} count
+     */
+    constructor(positions, count) {
+        this.positions = positions;
+        this.x0 = [];
+        this.y0 = [];
+        this.size = [];
+        this.mass = [];
+        this.cx = [];
+        this.cy = [];
+        this.child = [];
+        this.point = [];
+        
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        for (let r = 0; r < count; r++) {
+            minX = Math.min(minX, positions[2 * r]);
+            maxX = Math.max(maxX, positions[2 * r]);
+            minY = Math.min(minY, positions[2 * r + 1]);
+            maxY = Math.max(maxY, positions[2 * r + 1]);
+        }
+        const size = Math.max(maxX - minX, maxY - minY) * (1 + 1e-6) || 1;
+        this.addNode(minX, minY, size);
+        for (let r = 0; r < count; r++) this.insert(r);
+        
+        for (let node = 0; node < this.mass.length; node++) {
+            if (this.mass[node] > 0) {
+                this.cx[node] /= this.mass[node];
+                this.cy[node] /= this.mass[node];
+            }
+        }
+    }
+    
+    addNode(x0, y0, size) {
+        this.x0.push(x0);
+        this.y0.push(y0);
+        this.size.push(size);
+        this.mass.push(0);
+        this.cx.push(0);
+        this.cy.push(0);
+        this.child.push(-1);
+        this.point.push(-1);
+        return this.mass.length - 1;
+    }
+    
+    insert(r) {
+        const x = this.positions[2 * r];
+        const y = this.positions[2 * r + 1];
+        let node = 0;
+        for (let depth = 0; ; depth++) {
+            this.mass[node]++;
+            this.cx[node] += x;
+            this.cy[node] += y;
+            if (this.child[node] < 0) {
+                if (this.mass[node] === 1) {
+                    this.point[node] = r;
+                    return;
+                }
+                if (depth >= 48) return;
+                
+                // 分裂：原来的点移到子格中
+                const existing = this.point[node];
+                const half = this.size[node] / 2;
+                this.point[node] = -1;
+                this.child[node] = this.mass.length;
+                for (let q = 0; q < 4; q++) {
+                    this.addNode(this.x0[node] + (q & 1) * half, this.y0[node] + (q >> 1) * half, half);
+                }
+                const ex = this.positions[2 * existing];
+                const ey = this.positions[2 * existing + 1];
+                const moved = this.childFor(node, ex, ey);
+                this.mass[moved] = 1;
+                this.cx[moved] = ex;
+                this.cy[moved] = ey;
+                this.point[moved] = existing;
+            }
+            node = this.childFor(node, x, y);
+        }
+    }
+    
+    childFor(node, x, y) {
+        const half = this.size[node] / 2;
+        return this.child[node] + (x >= this.x0[node] + half ? 1 : 0) + (y >= this.y0[node] + half ? 2 : 0);
+    }
+    
+    /**
+     * 第r个点受到的（未归一化的）斥力 Σ q²(y_r - y_j)，加到forces中
+     * @returns {number} Σ q，q = 1 / (1 + |y_r - y_j|²)，用于归一化
+     */
+    repulsion(r, theta, forces) {
+        const x = this.positions[2 * r];
+        const y = this.positions[2 * r + 1];
+        let sum = 0;
+        let fx = 0;
+        let fy = 0;
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const mass = this.mass[node];
+            if (mass === 0) continue;
+            const leaf = this.child[node] < 0;
+            if (leaf && this.point[node] === r) {
+                // 与自己重合的其他点：q = 1，没有方向
+                sum += mass - 1;
+                continue;
+            }
+            const dx = x - this.cx[node];
+            const dy = y - this.cy[node];
+            const distance = dx * dx + dy * dy;
+            if (leaf || this.size[node] * this.size[node] < theta * theta * distance) {
+                const q = 1 / (1 + distance);
+                const weighted = mass * q;
+                sum += weighted;
+                fx += weighted * q * dx;
+                fy += weighted * q * dy;
+            } else {
+                const first = this.child[node];
+                stack.push(first, first + 1, first + 2, first + 3);
+            }
+        }
+        forces[2 * r] += fx;
+        forces[2 * r + 1] += fy;
+        return sum;
+    }
+}
+
+function dot(a, b) {
+    let s = 0;
+    for (let d = 0; d < a.length; d++) s += a[d] * b[d];
+    return s;
+}
+
+/**
+ * 归一化为单位向量；零向量时返回false
+ */
+function normalizeInPlace(v) {
+    const norm = Math.sqrt(dot(v, v));
+    if (!(norm > 1e-12)) return false;
+    for (let d = 0; d < v.length; d++) v[d] /= norm;
+    return true;
+}
+
+function subtractProjection(w, u) {
+    const s = dot(w, u);
+    for (let d = 0; d < w.length; d++) w[d] -= s * u[d];
+}
+
+function center(y) {
+    const m = y.length / 2;
+    let mx = 0;
+    let my = 0;
+    for (let r = 0; r < m; r++) {
+        mx += y[2 * r] / m;
+        my += y[2 * r + 1] / m;
+    }
+    for (let r = 0; r < m; r++) {
+        y[2 * r] -= mx;
+        y[2 * r + 1] -= my;
+    }
+}
+
+function standardDeviation(y) {
+    const mean = y.reduce((a, b) => a + b, 0) / y.length;
+    return Math.sqrt(y.reduce((s, v) => s + (v - mean) ** 2, 0) / y.length);
+}
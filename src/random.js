@@ -0,0 +1,20 @@
+/**
+ * 带种子的伪随机数
+ * 聚类、主题模型、近似索引、投影和层次聚类共用，同一个种子每次得到相同的序列，结果可复现
+ */
+
+/**
+ * 带种子的伪随机数生成器（mulberry32）
+ * @param {number} seed
+ * @returns {() => number} 每次调用返回 [0, 1) 之间的数
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
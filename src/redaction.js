@@ -0,0 +1,204 @@
+/**
+ * 个人信息脱敏模块
+ * 在DataLoader中对访谈文本统一脱敏一次：按规则（邮箱、电话、网址、地址、"my name is …"、"work at …"等）
+ * 和名单（人名、地名、雇主）把匹配到的片段替换为占位符，并记录审计信息（类型、位置、长度，不含原文）
+ * Story面板、悬停引用和群体视图拿到的都是脱敏后的文本；原文只在DataLoader中保留，解锁研究者模式后才能读取
+ */
+
+// 占位符样式
+export const PLACEHOLDER_STYLES = ['label', 'numbered', 'mask', 'remove'];
+
+// 内置规则：pattern必须带g标志；group指定只替换某个捕获组（如 "my name is Maria" 中的 Maria）；
+// minDigits用于过滤年份、编号等数字较少的误匹配；reject(value) 为true的匹配同样跳过
+const DEFAULT_RULES = [
+    { id: 'email', type: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+    { id: 'url', type: 'url', pattern: /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+/gi },
+    {
+        id: 'phone',
+        type: 'phone',
+        pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}/g,
+        minDigits: 9,
+        // 访谈中常见的一串年份（"1998 2003 2007"）：没有+或括号区号、每组都是19xx/20xx时不算电话
+        reject: value => !/[+(]/.test(value) && value.split(/[\s.-]+/).every(group => /^(?:19|20)\d{2}$/.test(group))
+    },
+    { id: 'street-address', type: 'address', pattern: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Way|Court|Ct|Place|Pl|Close|Crescent|Terrace)\b\.?/g },
+    { id: 'uk-postcode', type: 'address', pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/g },
+    { id: 'self-introduction', type: 'name', pattern: /\b(?:[Mm]y name is|[Mm]y name's|I'm called|[Cc]all me)\s+([A-Z][\w'-]+(?:\s+[A-Z][\w'-]+)?)/g, group: 1 },
+    { id: 'employer', type: 'employer', pattern: /\b(?:work(?:s|ed|ing)?\s+(?:at|for)|employed\s+(?:at|by)|job\s+at)\s+((?:the\s+)?[A-Z][\w&'.-]*(?:\s+(?:&\s+)?[A-Z][\w&'.-]*){0,3})/g, group: 1 }
+];
+
+// 占位符中的类型名
+const TYPE_LABELS = {
+    name: 'NAME',
+    place: 'PLACE',
+    employer: 'EMPLOYER',
+    email: 'EMAIL',
+    phone: 'PHONE',
+    url: 'URL',
+    address: 'ADDRESS'
+};
+
+export class Redactor {
+    /**
+     * @param {Object} options
+     *   - names: Array<string|{text, type}> (要遮盖的名单，如人名、地名、雇主；字符串默认为name类型)
+     *   - patterns: Array<{id, type, pattern, flags, group}> (额外的规则，pattern可以是正则或字符串)
+     *   - disable: string[] (关闭的内置规则id，如 'phone')
+     *   - placeholder: 'label' | 'numbered' | 'mask' | 'remove'
+     *     (label：[NAME]；numbered：同一参与者中相同的原文编号一致，如 [NAME 1]；mask：与原文等长的█（最多12个）；remove：[…]，默认label)
+     *   - enabled: boolean (默认true；为false时不做任何替换)
+     */
+    constructor(options = {}) {
+        this.options = {
+            names: [],
+            patterns: [],
+            disable: [],
+            placeholder: 'label',
+            enabled: true,
+            ...options
+        };
+        if (!PLACEHOLDER_STYLES.includes(this.options.placeholder)) {
+            throw new Error(`未知的占位符样式: ${this.options.placeholder}（可选: ${PLACEHOLDER_STYLES.join(', ')}）`);
+        }
+        this.rules = this.buildRules();
+    }
+    
+    buildRules() {
+        const disabled = new Set(this.options.disable);
+        const rules = DEFAULT_RULES.filter(rule => !disabled.has(rule.id));
+        
+        this.options.patterns.forEach((rule, i) => {
+            const pattern = rule.pattern instanceof RegExp
+                ? new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`)
+                : new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`);
+            rules.push({ id: rule.id || `pattern-${i + 1}`, type: rule.type || 'name', pattern, group: rule.group || 0 });
+        });
+        
+        // 名单按类型合并成一个正则，长的在前（"Maria Lopez" 优先于 "Maria"），忽略大小写
+        const byType = new Map();
+        this.options.names.forEach(entry => {
+            const text = (typeof entry === 'string' ? entry : entry?.text || '').trim();
+            if (!text) return;
+            const type = typeof entry === 'string' ? 'name' : entry.type || 'name';
+            if (!byType.has(type)) byType.set(type, []);
+            byType.get(type).push(text);
+        });
+        byType.forEach((texts, type) => {
+            const alternatives = [...new Set(texts)]
+                .sort((a, b) => b.length - a.length)
+                .map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+            rules.push({
+                id: `names:${type}`,
+                type,
+                pattern: new RegExp(`(?<![\\w'])(?:${alternatives.join('|')})(?![\\w'])`, 'gi')
+            });
+        });
+        
+        return rules;
+    }
+    
+    /**
+     * 新的编号作用域：numbered样式下，同一作用域中相同的原文使用相同的编号（通常每个参与者一个作用域）
+     */
+    scope() {
+        return { numbers: new Map(), counts: {} };
+    }
+    
+    /**
+     * 脱敏一段文本
+     * @param {string} text
+     * @param {Object} scope - scope() 的返回值，不提供时单独编号
+     * @returns {{text: string, spans: Array<{rule, type, start, length, placeholder}>}}
+     *   spans的位置是原文中的位置；不记录被遮盖的原文
+     */
+    redact(text, scope = this.scope()) {
+        if (!this.options.enabled || typeof text !== 'string' || !text) {
+            return { text: text || '', spans: [] };
+        }
+        
+        const matches = [];
+        this.rules.forEach(rule => {
+            rule.pattern.lastIndex = 0;
+            let match;
+            while ((match = rule.pattern.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    rule.pattern.lastIndex++;
+                    continue;
+                }
+                const value = rule.group ? match[rule.group] : match[0];
+                if (!value) continue;
+                if (rule.minDigits && value.replace(/\D/g, '').length < rule.minDigits) continue;
+                if (rule.reject && rule.reject(value)) continue;
+                
+                const start = match.index + (rule.group ? match[0].indexOf(value) : 0);
+                // 捕获组末尾的句号和空白不算在内（"worked at Tesco." 只遮盖 Tesco）
+                const trimmed = value.replace(/[\s.]+$/, '');
+                matches.push({ rule: rule.id, type: rule.type, start, end: start + trimmed.length, value: trimmed });
+            }
+        });
+        if (matches.length === 0) return { text, spans: [] };
+        
+        // 重叠的匹配只保留先开始的（同时开始时保留较长的）
+        matches.sort((a, b) => a.start - b.start || b.end - a.end);
+        const kept = [];
+        matches.forEach(match => {
+            const last = kept[kept.length - 1];
+            if (!last || match.start >= last.end) kept.push(match);
+        });
+        
+        let output = '';
+        let cursor = 0;
+        const spans = kept.map(match => {
+            const placeholder = this.placeholder(match, scope);
+            output += text.slice(cursor, match.start) + placeholder;
+            cursor = match.end;
+            return { rule: match.rule, type: match.type, start: match.start, length: match.end - match.start, placeholder };
+        });
+        output += text.slice(cursor);
+        return { text: output, spans };
+    }
+    
+    placeholder(match, scope) {
+        const label = TYPE_LABELS[match.type] || match.type.toUpperCase();
+        switch (this.options.placeholder) {
+            case 'numbered': {
+                const key = `${match.type}:${match.value.toLowerCase().replace(/\s+/g, ' ')}`;
+                if (!scope.numbers.has(key)) {
+                    scope.counts[match.type] = (scope.counts[match.type] || 0) + 1;
+                    scope.numbers.set(key, scope.counts[match.type]);
+                }
+                return `[${label} ${scope.numbers.get(key)}]`;
+            }
+            case 'mask':
+                return '█'.repeat(Math.min(match.value.length, 12));
+            case 'remove':
+                return '[…]';
+            default:
+                return `[${label}]`;
+        }
+    }
+}
+
+/**
+ * 把名单文件（每行一个；可写成 "类型,文本" 或 "类型<Tab>文本"，如 "place,Leeds"；# 开头为注释）解析为names选项
+ */
+export function parseNameList(text) {
+    return String(text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const match = line.match(/^(name|place|employer)\s*[\t,]\s*(.+)$/i);
+            return match ? { type: match[1].toLowerCase(), text: match[2].trim() } : line;
+        });
+}
+
+/**
+ * 计算口令的SHA-256（十六进制），用于和配置中的 researcherKey 比较
+ */
+export async function digestPassphrase(passphrase) {
+    const bytes = new TextEncoder().encode(String(passphrase));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
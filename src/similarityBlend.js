@@ -0,0 +1,219 @@
+/**
+ * 混合相似度
+ * Multidimensional维度默认使用预先计算的unified向量；研究者也可以按权重混合语义、情感、subjectivity特征和主题的相似度
+ * 每一部分先归一化为单位向量，再乘以 √(权重/权重和) 后拼接：拼接向量的余弦相似度正好是各部分余弦相似度的加权平均，
+ * 因此现有的k近邻索引、近似索引和聚类不需要任何改动
+ * 某人缺少某一部分（如没有情感向量）时这部分记为零，只降低他与别人的相似度，不影响别人之间的相似度
+ */
+
+import { SUBJECTIVITY_FEATURES, subjectivityVector } from './subjectivityExtractor.js';
+
+// 可以混合的部分，顺序即拼接的顺序
+export const BLEND_BLOCKS = [
+    { id: 'unified', label: 'Unified embedding', vector: p => p.isotype_signature?.unified },
+    { id: 'semantic', label: 'Semantic', vector: p => p.isotype_signature?.semantic },
+    { id: 'emotion', label: 'Emotion', vector: p => p.isotype_signature?.emotion },
+    { id: 'subjectivity', label: 'Subjectivity features', vector: p => subjectivityVector(p.subjectivity) },
+    { id: 'topic', label: 'Topic', vector: p => p.isotype_signature?.topic }
+];
+
+// 内置预设；第一项（只用unified向量）即原来的Multidimensional
+export const BUILTIN_PRESETS = [
+    { name: 'Unified embedding', weights: { unified: 1 } },
+    { name: 'Balanced blend', weights: { semantic: 1, emotion: 1, subjectivity: 1, topic: 1 } },
+    { name: 'How they feel', weights: { semantic: 0.25, emotion: 1, subjectivity: 0.75 } },
+    { name: 'What they talk about', weights: { semantic: 0.75, topic: 1 } },
+    { name: 'How they tell it', weights: { semantic: 0.25, subjectivity: 1 } }
+];
+
+export const DEFAULT_WEIGHTS = normalizeWeights(BUILTIN_PRESETS[0].weights);
+
+/**
+ * 补全所有部分的权重（缺失、负数或非数字记为0）；全部为0时退回默认权重
+ * @returns {Object} {unified, semantic, emotion, subjectivity, topic}
+ */
+export function normalizeWeights(weights = {}) {
+    const normalized = {};
+    BLEND_BLOCKS.forEach(block => {
+        const value = Number(weights[block.id]);
+        normalized[block.id] = Number.isFinite(value) && value > 0 ? value : 0;
+    });
+    const total = Object.values(normalized).reduce((a, b) => a + b, 0);
+    return total > 0 ? normalized : { ...DEFAULT_WEIGHTS };
+}
+
+/**
+ * 是否与默认的Multidimensional（只用unified向量）等价
+ */
+export function isDefaultBlend(weights) {
+    const normalized = normalizeWeights(weights);
+    return BLEND_BLOCKS.every(block => (normalized[block.id] > 0) === (block.id === 'unified'));
+}
+
+/**
+ * 按权重拼接每个参与者的向量
+ * subjectivity特征先在所有参与者上标准化（z-score），否则各项的取值范围不同，余弦相似度几乎总是接近1
+ * @param {Array} participants
+ * @param {Object} weights - 各部分的权重，见 normalizeWeights()
+ * @returns {Array<Float32Array|null>} 所有部分都缺失的人为null
+ */
+export function blendVectors(participants, weights) {
+    const normalized = normalizeWeights(weights);
+    const total = Object.values(normalized).reduce((a, b) => a + b, 0);
+    const blocks = BLEND_BLOCKS
+        .filter(block => normalized[block.id] > 0)
+        .map(block => {
+            let vectors = participants.map(block.vector);
+            if (block.id === 'subjectivity') vectors = standardizeFeatures(vectors);
+            const dims = commonLength(vectors);
+            return { dims, vectors, scale: Math.sqrt(normalized[block.id] / total) };
+        })
+        .filter(block => block.dims > 0);
+    
+    const dims = blocks.reduce((sum, block) => sum + block.dims, 0);
+    return participants.map((_, i) => {
+        const blended = new Float32Array(dims);
+        let offset = 0;
+        let present = false;
+        blocks.forEach(block => {
+            const vector = block.vectors[i];
+            if (vector && vector.length === block.dims) {
+                let norm = 0;
+                for (let d = 0; d < block.dims; d++) norm += vector[d] * vector[d];
+                if (norm > 0 && Number.isFinite(norm)) {
+                    const scale = block.scale / Math.sqrt(norm);
+                    for (let d = 0; d < block.dims; d++) blended[offset + d] = vector[d] * scale;
+                    present = true;
+                }
+            }
+            offset += block.dims;
+        });
+        return present ? blended : null;
+    });
+}
+
+/**
+ * 权重的简短描述，用于日志和提示，例如 "Semantic 40% · Topic 60%"
+ */
+export function describeWeights(weights) {
+    const normalized = normalizeWeights(weights);
+    const total = Object.values(normalized).reduce((a, b) => a + b, 0);
+    return BLEND_BLOCKS
+        .filter(block => normalized[block.id] > 0)
+        .map(block => `${block.label} ${Math.round(normalized[block.id] / total * 100)}%`)
+        .join(' · ');
+}
+
+/**
+ * 多数人共有的向量长度（与 SimilarityIndex 的取法一致）
+ */
+function commonLength(vectors) {
+    const counts = new Map();
+    vectors.forEach(vector => {
+        if (vector && vector.length > 0) counts.set(vector.length, (counts.get(vector.length) || 0) + 1);
+    });
+    let best = 0;
+    let bestCount = 0;
+    counts.forEach((count, length) => {
+        if (count > bestCount) {
+            best = length;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+/**
+ * subjectivity特征向量（subjectivityVector()的结果）的每个特征减去均值、除以标准差；所有人取值相同的特征记为0
+ * @returns {Array<number[]|null>}
+ */
+export function standardizeFeatures(vectors) {
+    const rows = vectors.filter(vector => vector && vector.length === SUBJECTIVITY_FEATURES.length);
+    if (rows.length === 0) return vectors;
+    
+    const mean = SUBJECTIVITY_FEATURES.map((_, d) => rows.reduce((sum, row) => sum + row[d], 0) / rows.length);
+    const std = SUBJECTIVITY_FEATURES.map((_, d) => Math.sqrt(rows.reduce((sum, row) => sum + (row[d] - mean[d]) ** 2, 0) / rows.length));
+    return vectors.map(vector => {
+        if (!vector || vector.length !== SUBJECTIVITY_FEATURES.length) return null;
+        return vector.map((value, d) => std[d] > 1e-9 ? (value - mean[d]) / std[d] : 0);
+    });
+}
+
+/**
+ * 保存在浏览器localStorage中的权重预设
+ */
+export class WeightPresetStore {
+    /**
+     * @param {Object} options
+     *   - storageKey: string (localStorage的键，默认 'jellysoul.similarityPresets')
+     */
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'jellysoul.similarityPresets',
+            ...options
+        };
+    }
+    
+    /**
+     * 内置预设和保存的预设
+     * @returns {Array<{name, weights, saved: boolean}>}
+     */
+    list() {
+        return [
+            ...BUILTIN_PRESETS.map(preset => ({ name: preset.name, weights: normalizeWeights(preset.weights), saved: false })),
+            ...this.readSaved().map(preset => ({ ...preset, saved: true }))
+        ];
+    }
+    
+    /**
+     * 保存预设，同名的保存预设会被覆盖；不能使用内置预设的名字
+     * @returns {boolean} 是否保存成功
+     */
+    save(name, weights) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed || BUILTIN_PRESETS.some(preset => preset.name === trimmed)) return false;
+        
+        const presets = this.readSaved().filter(preset => preset.name !== trimmed);
+        presets.push({ name: trimmed, weights: normalizeWeights(weights) });
+        return this.writeSaved(presets);
+    }
+    
+    remove(name) {
+        return this.writeSaved(this.readSaved().filter(preset => preset.name !== name));
+    }
+    
+    /**
+     * 与这组权重相同的预设名，没有时返回null
+     */
+    find(weights) {
+        const normalized = normalizeWeights(weights);
+        const total = Object.values(normalized).reduce((a, b) => a + b, 0);
+        const match = this.list().find(preset => {
+            const presetTotal = Object.values(preset.weights).reduce((a, b) => a + b, 0);
+            return BLEND_BLOCKS.every(block => Math.abs(preset.weights[block.id] / presetTotal - normalized[block.id] / total) < 1e-6);
+        });
+        return match ? match.name : null;
+    }
+    
+    readSaved() {
+        try {
+            const parsed = JSON.parse(globalThis.localStorage?.getItem(this.options.storageKey) || '[]');
+            return Array.isArray(parsed)
+                ? parsed.filter(preset => preset && typeof preset.name === 'string').map(preset => ({ name: preset.name, weights: normalizeWeights(preset.weights) }))
+                : [];
+        } catch (error) {
+            console.warn('读取权重预设失败:', error);
+            return [];
+        }
+    }
+    
+    writeSaved(presets) {
+        try {
+            globalThis.localStorage.setItem(this.options.storageKey, JSON.stringify(presets));
+            return true;
+        } catch (error) {
+            console.warn('保存权重预设失败:', error);
+            return false;
+        }
+    }
+}
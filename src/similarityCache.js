@@ -0,0 +1,66 @@
+/**
+ * 排好序的稀疏相似度
+ * k近邻图中的每一对（无向、去重）按相似度从高到低排列，相似度和两端的编号保存在typed array中
+ * 阈值为t时的连接就是相似度 ≥ t 的前缀（二分查找）；阈值从t0变为t1时只需要处理两者之间的一段：
+ * 调低阈值时加入这一段，调高时移除这一段，其余连接（以及节点位置）保持不变
+ * 同一份近邻只需要建立一次，拖动阈值不再重新计算相似度
+ */
+
+import { buildGraph } from './graphConstruction.js';
+
+export class SimilarityCache {
+    /**
+     * @param {Object} neighbors - SimilarityIndex.topK() 的结果
+     * @param {number} count - 参与者人数
+     */
+    constructor(neighbors, count) {
+        // 与 buildGraph 的topk方式相同的去重和方向（相似度不大于0的不算）
+        const edges = buildGraph(neighbors, count, { mode: 'topk' });
+        // 相似度相同时按首次出现的顺序，结果可复现
+        const order = edges.map((_, e) => e)
+            .sort((a, b) => edges[b].similarity - edges[a].similarity || a - b);
+        
+        this.neighbors = neighbors;
+        this.size = edges.length;
+        this.sources = Int32Array.from(order, e => edges[e].source);
+        this.targets = Int32Array.from(order, e => edges[e].target);
+        this.similarities = Float32Array.from(order, e => edges[e].similarity);
+    }
+    
+    /**
+     * 相似度不低于threshold的对数（它们是前 countAbove(threshold) 个）
+     */
+    countAbove(threshold) {
+        let low = 0;
+        let high = this.size;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.similarities[mid] >= threshold) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+    
+    /**
+     * 阈值从 from 变为 to 时需要加入或移除的一段
+     * @returns {{added: [number, number], removed: [number, number]}} 半开区间 [start, end)，没有变化的一方为空区间
+     */
+    changes(from, to) {
+        const before = this.countAbove(from);
+        const after = this.countAbove(to);
+        return after >= before
+            ? { added: [before, after], removed: [after, after] }
+            : { added: [after, after], removed: [after, before] };
+    }
+    
+    /**
+     * 第e对
+     * @returns {{source: number, target: number, similarity: number}}
+     */
+    edge(e) {
+        return { source: this.sources[e], target: this.targets[e], similarity: this.similarities[e] };
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * 精确的k近邻索引
+ * 把所有参与者的向量归一化后放进一块连续的Float32Array，余弦相似度就是点积；
+ * 按行块和列块分批计算上三角的点积（每对只算一次），为每个参与者保留最相似的k个邻居
+ * 结果只取决于向量本身：相似度相同时编号小的在前，同一份数据每次得到相同的邻居
+ */
+
+export class SimilarityIndex {
+    /**
+     * @param {Array<ArrayLike<number>>} vectors - 每个参与者的向量（维度不一致或缺失的视为零向量，与任何人的相似度都为0）
+     * @param {Object} options
+     *   - batchSize: number (分块计算时每块的行数，默认64)
+     */
+    constructor(vectors, options = {}) {
+        this.options = {
+            batchSize: 64,
+            ...options
+        };
+        this.count = vectors.length;
+        this.dims = this.commonLength(vectors);
+        this.data = new Float32Array(this.count * this.dims);
+        this.valid = new Uint8Array(this.count);
+        
+        vectors.forEach((vector, i) => {
+            const normalized = this.normalize(vector);
+            if (!normalized) return;
+            this.data.set(normalized, i * this.dims);
+            this.valid[i] = 1;
+        });
+    }
+    
+    /**
+     * 归一化为单位向量；维度不符、全零或含非有限值时返回null
+     * @returns {Float32Array|null}
+     */
+    normalize(vector) {
+        if (!vector || vector.length !== this.dims) return null;
+        let norm = 0;
+        for (let d = 0; d < this.dims; d++) {
+            norm += vector[d] * vector[d];
+        }
+        if (!(norm > 0) || !Number.isFinite(norm)) return null;
+        
+        const scale = 1 / Math.sqrt(norm);
+        const normalized = new Float32Array(this.dims);
+        for (let d = 0; d < this.dims; d++) {
+            normalized[d] = vector[d] * scale;
+        }
+        return normalized;
+    }
+    
+    /**
+     * 第i个参与者归一化后的向量（共享内存的视图，不要修改）
+     */
+    row(i) {
+        return this.data.subarray(i * this.dims, (i + 1) * this.dims);
+    }
+    
+    /**
+     * 按可视化维度取节点的向量建立索引
+     * @param {Array} nodes
+     * @param {string} dimension - 'multidimensional' 使用unified向量，其余使用同名向量；
+     *   缺失的向量（如流式预览中还没计算的Experience和Topic）记为缺失，不退回semantic
+     */
+    static fromNodes(nodes, dimension, options = {}) {
+        const vectors = nodes.map(node => {
+            const signature = node.isotype_signature || {};
+            if (dimension === 'multidimensional') return signature.unified;
+            return signature[dimension];
+        });
+        return new SimilarityIndex(vectors, options);
+    }
+    
+    /**
+     * 索引的内部数据（归一化后的向量），用于传给Web Worker；restore() 可以从它重建索引而不再归一化
+     * @returns {{count, dims, data: Float32Array, valid: Uint8Array}}
+     */
+    state() {
+        return { count: this.count, dims: this.dims, data: this.data, valid: this.valid };
+    }
+    
+    static restore(state, options = {}) {
+        const index = Object.create(SimilarityIndex.prototype);
+        index.options = { batchSize: 64, ...options };
+        index.count = state.count;
+        index.dims = state.dims;
+        index.data = state.data;
+        index.valid = state.valid;
+        return index;
+    }
+    
+    /**
+     * 两个参与者的余弦相似度
+     */
+    similarity(i, j) {
+        if (!this.valid[i] || !this.valid[j]) return 0;
+        const data = this.data;
+        const a = i * this.dims;
+        const b = j * this.dims;
+        let dot = 0;
+        for (let d = 0; d < this.dims; d++) {
+            dot += data[a + d] * data[b + d];
+        }
+        return dot;
+    }
+    
+    /**
+     * 与单位向量 vector 的相似度（vector 为 normalize() 的结果）
+     */
+    similarityTo(vector, i) {
+        if (!this.valid[i]) return 0;
+        const data = this.data;
+        const a = i * this.dims;
+        let dot = 0;
+        for (let d = 0; d < this.dims; d++) {
+            dot += data[a + d] * vector[d];
+        }
+        return dot;
+    }
+    
+    /**
+     * 与任意向量最相似的k个参与者（逐个比较，供搜索和"找相似的人"使用）
+     * @param {ArrayLike<number>} vector - 未归一化的查询向量
+     * @param {number} k
+     * @param {Object} options
+     *   - exclude: Set<number> (不返回的参与者，如查询的人自己)
+     * @returns {Array<{index, similarity}>} 按相似度从高到低排列
+     */
+    query(vector, k, options = {}) {
+        const normalized = this.normalize(vector);
+        if (!normalized || k <= 0) return [];
+        
+        const exclude = options.exclude || new Set();
+        const lists = createNeighborLists(1, k);
+        for (let i = 0; i < this.count; i++) {
+            if (!this.valid[i] || exclude.has(i)) continue;
+            insertNeighbor(lists, 0, i, this.similarityTo(normalized, i));
+        }
+        return neighborsOf(lists, 0);
+    }
+    
+    /**
+     * 每个参与者最相似的k个邻居
+     * @param {number} k
+     * @param {Object} options
+     *   - threshold: number (低于这个相似度的邻居不保留，默认不限)
+     *   - onProgress: (fraction) => void (每算完一个行块调用一次)
+     * @returns {{k, indices: Int32Array, similarities: Float32Array, counts: Int32Array}}
+     *   第i个参与者的邻居在 [i*k, i*k + counts[i]) 中，按相似度从高到低排列
+     */
+    topK(k, options = {}) {
+        const { threshold = -Infinity, onProgress = null } = options;
+        const n = this.count;
+        const dims = this.dims;
+        const data = this.data;
+        const valid = this.valid;
+        const batchSize = this.options.batchSize;
+        const unrolled = dims - (dims % 4);
+        
+        const lists = createNeighborLists(n, k);
+        if (k <= 0) return lists;
+        
+        const totalPairs = n * (n - 1) / 2;
+        let donePairs = 0;
+        for (let i0 = 0; i0 < n; i0 += batchSize) {
+            const i1 = Math.min(n, i0 + batchSize);
+            for (let j0 = i0; j0 < n; j0 += batchSize) {
+                const j1 = Math.min(n, j0 + batchSize);
+                for (let i = i0; i < i1; i++) {
+                    if (!valid[i]) continue;
+                    const a = i * dims;
+                    for (let j = j0 === i0 ? i + 1 : j0; j < j1; j++) {
+                        if (!valid[j]) continue;
+                        // 展开为4路累加，减少循环开销
+                        const b = j * dims;
+                        let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+                        let d = 0;
+                        for (; d < unrolled; d += 4) {
+                            s0 += data[a + d] * data[b + d];
+                            s1 += data[a + d + 1] * data[b + d + 1];
+                            s2 += data[a + d + 2] * data[b + d + 2];
+                            s3 += data[a + d + 3] * data[b + d + 3];
+                        }
+                        for (; d < dims; d++) {
+                            s0 += data[a + d] * data[b + d];
+                        }
+                        const dot = s0 + s1 + s2 + s3;
+                        if (dot < threshold) continue;
+                        insertNeighbor(lists, i, j, dot);
+                        insertNeighbor(lists, j, i, dot);
+                    }
+                }
+            }
+            for (let i = i0; i < i1; i++) {
+                donePairs += n - i - 1;
+            }
+            onProgress?.(totalPairs > 0 ? donePairs / totalPairs : 1);
+        }
+        
+        return lists;
+    }
+    
+    /**
+     * 向量的维度：取最常见的长度（个别记录的维度错误不影响其他人）
+     */
+    commonLength(vectors) {
+        const counts = new Map();
+        vectors.forEach(vector => {
+            const length = vector?.length;
+            if (length > 0) {
+                counts.set(length, (counts.get(length) || 0) + 1);
+            }
+        });
+        
+        let best = 0;
+        let bestCount = 0;
+        counts.forEach((count, length) => {
+            if (count > bestCount) {
+                best = length;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+}
+
+/**
+ * n个空的近邻列表，格式与 topK() 的结果相同（只含typed array，可以在Worker和主线程之间传递）
+ */
+export function createNeighborLists(n, k) {
+    return {
+        k,
+        indices: new Int32Array(n * k).fill(-1),
+        similarities: new Float32Array(n * k),
+        counts: new Int32Array(n)
+    };
+}
+
+/**
+ * 插入到第row行的有序列表中（相似度降序，相同时编号升序），列表已满且不如最后一个时忽略
+ */
+export function insertNeighbor(lists, row, index, similarity) {
+    const { k, indices, similarities, counts } = lists;
+    const base = row * k;
+    let position = counts[row];
+    if (position === k) {
+        const last = base + k - 1;
+        if (similarity < similarities[last] || (similarity === similarities[last] && index > indices[last])) return;
+        position = k - 1;
+    } else {
+        counts[row]++;
+    }
+    while (position > 0) {
+        const previous = base + position - 1;
+        if (similarities[previous] > similarity || (similarities[previous] === similarity && indices[previous] < index)) break;
+        similarities[base + position] = similarities[previous];
+        indices[base + position] = indices[previous];
+        position--;
+    }
+    similarities[base + position] = similarity;
+    indices[base + position] = index;
+}
+
+/**
+ * 第i个参与者的邻居列表
+ * @param {Object} neighbors - SimilarityIndex.topK() 的结果
+ * @returns {Array<{index, similarity}>}
+ */
+export function neighborsOf(neighbors, i) {
+    const result = [];
+    for (let r = 0; r < neighbors.counts[i]; r++) {
+        result.push({
+            index: neighbors.indices[i * neighbors.k + r],
+            similarity: neighbors.similarities[i * neighbors.k + r]
+        });
+    }
+    return result;
+}
+
@@ -3,6 +3,57 @@
  * 从文本中提取个人主观性特征，用于生成独特的glyph
  */
 
+import { emotionIntensity } from './emotionModel.js';
+import { answerText } from './transcriptParser.js';
+
+// 可比较的数值特征：每项从 extract() 的结果中取一个0-1之间的数，缺失时取中性值
+// 用于混合相似度中的subjectivity部分（见 similarityBlend.js）；uniqueness依赖整体语料，不算在内
+export const SUBJECTIVITY_FEATURES = [
+    { id: 'direct', label: 'Direct narration', value: s => s.narrative_style?.distribution?.direct ?? 0.25 },
+    { id: 'reflective', label: 'Reflective narration', value: s => s.narrative_style?.distribution?.reflective ?? 0.25 },
+    { id: 'metaphorical', label: 'Metaphorical narration', value: s => s.narrative_style?.distribution?.metaphorical ?? 0.25 },
+    { id: 'conversational', label: 'Conversational narration', value: s => s.narrative_style?.distribution?.conversational ?? 0.25 },
+    { id: 'emotional_intensity', label: 'Emotional intensity', value: s => s.emotional_expression?.intensity ?? 0.5 },
+    { id: 'past', label: 'Past orientation', value: s => s.temporal_orientation?.distribution?.past ?? 1 / 3 },
+    { id: 'present', label: 'Present orientation', value: s => s.temporal_orientation?.distribution?.present ?? 1 / 3 },
+    { id: 'future', label: 'Future orientation', value: s => s.temporal_orientation?.distribution?.future ?? 1 / 3 },
+    { id: 'self_reference', label: 'Self-reference', value: s => s.self_reference?.score ?? 0.5 },
+    { id: 'complexity', label: 'Complexity', value: s => s.complexity?.score ?? 0.5 },
+    { id: 'formal', label: 'Formal register', value: s => s.authenticity?.distribution?.formal ?? 1 / 3 },
+    { id: 'casual', label: 'Casual register', value: s => s.authenticity?.distribution?.casual ?? 1 / 3 },
+    { id: 'intimate', label: 'Intimate register', value: s => s.authenticity?.distribution?.intimate ?? 1 / 3 },
+    { id: 'rhythm', label: 'Rhythm variation', value: s => s.rhythm ?? 0.5 },
+    { id: 'reflection_depth', label: 'Reflection depth', value: s => s.reflection_depth ?? 0.5 },
+    { id: 'directness', label: 'Directness', value: s => s.expression_mode?.score ?? 0.5 }
+];
+
+// 特征散点布局可以选作坐标轴的特征：上面的各项特征，外加两条对比轴（取值-1到1）
+export const SUBJECTIVITY_AXES = [
+    ...SUBJECTIVITY_FEATURES,
+    {
+        id: 'past_future',
+        label: 'Past → future',
+        value: s => (s.temporal_orientation?.distribution?.future ?? 1 / 3) - (s.temporal_orientation?.distribution?.past ?? 1 / 3)
+    },
+    {
+        id: 'formal_intimate',
+        label: 'Formal → intimate',
+        value: s => (s.authenticity?.distribution?.intimate ?? 1 / 3) - (s.authenticity?.distribution?.formal ?? 1 / 3)
+    }
+];
+
+/**
+ * subjectivity特征向量（顺序同 SUBJECTIVITY_FEATURES），还没有提取subjectivity时返回null
+ * @returns {number[]|null}
+ */
+export function subjectivityVector(subjectivity) {
+    if (!subjectivity) return null;
+    return SUBJECTIVITY_FEATURES.map(feature => {
+        const value = Number(feature.value(subjectivity));
+        return Number.isFinite(value) ? value : 0;
+    });
+}
+
 export class SubjectivityExtractor {
     constructor() {
         // 定义subjectivity维度
@@ -20,7 +71,8 @@ export class SubjectivityExtractor {
      * 从节点提取完整的subjectivity特征
      */
     extractSubjectivity(node) {
-        const text = node.text_content || '';
+        // 只分析参与者自己的回答，访谈者的提问和开场脚本不算作这个人的表达
+        const text = answerText(node);
         const semantic = node.isotype_signature?.semantic || [];
         const emotion = node.isotype_signature?.emotion || [];
         
@@ -29,7 +81,7 @@ export class SubjectivityExtractor {
             narrative_style: this.analyzeNarrativeStyle(text),
             
             // 情感表达强度
-            emotional_expression: this.analyzeEmotionalExpression(text, emotion),
+            emotional_expression: this.analyzeEmotionalExpression(text, emotionIntensity(node.isotype_signature)),
             
             // 时间导向
             temporal_orientation: this.analyzeTemporalOrientation(text),
@@ -115,9 +167,10 @@ export class SubjectivityExtractor {
     
     /**
      * 分析情感表达强度
+     * @param {number|null} measuredIntensity - 实测的非neutral情感强度，没有时只依据文本
      */
-    analyzeEmotionalExpression(text, emotion) {
-        if (!text) return { level: 'moderate', intensity: 0.5 };
+    analyzeEmotionalExpression(text, measuredIntensity) {
+        if (!text) return { level: 'moderate', intensity: 0.5, measured: false };
         
         const lowerText = text.toLowerCase();
         
@@ -138,8 +191,8 @@ export class SubjectivityExtractor {
             return sum + (lowerText.match(new RegExp(`\\b${word}\\b`, 'g')) || []).length;
         }, 0);
         
-        // 情感向量强度
-        const emotionIntensity = emotion.length > 0 ? Math.max(...emotion) : 0.5;
+        // 情感分数强度（只有neutral或缺少情感数据时不计入）
+        const scoreIntensity = measuredIntensity ?? 0;
         
         // 感叹号、重复字母等表达强度
         const exclamationCount = (text.match(/!/g) || []).length;
@@ -147,7 +200,7 @@ export class SubjectivityExtractor {
         
         const totalIndicators = intenseCount * 3 + moderateCount * 2 + reservedCount + 
                                exclamationCount * 0.5 + repetitionPattern * 0.3;
-        const normalizedIntensity = Math.min(1, totalIndicators / 20 + emotionIntensity * 0.5);
+        const normalizedIntensity = Math.min(1, totalIndicators / 20 + scoreIntensity * 0.5);
         
         let level;
         if (normalizedIntensity < 0.3) {
@@ -162,7 +215,8 @@ export class SubjectivityExtractor {
         
         return {
             level: level,
-            intensity: normalizedIntensity
+            intensity: normalizedIntensity,
+            measured: measuredIntensity !== null // 是否有实测的情感分数参与计算
         };
     }
     
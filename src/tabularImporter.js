@@ -0,0 +1,310 @@
+/**
+ * 表格数据导入模块
+ * 解析CSV/TSV和JSON Lines，并通过列映射转换为与JSON数组相同的原始记录格式
+ * （participant_id / text_content / semantic_embedding / unified_embedding / emotion_scores / metadata），
+ * 之后统一交给 DataLoader.transformData 处理
+ */
+
+// 可映射的目标字段
+export const MAPPING_FIELDS = [
+    { key: 'participant_id', label: 'Participant ID', required: true },
+    { key: 'text_content', label: 'Text', required: false },
+    { key: 'semantic_embedding', label: 'Semantic embedding', required: true },
+    { key: 'unified_embedding', label: 'Unified embedding', required: false },
+    { key: 'emotion_scores', label: 'Emotion scores (JSON column)', required: false }
+];
+
+// 列名猜测规则（按顺序匹配，忽略大小写和分隔符）
+const FIELD_PATTERNS = {
+    participant_id: [/^participant_?id$/, /^pid$/, /^id$/, /participant/],
+    text_content: [/^text_?content$/, /^transcript$/, /^text$/, /content/, /interview/],
+    semantic_embedding: [/^semantic_?embedding$/, /^embedding$/, /semantic/, /embedding/],
+    unified_embedding: [/^unified_?embedding$/, /unified/],
+    emotion_scores: [/^emotion_?scores$/, /^emotions$/]
+};
+
+// 以这些前缀开头的列被视为单独的情感分数列，如 emotion_joy / emotion.sadness
+const EMOTION_COLUMN_PREFIX = /^emotions?[_.:]/i;
+
+export class TabularImporter {
+    /**
+     * 根据文件名和内容判断格式
+     * @returns {'json'|'jsonl'|'csv'|'tsv'}
+     */
+    detectFormat(name = '', text = '') {
+        const extension = name.toLowerCase().split('?')[0].split('.').pop();
+        if (extension === 'jsonl' || extension === 'ndjson') return 'jsonl';
+        if (extension === 'csv') return 'csv';
+        if (extension === 'tsv' || extension === 'tab') return 'tsv';
+        if (extension === 'json') return 'json';
+        
+        // 没有扩展名时根据内容判断
+        const head = text.trimStart();
+        if (head.startsWith('[')) return 'json';
+        if (head.startsWith('{')) return 'jsonl';
+        const firstLine = head.split('\n')[0];
+        return firstLine.split('\t').length > firstLine.split(',').length ? 'tsv' : 'csv';
+    }
+    
+    /**
+     * 解析表格文本
+     * @returns {{columns: string[], rows: Object[], errors: Array}}
+     */
+    parse(text, format) {
+        if (format === 'jsonl') {
+            return this.parseJSONLines(text);
+        }
+        return this.parseDelimited(text, format === 'tsv' ? '\t' : ',');
+    }
+    
+    /**
+     * 解析CSV/TSV（支持带引号的字段、字段内换行和转义的双引号）
+     */
+    parseDelimited(text, delimiter = ',') {
+        const records = [];
+        let field = '';
+        let record = [];
+        let inQuotes = false;
+        
+        // 去掉BOM
+        const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+        
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            
+            if (inQuotes) {
+                if (char === '"') {
+                    if (input[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        
+        const nonEmpty = records.filter(r => r.length > 1 || r[0] !== '');
+        if (nonEmpty.length === 0) {
+            return { columns: [], rows: [], errors: [] };
+        }
+        
+        const columns = nonEmpty[0].map(c => c.trim());
+        const errors = [];
+        const rows = [];
+        
+        nonEmpty.slice(1).forEach((values, i) => {
+            if (values.length !== columns.length) {
+                errors.push({
+                    line: i + 2,
+                    message: `Expected ${columns.length} fields, found ${values.length}`
+                });
+            }
+            const row = {};
+            columns.forEach((column, j) => {
+                row[column] = values[j] !== undefined ? values[j] : '';
+            });
+            rows.push(row);
+        });
+        
+        return { columns, rows, errors };
+    }
+    
+    /**
+     * 解析JSON Lines（每行一个JSON对象）
+     */
+    parseJSONLines(text) {
+        const rows = [];
+        const errors = [];
+        const columnSet = new Set();
+        
+        text.split(/\r?\n/).forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            
+            try {
+                const value = JSON.parse(trimmed);
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push({ line: i + 1, message: 'Line is not a JSON object' });
+                    return;
+                }
+                Object.keys(value).forEach(key => columnSet.add(key));
+                rows.push(value);
+            } catch (error) {
+                errors.push({ line: i + 1, message: `Invalid JSON: ${error.message}` });
+            }
+        });
+        
+        return { columns: [...columnSet], rows, errors };
+    }
+    
+    /**
+     * 根据列名猜测映射
+     * @returns {Object} mapping - {participant_id, text_content, semantic_embedding, unified_embedding, emotion_scores, emotion_columns, metadata}
+     */
+    suggestMapping(columns) {
+        const normalize = (name) => name.toLowerCase().replace(/[\s-]+/g, '_');
+        const used = new Set();
+        const mapping = {};
+        
+        MAPPING_FIELDS.forEach(({ key }) => {
+            const patterns = FIELD_PATTERNS[key];
+            let match = null;
+            for (const pattern of patterns) {
+                match = columns.find(c => !used.has(c) && pattern.test(normalize(c)));
+                if (match) break;
+            }
+            mapping[key] = match || null;
+            if (match) used.add(match);
+        });
+        
+        // 单独的情感分数列（emotion_joy 等）
+        mapping.emotion_columns = {};
+        columns.forEach(column => {
+            if (used.has(column) || !EMOTION_COLUMN_PREFIX.test(column)) return;
+            const label = column.replace(EMOTION_COLUMN_PREFIX, '').toLowerCase();
+            if (label) {
+                mapping.emotion_columns[label] = column;
+                used.add(column);
+            }
+        });
+        
+        // 其余列作为元数据
+        mapping.metadata = columns.filter(c => !used.has(c));
+        
+        return mapping;
+    }
+    
+    /**
+     * 检查映射是否完整，返回缺失的必需字段
+     */
+    missingRequiredFields(mapping) {
+        return MAPPING_FIELDS
+            .filter(field => field.required && !mapping[field.key])
+            .map(field => field.key);
+    }
+    
+    /**
+     * 按映射把表格行转换为原始参与者记录
+     */
+    applyMapping(rows, mapping) {
+        return rows.map(row => {
+            const record = {
+                participant_id: this.cell(row, mapping.participant_id),
+                text_content: this.cell(row, mapping.text_content),
+                semantic_embedding: this.parseVector(this.cell(row, mapping.semantic_embedding)),
+                unified_embedding: this.parseVector(this.cell(row, mapping.unified_embedding)),
+                emotion_scores: this.parseEmotionScores(row, mapping),
+                metadata: {}
+            };
+            
+            (mapping.metadata || []).forEach(column => {
+                const value = row[column];
+                if (value === undefined || value === null || value === '') return;
+                if (column === 'metadata' && typeof value === 'object' && !Array.isArray(value)) {
+                    // JSON Lines中已有的metadata对象直接合并
+                    Object.assign(record.metadata, value);
+                    return;
+                }
+                record.metadata[column] = this.parseScalar(value);
+            });
+            
+            // 未映射的字段保持undefined，交给DataValidator报告和修复
+            Object.keys(record).forEach(key => {
+                if (record[key] === null) delete record[key];
+            });
+            
+            return record;
+        });
+    }
+    
+    cell(row, column) {
+        if (!column) return null;
+        const value = row[column];
+        return value === undefined || value === '' ? null : value;
+    }
+    
+    /**
+     * 解析向量单元格：JSON数组、或以空格/分号/逗号分隔的数字
+     */
+    parseVector(value) {
+        if (value === null) return null;
+        if (Array.isArray(value)) return value;
+        
+        const text = String(value).trim();
+        if (text.startsWith('[')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                // 不是合法JSON时按分隔符解析
+            }
+        }
+        
+        return text
+            .replace(/^\[|\]$/g, '')
+            .split(/[\s;,]+/)
+            .filter(part => part !== '')
+            .map(part => Number(part));
+    }
+    
+    parseEmotionScores(row, mapping) {
+        let scores = null;
+        
+        const column = this.cell(row, mapping.emotion_scores);
+        if (column !== null) {
+            if (typeof column === 'object') {
+                scores = { ...column };
+            } else {
+                try {
+                    scores = JSON.parse(column);
+                } catch (error) {
+                    // 保留原值，由DataValidator报告
+                    scores = column;
+                }
+            }
+        }
+        
+        const emotionColumns = Object.entries(mapping.emotion_columns || {});
+        if (emotionColumns.length > 0) {
+            scores = scores && typeof scores === 'object' ? scores : {};
+            emotionColumns.forEach(([label, columnName]) => {
+                const value = row[columnName];
+                if (value !== undefined && value !== '') {
+                    scores[label] = Number(value);
+                }
+            });
+        }
+        
+        return scores;
+    }
+    
+    parseScalar(value) {
+        if (typeof value !== 'string') return value;
+        const trimmed = value.trim();
+        if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
+        if (trimmed === 'true') return true;
+        if (trimmed === 'false') return false;
+        return trimmed;
+    }
+}
+
@@ -0,0 +1,285 @@
+/**
+ * 主题模型
+ * 在浏览器中对参与者的回答做TF-IDF + 非负矩阵分解（NMF），得到每个人在各主题上的分布，作为Topic维度的向量
+ * 语料较大时先在抽样的文档上学习主题（H），再固定主题为所有文档求分布（W），计算量与人数成线性
+ * 使用固定种子的随机初始化，同一份语料每次得到相同的主题
+ */
+
+import { answerText } from './transcriptParser.js';
+import { createRandom } from './random.js';
+
+// 英文停用词和访谈口语中的填充词
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are aren't as at be because been before being below
+between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down during each
+few for from further had hadn't has hasn't have haven't having he he'd he'll he's her here here's hers herself
+him himself his how how's i i'd i'll i'm i've if in into is isn't it it's its itself let's me more most mustn't
+my myself no nor not of off on once only or other ought our ours ourselves out over own same shan't she she'd
+she'll she's should shouldn't so some such than that that's the their theirs them themselves then there there's
+these they they'd they'll they're they've this those through to too under until up very was wasn't we we'd
+we'll we're we've were weren't what what's when when's where where's which while who who's whom why why's
+with won't would wouldn't you you'd you'll you're you've your yours yourself yourselves
+yeah yes okay ok um uh oh like just really know mean kind sort thing things stuff got get gets getting going
+gonna wanna think thought said say says saying well lot lots actually maybe probably pretty something anything
+everything nothing someone somebody anyone everyone always never still even much many way back time times
+one two three first year years day days now right good great little big make made come came go went see saw
+want wanted feel felt guess sure though through around another every else used use quite able let
+laughs laughing laughter inaudible crosstalk pause
+`.trim().split(/\s+/));
+
+export class TopicModel {
+    /**
+     * @param {Object} options
+     *   - topics: number | 'auto' (主题数，auto时取 √(n/2)，限制在2-12之间)
+     *   - maxFeatures: number (词表大小上限，按文档频率取前若干个，默认2000)
+     *   - minDocFrequency: number (词至少出现在几篇文档中，默认2；文档少于10篇时为1)
+     *   - maxDocFrequency: number (出现在超过这个比例的文档中的词视为背景词，默认0.5)
+     *   - iterations: number (NMF乘法更新的迭代次数，默认120)
+     *   - sampleSize: number (学习主题时最多使用的文档数，默认2000)
+     *   - topTerms: number (每个主题保留的关键词数，默认8)
+     *   - seed: number (随机种子，默认42)
+     */
+    constructor(options = {}) {
+        this.options = {
+            topics: 'auto',
+            maxFeatures: 2000,
+            minDocFrequency: 2,
+            maxDocFrequency: 0.5,
+            iterations: 120,
+            sampleSize: 2000,
+            topTerms: 8,
+            seed: 42,
+            ...options
+        };
+    }
+    
+    /**
+     * 对参与者的回答建模
+     * @param {Array} participants - 带 text_content / transcript 的参与者
+     * @returns {{topics: Array<{id, terms: string[], weight}>, weights: number[][]}}
+     *   weights[i]为第i个人在各主题上的分布（和为1）；没有可用词的人为全零向量
+     */
+    fit(participants) {
+        const documents = participants.map(p => this.tokenize(answerText(p)));
+        const vocabulary = this.buildVocabulary(documents);
+        const k = this.topicCount(documents.length, vocabulary.terms.length);
+        if (k === 0) {
+            return { topics: [], weights: documents.map(() => []) };
+        }
+        
+        const matrix = this.tfidf(documents, vocabulary);
+        const random = createRandom(this.options.seed);
+        const sample = this.sampleRows(documents.length, random);
+        
+        // 在样本上同时学习W和H，然后固定H为全部文档求W
+        const fitted = this.factorize(matrix, sample, k, random, null);
+        const { W } = sample ? this.factorize(matrix, null, k, random, fitted.H) : fitted;
+        
+        const V = vocabulary.terms.length;
+        const order = Array.from({ length: k }, (_, t) => t);
+        const strength = order.map(t => {
+            let sum = 0;
+            for (let i = 0; i < matrix.n; i++) sum += W[i * k + t];
+            return sum;
+        });
+        // 主题按总权重从大到小编号
+        order.sort((a, b) => strength[b] - strength[a] || a - b);
+        
+        const topics = order.map((t, id) => {
+            const terms = Array.from({ length: V }, (_, j) => j)
+                .sort((a, b) => fitted.H[t * V + b] - fitted.H[t * V + a] || a - b)
+                .slice(0, this.options.topTerms)
+                .filter(j => fitted.H[t * V + j] > 0)
+                .map(j => vocabulary.terms[j]);
+            return { id, terms, weight: strength[t] };
+        });
+        
+        const weights = documents.map((_, i) => {
+            const row = order.map(t => W[i * k + t]);
+            const sum = row.reduce((a, b) => a + b, 0);
+            return sum > 0 ? row.map(value => value / sum) : row.map(() => 0);
+        });
+        
+        return { topics, weights };
+    }
+    
+    tokenize(text) {
+        return this.words(text).filter(token => this.isTerm(token));
+    }
+    
+    /**
+     * 文本中的所有词（小写，去掉所有格），包括停用词
+     */
+    words(text) {
+        // 脱敏占位符和转录者注释（[NAME]、[laughs]）不算词
+        return (String(text || '').replace(/\[[^\]]*\]/g, ' ').toLowerCase().replace(/[‘’]/g, "'").match(/[a-z][a-z']+/g) || [])
+            .map(token => token.replace(/'s$/, ''));
+    }
+    
+    isTerm(token) {
+        return token.length > 2 && !STOPWORDS.has(token);
+    }
+    
+    /**
+     * 词表：去掉太少见和太常见的词，按文档频率取前maxFeatures个
+     */
+    buildVocabulary(documents) {
+        const n = documents.length;
+        const docFrequency = new Map();
+        documents.forEach(tokens => {
+            new Set(tokens).forEach(token => {
+                docFrequency.set(token, (docFrequency.get(token) || 0) + 1);
+            });
+        });
+        
+        const minDf = n < 10 ? 1 : this.options.minDocFrequency;
+        const maxDf = Math.max(minDf, Math.floor(this.options.maxDocFrequency * n));
+        const terms = [...docFrequency.entries()]
+            .filter(([, df]) => df >= minDf && df <= maxDf)
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .slice(0, this.options.maxFeatures)
+            .map(([term]) => term);
+        
+        return {
+            terms,
+            index: new Map(terms.map((term, j) => [term, j])),
+            idf: terms.map(term => Math.log((1 + n) / (1 + docFrequency.get(term))) + 1)
+        };
+    }
+    
+    topicCount(documentCount, termCount) {
+        const requested = this.options.topics === 'auto'
+            ? Math.min(12, Math.max(2, Math.round(Math.sqrt(documentCount / 2))))
+            : this.options.topics;
+        return Math.max(0, Math.min(requested, documentCount, termCount));
+    }
+    
+    /**
+     * 稀疏TF-IDF矩阵（CSR）：词频取 1 + log(count)，每行L2归一化
+     */
+    tfidf(documents, vocabulary) {
+        const rowPtr = new Int32Array(documents.length + 1);
+        const cols = [];
+        const vals = [];
+        documents.forEach((tokens, i) => {
+            const counts = new Map();
+            tokens.forEach(token => {
+                const j = vocabulary.index.get(token);
+                if (j !== undefined) counts.set(j, (counts.get(j) || 0) + 1);
+            });
+            const entries = [...counts.entries()].sort((a, b) => a[0] - b[0]);
+            const values = entries.map(([j, count]) => (1 + Math.log(count)) * vocabulary.idf[j]);
+            const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1;
+            entries.forEach(([j], e) => {
+                cols.push(j);
+                vals.push(values[e] / norm);
+            });
+            rowPtr[i + 1] = cols.length;
+        });
+        return {
+            n: documents.length,
+            V: vocabulary.terms.length,
+            rowPtr,
+            cols: Int32Array.from(cols),
+            vals: Float64Array.from(vals)
+        };
+    }
+    
+    /**
+     * NMF乘法更新（Lee & Seung）：X ≈ WH，W、H非负
+     * @param {Object} matrix - tfidf()
+     * @param {Int32Array|null} rows - 参与分解的行（null为全部）
+     * @param {Float64Array|null} fixedH - 提供时只更新W
+     */
+    factorize(matrix, rows, k, random, fixedH) {
+        const { V, rowPtr, cols, vals } = matrix;
+        const rowList = rows || Int32Array.from({ length: matrix.n }, (_, i) => i);
+        const n = rowList.length;
+        const eps = 1e-9;
+        
+        let total = 0;
+        rowList.forEach(i => {
+            for (let e = rowPtr[i]; e < rowPtr[i + 1]; e++) total += vals[e];
+        });
+        const scale = Math.sqrt(total / (n * V) / k) || 0.01;
+        
+        const W = new Float64Array(n * k).map(() => (random() + 0.01) * scale);
+        const H = fixedH || new Float64Array(k * V).map(() => (random() + 0.01) * scale);
+        
+        const iterations = fixedH ? Math.ceil(this.options.iterations / 2) : this.options.iterations;
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            if (!fixedH) {
+                // H ← H ∘ (WᵀX) / (WᵀW H)
+                const WtX = new Float64Array(k * V);
+                for (let r = 0; r < n; r++) {
+                    const i = rowList[r];
+                    for (let e = rowPtr[i]; e < rowPtr[i + 1]; e++) {
+                        const j = cols[e];
+                        const value = vals[e];
+                        for (let t = 0; t < k; t++) WtX[t * V + j] += W[r * k + t] * value;
+                    }
+                }
+                const WtW = this.gram(W, n, k);
+                for (let t = 0; t < k; t++) {
+                    for (let j = 0; j < V; j++) {
+                        let denominator = 0;
+                        for (let s = 0; s < k; s++) denominator += WtW[t * k + s] * H[s * V + j];
+                        H[t * V + j] *= WtX[t * V + j] / (denominator + eps);
+                    }
+                }
+            }
+            
+            // W ← W ∘ (XHᵀ) / (W HHᵀ)
+            const HHt = new Float64Array(k * k);
+            for (let t = 0; t < k; t++) {
+                for (let s = t; s < k; s++) {
+                    let sum = 0;
+                    for (let j = 0; j < V; j++) sum += H[t * V + j] * H[s * V + j];
+                    HHt[t * k + s] = sum;
+                    HHt[s * k + t] = sum;
+                }
+            }
+            const XHt = new Float64Array(k);
+            for (let r = 0; r < n; r++) {
+                const i = rowList[r];
+                XHt.fill(0);
+                for (let e = rowPtr[i]; e < rowPtr[i + 1]; e++) {
+                    const j = cols[e];
+                    const value = vals[e];
+                    for (let t = 0; t < k; t++) XHt[t] += value * H[t * V + j];
+                }
+                for (let t = 0; t < k; t++) {
+                    let denominator = 0;
+                    for (let s = 0; s < k; s++) denominator += W[r * k + s] * HHt[s * k + t];
+                    W[r * k + t] *= XHt[t] / (denominator + eps);
+                }
+            }
+        }
+        
+        return { W, H };
+    }
+    
+    gram(W, n, k) {
+        const G = new Float64Array(k * k);
+        for (let r = 0; r < n; r++) {
+            for (let t = 0; t < k; t++) {
+                const value = W[r * k + t];
+                for (let s = 0; s < k; s++) G[t * k + s] += value * W[r * k + s];
+            }
+        }
+        return G;
+    }
+    
+    /**
+     * 学习主题用的文档（固定种子抽样，保持原顺序）
+     */
+    sampleRows(n, random) {
+        if (n <= this.options.sampleSize) return null;
+        const indices = Array.from({ length: n }, (_, i) => i);
+        for (let i = 0; i < this.options.sampleSize; i++) {
+            const j = i + Math.floor(random() * (n - i));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return Int32Array.from(indices.slice(0, this.options.sampleSize).sort((a, b) => a - b));
+    }
+}
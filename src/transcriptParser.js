@@ -0,0 +1,292 @@
+/**
+ * 访谈转录解析模块
+ * 把纯文本或从docx导出的txt转录稿解析为按说话人划分的轮次：
+ * 每个轮次是 {speaker, prompt, promptSpeaker, answer, position}，即访谈者的一段提问和参与者随后的回答
+ * 引用挑选、主观性分析和Story面板都使用同一份解析结果，不再各自用正则匹配 Q:/A:
+ */
+
+// 常见的说话人标签（小写，去掉编号），其他标签按提问比例判断角色
+const INTERVIEWER_LABELS = new Set(['q', 'i', 'int', 'interviewer', 'moderator', 'facilitator', 'researcher', 'question']);
+const PARTICIPANT_LABELS = new Set(['a', 'r', 'p', 'resp', 'respondent', 'participant', 'interviewee', 'subject', 'answer']);
+const SCRIPT_LABELS = new Set(['script']);
+
+// "Q:\t内容"、"Interviewer： 内容"、"[00:01:23] Speaker 1: 内容"
+const LABEL_LINE = /^(?:[[(]?\d{1,2}:\d{2}(?::\d{2})?(?:\.\d+)?[\])]?\s+)?([A-Za-z\u4e00-\u9fa5][\w .'’\u4e00-\u9fa5-]{0,29}?)\s*[:：]\s*(.*)$/;
+// "Speaker 1  00:03"（说话人和时间戳单独一行，内容在下一行）
+const LABEL_HEADER = /^([A-Za-z\u4e00-\u9fa5][\w .'’\u4e00-\u9fa5-]{0,29}?)\s+[[(]?\d{1,2}:\d{2}(?::\d{2})?[\])]?\s*$/;
+// 整行都在方括号中的是转录者注释，如 [Transcriber Note: ...]
+const NOTE_LINE = /^\[[^\]]*\]$/;
+// 句子（以句号、问号、感叹号结尾）
+const SENTENCE = /[^.!?。！？]+[.!?。！？]+/g;
+
+export class TranscriptParser {
+    /**
+     * @param {Object} options
+     *   - interviewerLabels / participantLabels: string[] (额外的说话人标签，小写)
+     *   - maxLabelWords: number (标签最多包含的单词数，默认4，避免把普通句子中的冒号当作标签)
+     */
+    constructor(options = {}) {
+        this.options = {
+            interviewerLabels: [],
+            participantLabels: [],
+            maxLabelWords: 4,
+            ...options
+        };
+        this.interviewerLabels = new Set([...INTERVIEWER_LABELS, ...this.options.interviewerLabels]);
+        this.participantLabels = new Set([...PARTICIPANT_LABELS, ...this.options.participantLabels]);
+    }
+    
+    /**
+     * 解析转录稿
+     * @param {string} text - 转录文本
+     * @returns {Object} transcript
+     *   - format: 'turns' (识别出说话人) | 'plain' (没有说话人标签，整段作为一个回答) | 'empty'
+     *   - turns: Array<{speaker, prompt, promptSpeaker, answer, position}>
+     *     (speaker/answer为参与者的标签和回答，prompt/promptSpeaker为之前的提问；只有提问没有回答时answer为null)
+     *   - notes: string[] (第一个说话人之前的标题行和转录者注释)
+     *   - speakers: {label: 'interviewer' | 'participant' | 'script'}
+     */
+    parse(text) {
+        const normalized = this.normalize(text);
+        if (!normalized) {
+            return { format: 'empty', turns: [], notes: [], speakers: {} };
+        }
+        
+        const { segments, preamble, notes } = this.segment(normalized);
+        if (segments.length === 0) {
+            const answer = normalized.split('\n').filter(line => !NOTE_LINE.test(line.trim())).join('\n').trim();
+            return {
+                format: answer ? 'plain' : 'empty',
+                turns: answer ? [{ speaker: null, prompt: null, promptSpeaker: null, answer, position: 0 }] : [],
+                notes: notes,
+                speakers: {}
+            };
+        }
+        
+        const speakers = this.assignRoles(segments);
+        return { format: 'turns', turns: this.pairTurns(segments, speakers), notes: [...preamble, ...notes], speakers };
+    }
+    
+    /**
+     * 统一换行和空白（docx导出的txt常带BOM、CRLF、不换行空格和分页符）
+     */
+    normalize(text) {
+        if (typeof text !== 'string') return '';
+        return text
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?|\f|\u2028|\u2029/g, '\n')
+            .replace(/[\u00A0\u2007\u202F]/g, ' ')
+            .replace(/[\u200B-\u200D]/g, '')
+            .trim();
+    }
+    
+    /**
+     * 按说话人标签切分为片段 {label, key, text}；第一个说话人之前的行放入preamble，整行的方括号注释放入notes
+     * 只在一篇稿子中出现两次以上、或属于已知标签的前缀才算说话人，避免误切 "Note: ..." 这样的普通句子
+     */
+    segment(text) {
+        const lines = text.split('\n');
+        const candidates = lines.map(line => this.matchLabel(line.trim()));
+        
+        const counts = new Map();
+        candidates.forEach(match => {
+            if (match) counts.set(match.key, (counts.get(match.key) || 0) + 1);
+        });
+        const isSpeaker = (match) => match && (this.isKnownLabel(match.key) || counts.get(match.key) >= 2);
+        
+        const segments = [];
+        const preamble = [];
+        const notes = [];
+        let current = null;
+        lines.forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (NOTE_LINE.test(line)) {
+                notes.push(line.slice(1, -1).trim());
+                return;
+            }
+            
+            const match = candidates[i];
+            if (isSpeaker(match)) {
+                current = { label: match.label, key: match.key, lines: match.text ? [match.text] : [] };
+                segments.push(current);
+            } else if (current) {
+                current.lines.push(line);
+            } else if (line) {
+                preamble.push(line);
+            }
+        });
+        
+        return {
+            segments: segments
+                .map(s => ({ label: s.label, key: s.key, text: s.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() }))
+                .filter(s => s.text),
+            preamble,
+            notes
+        };
+    }
+    
+    matchLabel(line) {
+        const match = line.match(LABEL_HEADER) || line.match(LABEL_LINE);
+        if (!match) return null;
+        
+        const label = match[1].trim();
+        if (label.split(/\s+/).length > this.options.maxLabelWords) return null;
+        return { label, key: this.labelKey(label), text: (match[2] || '').trim() };
+    }
+    
+    /**
+     * 标签的规范形式：小写，去掉末尾编号（"Interviewer 2" → "interviewer"）
+     */
+    labelKey(label) {
+        return label.toLowerCase().replace(/\s*\d+$/, '').trim() || label.toLowerCase();
+    }
+    
+    isKnownLabel(key) {
+        return this.interviewerLabels.has(key) || this.participantLabels.has(key) || SCRIPT_LABELS.has(key);
+    }
+    
+    /**
+     * 确定每个说话人的角色
+     * 已知标签直接对应；其余说话人（如人名、Speaker 1）中提问比例最高的一位是访谈者，
+     * 稿中已有已知的访谈者标签时，其余说话人都是参与者
+     */
+    assignRoles(segments) {
+        const speakers = {};
+        const unknown = new Map();
+        let hasInterviewer = false;
+        
+        segments.forEach(({ label, key, text }) => {
+            if (label in speakers || unknown.has(label)) {
+                unknown.get(label)?.push(text);
+                return;
+            }
+            if (SCRIPT_LABELS.has(key)) {
+                speakers[label] = 'script';
+            } else if (this.interviewerLabels.has(key)) {
+                speakers[label] = 'interviewer';
+                hasInterviewer = true;
+            } else if (this.participantLabels.has(key)) {
+                speakers[label] = 'participant';
+            } else {
+                unknown.set(label, [text]);
+            }
+        });
+        
+        let interviewer = null;
+        if (!hasInterviewer && unknown.size > 1) {
+            let bestRatio = -1;
+            unknown.forEach((texts, label) => {
+                const ratio = texts.filter(text => /[?？]\s*$/.test(text)).length / texts.length;
+                if (ratio > bestRatio) {
+                    bestRatio = ratio;
+                    interviewer = label;
+                }
+            });
+        }
+        unknown.forEach((texts, label) => {
+            speakers[label] = label === interviewer ? 'interviewer' : 'participant';
+        });
+        return speakers;
+    }
+    
+    /**
+     * 把片段组合成轮次：参与者的每段回答与它之前最近的一段提问配对，
+     * 更早的提问（如开场的SCRIPT）和结尾没有回答的提问单独成为answer为null的轮次
+     */
+    pairTurns(segments, speakers) {
+        const turns = [];
+        let pending = null;
+        
+        const push = (turn) => {
+            turns.push({ ...turn, position: turns.length });
+        };
+        
+        segments.forEach(({ label, text }) => {
+            if (speakers[label] !== 'participant') {
+                // 同一访谈者连续的几行合并为一段提问
+                if (pending && pending.promptSpeaker === label) {
+                    pending.prompt += `\n${text}`;
+                    return;
+                }
+                if (pending) push(pending);
+                pending = { speaker: null, prompt: text, promptSpeaker: label, answer: null };
+                return;
+            }
+            
+            const last = turns[turns.length - 1];
+            if (!pending && last && last.speaker === label) {
+                // 同一参与者连续的几段回答合并
+                last.answer += `\n${text}`;
+                return;
+            }
+            push({
+                speaker: label,
+                prompt: pending ? pending.prompt : null,
+                promptSpeaker: pending ? pending.promptSpeaker : null,
+                answer: text
+            });
+            pending = null;
+        });
+        
+        if (pending) push(pending);
+        return turns;
+    }
+}
+
+const defaultParser = new TranscriptParser();
+
+/**
+ * 获取参与者的转录结构（DataLoader加载时已解析；示例页面的模拟数据等没有时现场解析）
+ */
+export function transcriptOf(participant) {
+    return participant?.transcript || defaultParser.parse(participant?.text_content || '');
+}
+
+/**
+ * 参与者自己说的话（所有回答），没有回答时为空字符串
+ */
+export function answerText(participant) {
+    return transcriptOf(participant).turns
+        .filter(turn => turn.answer)
+        .map(turn => turn.answer)
+        .join('\n');
+}
+
+/**
+ * 从参与者的回答中挑选一句作为引用，按参与者ID稳定选择；没有合适的句子时返回null
+ * @param {Object} participant
+ * @param {Object} options
+ *   - minLength: number (句子的最短长度，默认10)
+ *   - maxLength: number (没有句末标点的回答截取的长度，默认150)
+ *   - match: RegExp (只考虑匹配的句子，如包含某个词的句子)
+ */
+export function pickQuote(participant, options = {}) {
+    const { minLength = 10, maxLength = 150, match = null } = options;
+    const candidates = [];
+    
+    transcriptOf(participant).turns.forEach(turn => {
+        if (!turn.answer) return;
+        const answer = turn.answer.replace(/\s+/g, ' ').trim();
+        
+        (answer.match(SENTENCE) || []).forEach(sentence => {
+            const trimmed = sentence.trim();
+            if (trimmed.length > minLength) candidates.push(trimmed);
+        });
+        
+        // 没有标点但长度足够的回答整体作为候选
+        if (answer.length > minLength && !/[.!?。！？]/.test(answer)) {
+            candidates.push(answer.length > maxLength ? `${answer.substring(0, maxLength).trim()}...` : answer);
+        }
+    });
+    
+    const pool = match ? candidates.filter(candidate => {
+        match.lastIndex = 0;
+        return match.test(candidate);
+    }) : candidates;
+    if (pool.length === 0) return null;
+    
+    const id = participant.id || participant.original_id || '';
+    const seed = id.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+    return pool[seed % pool.length];
+}
+
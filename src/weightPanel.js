@@ -0,0 +1,142 @@
+/**
+ * 混合相似度的权重面板
+ * 显示在header的控件中（仅在Multidimensional维度下）：点击"Weights"展开，每个部分一个滑块，可以选择、保存和删除预设
+ */
+
+import { BLEND_BLOCKS, normalizeWeights, describeWeights } from './similarityBlend.js';
+
+export class WeightPanel {
+    /**
+     * @param {HTMLElement|string} container - 放置按钮和面板的元素
+     * @param {Object} options
+     *   - store: WeightPresetStore (预设的读写)
+     *   - weights: Object (初始权重)
+     *   - onChange: (weights) => void (松开滑块或选择预设后调用)
+     */
+    constructor(container, options = {}) {
+        this.container = d3.select(container);
+        this.store = options.store;
+        this.weights = normalizeWeights(options.weights);
+        this.onChange = options.onChange || (() => {});
+        this.open = false;
+        
+        this.render();
+        
+        // 点击面板以外的地方时收起
+        d3.select(document).on('click.weight-panel', (event) => {
+            if (this.open && !this.container.node().contains(event.target)) {
+                this.toggle(false);
+            }
+        });
+    }
+    
+    render() {
+        this.container.html('');
+        this.button = this.container.append('button')
+            .attr('class', 'weights-toggle')
+            .attr('type', 'button')
+            .on('click', () => this.toggle(!this.open));
+        
+        this.panel = this.container.append('div')
+            .attr('class', 'weights-panel')
+            .style('display', 'none');
+        this.panel.append('h5').text('Blend similarity');
+        
+        const presetRow = this.panel.append('div').attr('class', 'weights-presets');
+        this.presetSelect = presetRow.append('select')
+            .attr('title', 'Weight presets')
+            .on('change', (event) => {
+                const preset = this.store.list().find(p => p.name === event.target.value);
+                if (preset) this.apply(preset.weights);
+            });
+        this.deleteButton = presetRow.append('button')
+            .attr('type', 'button')
+            .text('Delete')
+            .on('click', () => {
+                const name = this.presetSelect.property('value');
+                if (name && window.confirm(`Delete the preset "${name}"?`)) {
+                    this.store.remove(name);
+                    this.update();
+                }
+            });
+        
+        this.sliders = this.panel.append('div').attr('class', 'weights-sliders')
+            .selectAll('label')
+            .data(BLEND_BLOCKS)
+            .join('label')
+            .attr('class', 'weights-row');
+        this.sliders.append('span').attr('class', 'weights-label').text(d => d.label);
+        this.sliders.append('input')
+            .attr('type', 'range')
+            .attr('min', 0)
+            .attr('max', 1)
+            .attr('step', 0.05)
+            .on('input', (event, d) => {
+                // 拖动时只更新显示，松开后才重新计算近邻
+                this.weights = { ...this.weights, [d.id]: parseFloat(event.target.value) };
+                this.update(false);
+            })
+            .on('change', () => this.apply(this.weights));
+        this.sliders.append('span').attr('class', 'weights-share');
+        
+        this.panel.append('button')
+            .attr('class', 'weights-save')
+            .attr('type', 'button')
+            .text('Save as preset...')
+            .on('click', () => {
+                const name = window.prompt('Preset name:', '');
+                if (name === null) return;
+                if (!this.store.save(name, this.weights)) {
+                    window.alert('This preset could not be saved. Built-in preset names cannot be reused.');
+                }
+                this.update();
+            });
+        
+        this.update();
+    }
+    
+    /**
+     * 使用一组权重并通知调用方
+     */
+    apply(weights) {
+        this.weights = normalizeWeights(weights);
+        this.update();
+        this.onChange({ ...this.weights });
+    }
+    
+    setVisible(visible) {
+        this.container.style('display', visible ? null : 'none');
+        if (!visible) this.toggle(false);
+    }
+    
+    toggle(open) {
+        this.open = open;
+        this.panel.style('display', open ? null : 'none');
+        this.button.classed('active', open);
+    }
+    
+    /**
+     * @param {boolean} syncSliders - 为false时不改动滑块本身（正在拖动）
+     */
+    update(syncSliders = true) {
+        const total = BLEND_BLOCKS.reduce((sum, block) => sum + (this.weights[block.id] || 0), 0);
+        this.button.text('Weights ▾').attr('title', describeWeights(this.weights));
+        
+        if (syncSliders) {
+            this.sliders.select('input').property('value', d => this.weights[d.id] || 0);
+        }
+        this.sliders.select('.weights-share')
+            .text(d => total > 0 ? `${Math.round((this.weights[d.id] || 0) / total * 100)}%` : '—');
+        
+        const current = this.store.find(this.weights);
+        const presets = this.store.list();
+        const options = current ? presets : [{ name: '', label: 'Custom', saved: false }, ...presets];
+        this.presetSelect.selectAll('option')
+            .data(options, d => d.name)
+            .join('option')
+            .attr('value', d => d.name)
+            .text(d => d.label || (d.saved ? `${d.name} (saved)` : d.name));
+        this.presetSelect.property('value', current || '');
+        this.deleteButton.property('disabled', !presets.some(p => p.saved && p.name === current));
+    }
+}